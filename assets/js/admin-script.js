@@ -107,6 +107,98 @@
       button.addEventListener("click", handleUnitChange);
     });
 
+    // Generated panel output format selector (outside the panel)
+    const outputFormatSelect = document.getElementById("output-format");
+    if (outputFormatSelect) {
+      outputFormatSelect.addEventListener("change", handleOutputFormatChange);
+    }
+
+    // Front-end output format checkboxes (also outside the panel)
+    const frontendToggles = document.querySelectorAll(".frontend-format-toggle");
+    frontendToggles.forEach((toggle) => {
+      toggle.addEventListener("change", handleFrontendFormatChange);
+    });
+
+    // Utility family checkboxes and naming patterns (also outside the panel)
+    document.querySelectorAll(".utility-family-toggle").forEach((toggle) => {
+      toggle.addEventListener("change", handleUtilityFamilyChange);
+    });
+    document.querySelectorAll(".utility-pattern-input").forEach((input) => {
+      input.addEventListener("input", handleUtilityPatternInput);
+    });
+    const logicalToggle = document.getElementById("logical-properties-toggle");
+    if (logicalToggle) {
+      logicalToggle.addEventListener("change", handleLogicalPropertiesChange);
+    }
+    const scaleGeneratorSelect = document.getElementById("scale-generator");
+    if (scaleGeneratorSelect) {
+      scaleGeneratorSelect.addEventListener("change", handleScaleGeneratorChange);
+    }
+    const gridUnitSelect = document.getElementById("grid-unit");
+    if (gridUnitSelect) {
+      gridUnitSelect.addEventListener("change", handleScaleGeneratorChange);
+    }
+    const customMultipliersInput = document.getElementById("custom-multipliers");
+    if (customMultipliersInput) {
+      customMultipliersInput.addEventListener("input", handleScaleGeneratorChange);
+    }
+    const negativeToggle = document.getElementById("negative-tokens-toggle");
+    if (negativeToggle) {
+      negativeToggle.addEventListener("change", handleNegativeTokensChange);
+    }
+    const breakpointsInput = document.getElementById("breakpoints-input");
+    if (breakpointsInput) {
+      breakpointsInput.addEventListener("input", handleBreakpointsChange);
+    }
+    const fluidUnitSelect = document.getElementById("fluid-unit");
+    if (fluidUnitSelect) {
+      fluidUnitSelect.addEventListener("change", handleFluidUnitChange);
+    }
+    ["root-font-size", "rem-precision", "coefficient-precision"].forEach((id) => {
+      document.getElementById(id)?.addEventListener("change", handleFormatOptionsChange);
+    });
+    const containerHelperToggle = document.getElementById("container-helper-toggle");
+    if (containerHelperToggle) {
+      containerHelperToggle.addEventListener("change", handleFluidUnitChange);
+    }
+
+    // Accessibility check (also outside the panel)
+    const zoomCheck = document.getElementById("zoom-check");
+    if (zoomCheck) {
+      zoomCheck.addEventListener("toggle", renderZoomCheck);
+      zoomCheck.addEventListener("click", handleZoomSafeClick);
+    }
+    const zoomSafeToggle = document.getElementById("zoom-safe-toggle");
+    if (zoomSafeToggle) {
+      zoomSafeToggle.addEventListener("change", handleZoomSafeChange);
+    }
+    const piecewiseOutputSelect = document.getElementById("piecewise-output");
+    if (piecewiseOutputSelect) {
+      piecewiseOutputSelect.addEventListener("change", handleBreakpointsChange);
+    }
+
+    // Ratio comparison (also outside the panel)
+    const ratioCompare = document.getElementById("ratio-compare");
+    if (ratioCompare) {
+      ratioCompare.addEventListener("toggle", renderRatioComparison);
+      ratioCompare.addEventListener("click", handleRatioApplyClick);
+    }
+    document.querySelectorAll(".ratio-compare-select").forEach((select) => {
+      select.addEventListener("change", renderRatioComparison);
+    });
+
+    // Configuration export/import buttons (outside the panel)
+    window.FluidSpaceForge.ImportExportManager.initialize();
+
+    // Revisions panel (outside the panel, loads when opened)
+    window.FluidSpaceForge.RevisionsManager.initialize();
+
+    // Named preset selector and actions (outside the panel)
+    window.FluidSpaceForge.PresetsManager.initialize();
+
+    // Starter gallery (outside the panel, thumbnails render when opened)
+    window.FluidSpaceForge.StarterLibrary.initialize(renderStarterThumbnail, loadStarter);
+
     // Generate initial content using saved active tab
     const initialTab = fluispfoAjax.data.settings.activeTab || "class";
     const panelContainer = document.getElementById("sizes-table-container");
@@ -114,15 +206,13 @@
     if (panelContainer) {
       panelContainer.innerHTML = generatePanelContent(initialTab);
 
-      const settings = fluispfoAjax.data.settings;
       const currentSizes = getDataArray(initialTab);
-      const cssGenerator = getCSSGenerator(initialTab);
-      const css = cssGenerator(currentSizes, settings, getSelectedBaseId());
 
       const generatedCode = document.getElementById("generated-code");
       if (generatedCode) {
-        generatedCode.textContent = css;
+        generatedCode.textContent = generateOutput(initialTab);
       }
+      updateOutputTitle();
 
       generatespacePreview(initialTab, currentSizes, getSelectedBaseId());
 
@@ -165,6 +255,9 @@
         }
       }, 100);
     }
+
+    // Undo/redo history, with the saved data as its starting point
+    window.FluidSpaceForge.HistoryManager.initialize(renderHistoryState);
   }
 
   /**
@@ -453,6 +546,30 @@
       prefixInput.addEventListener("keydown", handlePrefixKeydown);
     }
 
+    // Classes tab property and companion inputs
+    const classPropertiesInput = document.getElementById("class-properties-input");
+    if (classPropertiesInput) {
+      classPropertiesInput.removeEventListener("input", handleClassPropertiesInput);
+      classPropertiesInput.addEventListener("input", handleClassPropertiesInput);
+    }
+    const classCompanionsInput = document.getElementById("class-companions-input");
+    if (classCompanionsInput) {
+      classCompanionsInput.removeEventListener("input", handleClassCompanionsInput);
+      classCompanionsInput.addEventListener("input", handleClassCompanionsInput);
+    }
+
+    // Variables tab space pair inputs
+    const spacePairsInput = document.getElementById("space-pairs-input");
+    if (spacePairsInput) {
+      spacePairsInput.removeEventListener("input", handleSpacePairsInput);
+      spacePairsInput.addEventListener("input", handleSpacePairsInput);
+    }
+    const spacePairsAuto = document.getElementById("space-pairs-auto");
+    if (spacePairsAuto) {
+      spacePairsAuto.removeEventListener("change", handleSpacePairsAutoChange);
+      spacePairsAuto.addEventListener("change", handleSpacePairsAutoChange);
+    }
+
     // Unit button listeners (PX/REM)
     const unitButtons = document.querySelectorAll(".unit-button");
     unitButtons.forEach((button) => {
@@ -537,6 +654,13 @@
       button.addEventListener("click", handleDelete);
     });
 
+    // Revert pinned values listeners
+    const revertButtons = document.querySelectorAll(".revert-size");
+    revertButtons.forEach((button) => {
+      button.removeEventListener("click", handleRevertPinned);
+      button.addEventListener("click", handleRevertPinned);
+    });
+
     // Save button click handler
     const saveBtn = document.getElementById("save-btn");
     if (saveBtn) {
@@ -723,18 +847,161 @@
   // ========================================================================
 
   /**
-   * Format CSS for class tab (margin, padding, gap)
+   * Format CSS for class tab
    *
-   * Generates CSS class definitions with proper selector and property formatting.
-   * Creates three variants: margin (.space-m-), padding (.space-p-), and gap (.space-g-).
+   * Generates the .{prefix}-{suffix} class setting each of the given
+   * properties, followed by one single-property companion class per
+   * configured companion pattern.
    *
    * @param {string} suffix - Size suffix (e.g., 'lg', 'md')
    * @param {string} clampFunction - Complete clamp() CSS string
-   * @returns {Array<Object>} Array of objects with selector and css properties
+   * @param {string} prefix - Class prefix
+   * @param {Array<string>} properties - Properties set by the main class
+   * @param {Array<Object>} companions - Companions from getClassCompanions()
+   * @returns {string} CSS rules separated by blank lines
    * @since 1.0
    */
-  function formatClassCSS(suffix, clampFunction, prefix = 'space') {
-    return `.${prefix}-${suffix} {\n  margin: ${clampFunction};\n}`;
+  function formatClassCSS(
+    suffix,
+    clampFunction,
+    prefix = "space",
+    properties = ["margin"],
+    companions = []
+  ) {
+    const declarations = properties
+      .map((property) => `  ${property}: ${clampFunction};`)
+      .join("\n");
+    const rules = [`.${prefix}-${suffix} {\n${declarations}\n}`];
+
+    companions.forEach((companion) => {
+      const className = companion.pattern
+        .split("{prefix}")
+        .join(prefix)
+        .split("{size}")
+        .join(suffix);
+      rules.push(`.${className} {\n  ${companion.property}: ${clampFunction};\n}`);
+    });
+
+    return rules.join("\n\n");
+  }
+
+  /**
+   * Get the properties a class size sets
+   *
+   * A size's own properties win over the tab-wide classProperties setting.
+   * With logicalProperties on, physical properties are mapped to logical
+   * ones. Mirrors CssGenerator::get_class_properties().
+   *
+   * @param {Object} size - Class size object
+   * @param {Object} settings - Settings object
+   * @returns {Array<string>} CSS property names
+   * @since 1.3.0
+   */
+  function getClassProperties(size, settings) {
+    let properties = fluispfoAjax.constants.DEFAULT_CLASS_PROPERTIES;
+    if (Array.isArray(size.properties) && size.properties.length) {
+      properties = size.properties;
+    } else if (
+      Array.isArray(settings.classProperties) &&
+      settings.classProperties.length
+    ) {
+      properties = settings.classProperties;
+    }
+
+    return settings.logicalProperties
+      ? properties.map(getLogicalProperty)
+      : [...properties];
+  }
+
+  /**
+   * Get the companion classes generated next to each class
+   *
+   * Mirrors CssGenerator::get_class_companions().
+   *
+   * @param {Object} settings - Settings object with classCompanions
+   * @returns {Array<Object>} Valid companions with property and pattern
+   * @since 1.3.0
+   */
+  function getClassCompanions(settings) {
+    const companions = Array.isArray(settings.classCompanions)
+      ? settings.classCompanions
+      : [];
+
+    return companions
+      .filter(
+        (companion) =>
+          companion &&
+          isValidCssProperty(companion.property) &&
+          isValidClassPattern(companion.pattern)
+      )
+      .map((companion) => ({
+        property: settings.logicalProperties
+          ? getLogicalProperty(companion.property)
+          : companion.property,
+        pattern: companion.pattern,
+      }));
+  }
+
+  /**
+   * Map a physical property to its logical equivalent
+   *
+   * Built from the single-property variants in UTILITY_FAMILIES, so
+   * margin-top becomes margin-block-start. Other properties are returned
+   * unchanged. Mirrors CssGenerator::get_logical_property().
+   *
+   * @param {string} property - CSS property name
+   * @returns {string} Logical property name
+   * @since 1.3.0
+   */
+  function getLogicalProperty(property) {
+    for (const definition of Object.values(fluispfoAjax.constants.UTILITY_FAMILIES)) {
+      const variant = definition.variants.find(
+        (candidate) =>
+          candidate.logical &&
+          candidate.properties.length === 1 &&
+          candidate.properties[0] === property
+      );
+      if (variant) {
+        return variant.logical.properties[0];
+      }
+    }
+
+    return property;
+  }
+
+  /**
+   * Check a CSS property name
+   *
+   * Mirrors FluidSpaceForge::is_valid_css_property().
+   *
+   * @param {string} property - Property name, e.g. 'padding-inline' or '--gap'
+   * @returns {boolean} True for lowercase property names and custom properties
+   * @since 1.3.0
+   */
+  function isValidCssProperty(property) {
+    return typeof property === "string" && /^(--)?[a-z][a-z0-9-]*$/.test(property);
+  }
+
+  /**
+   * Check a companion class naming pattern
+   *
+   * Mirrors FluidSpaceForge::is_valid_class_pattern().
+   *
+   * @param {string} pattern - Naming pattern, e.g. '{prefix}-p-{size}'
+   * @returns {boolean} True when the pattern is class-safe and contains {size}
+   * @since 1.3.0
+   */
+  function isValidClassPattern(pattern) {
+    if (
+      typeof pattern !== "string" ||
+      !/^[A-Za-z0-9_{}-]+$/.test(pattern) ||
+      !pattern.includes("{size}")
+    ) {
+      return false;
+    }
+
+    // Only the two placeholders are allowed inside braces
+    return !/[{}]/.test(pattern.replace(/\{(prefix|size)\}/g, ""));
   }
 
 
@@ -758,43 +1025,186 @@
   }
 
 
+  /**
+   * Resolve the configured space pairs
+   *
+   * Automatic one-up pairs (each size with the next) come first, then the
+   * chosen pairs. Pairs naming a size that no longer exists are skipped.
+   * Mirrors CssGenerator::get_space_pairs().
+   *
+   * @param {Array} sizes - Variable size objects
+   * @param {Object} settings - Settings with spacePairsAuto and spacePairs
+   * @returns {Array<Object>} Pairs as { from: size, to: size }, without duplicates
+   * @since 1.3.0
+   */
+  function getSpacePairs(sizes, settings) {
+    const candidates = [];
+    if (settings.spacePairsAuto) {
+      for (let index = 0; index < sizes.length - 1; index++) {
+        candidates.push({ from: sizes[index].id, to: sizes[index + 1].id });
+      }
+    }
+    if (Array.isArray(settings.spacePairs)) {
+      settings.spacePairs.forEach((pair) => {
+        if (pair && pair.from !== undefined && pair.to !== undefined) {
+          candidates.push({ from: parseInt(pair.from), to: parseInt(pair.to) });
+        }
+      });
+    }
+
+    const seen = new Set();
+    const pairs = [];
+    candidates.forEach((candidate) => {
+      const from = sizes.find((size) => size.id === candidate.from);
+      const to = sizes.find((size) => size.id === candidate.to);
+      const key = `${candidate.from}:${candidate.to}`;
+      if (!from || !to || from === to || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      pairs.push({ from, to });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Get the bare variable name used inside a pair name
+   *
+   * Strips a full '--prefix-' name down to its suffix so pairs read
+   * --sp-sm-xl. Mirrors CssGenerator::get_pair_key().
+   *
+   * @param {Object} size - Variable size object
+   * @param {string} prefix - Variable prefix
+   * @returns {string} Pair name segment
+   * @since 1.3.0
+   */
+  function getPairKey(size, prefix) {
+    let name = size.variableName || "";
+    if (name.startsWith("--")) {
+      name = name.slice(2);
+      if (name.startsWith(`${prefix}-`)) {
+        name = name.slice(prefix.length + 1);
+      }
+    }
+    return name;
+  }
+
   /**
    * Format CSS for utilities tab (Tailwind-style)
    *
-   * Generates comprehensive utility classes for margins, padding, and gaps.
-   * Includes directional variants (top, bottom, left, right, x-axis, y-axis, all).
+   * Generates one rule per variant of each enabled utility family, with
+   * class names built from the family's naming pattern. With negative on,
+   * families that allow it also get -prefixed negated rules (.-mt-md).
    *
    * @param {string} suffix - Size suffix (e.g., 'lg', 'md')
    * @param {string} clampFunction - Complete clamp() CSS string
-   * @returns {Object} Object with margin, padding, and gap arrays
+   * @param {Object} families - Enabled families from getUtilityFamilies()
+   * @param {boolean} negative - Whether to add negated rules
+   * @returns {Object} Object with an array of rules per family key
    * @since 1.0
    */
-  function formatUtilityCSS(suffix, clampFunction) {
-    return {
-      margin: [
-        `.mt-${suffix} { margin-top: ${clampFunction}; }`,
-        `.mb-${suffix} { margin-bottom: ${clampFunction}; }`,
-        `.ml-${suffix} { margin-left: ${clampFunction}; }`,
-        `.mr-${suffix} { margin-right: ${clampFunction}; }`,
-        `.mx-${suffix} { margin-left: ${clampFunction}; margin-right: ${clampFunction}; }`,
-        `.my-${suffix} { margin-top: ${clampFunction}; margin-bottom: ${clampFunction}; }`,
-        `.m-${suffix} { margin: ${clampFunction}; }`,
-      ],
-      padding: [
-        `.pt-${suffix} { padding-top: ${clampFunction}; }`,
-        `.pb-${suffix} { padding-bottom: ${clampFunction}; }`,
-        `.pl-${suffix} { padding-left: ${clampFunction}; }`,
-        `.pr-${suffix} { padding-right: ${clampFunction}; }`,
-        `.px-${suffix} { padding-left: ${clampFunction}; padding-right: ${clampFunction}; }`,
-        `.py-${suffix} { padding-top: ${clampFunction}; padding-bottom: ${clampFunction}; }`,
-        `.p-${suffix} { padding: ${clampFunction}; }`,
-      ],
-      gap: [
-        `.gap-${suffix} { gap: ${clampFunction}; }`,
-        `.gap-x-${suffix} { column-gap: ${clampFunction}; }`,
-        `.gap-y-${suffix} { row-gap: ${clampFunction}; }`,
-      ],
-    };
+  function formatUtilityCSS(suffix, clampFunction, families, negative = false) {
+    const formatted = {};
+
+    Object.entries(families).forEach(([family, definition]) => {
+      formatted[family] = formatUtilityRules(definition, suffix, "", clampFunction);
+      if (negative && definition.negative) {
+        formatted[family].push(
+          ...formatUtilityRules(definition, suffix, "-", `calc(-1 * ${clampFunction})`)
+        );
+      }
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Format one rule per variant of a utility family
+   *
+   * @param {Object} definition - Family definition with pattern and variants
+   * @param {string} suffix - Size suffix
+   * @param {string} classPrefix - Prepended to each class name ('' or '-')
+   * @param {string} value - Value for every property
+   * @returns {Array<string>} CSS rules
+   * @since 1.3.0
+   */
+  function formatUtilityRules(definition, suffix, classPrefix, value) {
+    return definition.variants.map((variant) => {
+      const className = definition.pattern
+        .split("{variant}")
+        .join(variant.token)
+        .split("{size}")
+        .join(suffix);
+      const declarations = variant.properties
+        .map((property) => `${property}: ${value};`)
+        .join(" ");
+      return `.${classPrefix}${className} { ${declarations} }`;
+    });
+  }
+
+  /**
+   * Get the enabled utility families with their effective patterns
+   *
+   * Families come from the UTILITY_FAMILIES registry in PHP, in registry
+   * order. With logicalProperties on, physical variants are swapped for
+   * their logical counterparts. Mirrors CssGenerator::get_utility_families().
+   *
+   * @param {Object} settings - Settings with utilityFamilies, utilityPatterns and logicalProperties
+   * @returns {Object} Family definitions keyed by family
+   * @since 1.3.0
+   */
+  function getUtilityFamilies(settings) {
+    const constants = fluispfoAjax.constants;
+    const enabled = Array.isArray(settings.utilityFamilies)
+      ? settings.utilityFamilies
+      : constants.DEFAULT_UTILITY_FAMILIES;
+    const patterns = settings.utilityPatterns || {};
+
+    const families = {};
+    Object.entries(constants.UTILITY_FAMILIES).forEach(([family, definition]) => {
+      if (!enabled.includes(family)) {
+        return;
+      }
+      const pattern =
+        patterns[family] && isValidUtilityPattern(family, patterns[family])
+          ? patterns[family]
+          : definition.pattern;
+      const variants = settings.logicalProperties
+        ? definition.variants.map((variant) => variant.logical || variant)
+        : definition.variants;
+      families[family] = { ...definition, pattern, variants };
+    });
+
+    return families;
+  }
+
+  /**
+   * Check a utility class naming pattern
+   *
+   * Patterns may only use class-safe characters and must contain {size};
+   * families with several variants also need {variant}. Mirrors
+   * FluidSpaceForge::is_valid_utility_pattern().
+   *
+   * @param {string} family - Utility family key
+   * @param {string} pattern - Naming pattern, e.g. 'm{variant}-{size}'
+   * @returns {boolean} True when the pattern is usable
+   * @since 1.3.0
+   */
+  function isValidUtilityPattern(family, pattern) {
+    const definition = fluispfoAjax.constants.UTILITY_FAMILIES[family];
+    if (!definition || !/^[A-Za-z0-9_{}-]+$/.test(pattern)) {
+      return false;
+    }
+    if (!pattern.includes("{size}")) {
+      return false;
+    }
+    if (definition.variants.length > 1 && !pattern.includes("{variant}")) {
+      return false;
+    }
+
+    // Only the two placeholders are allowed inside braces
+    return !/[{}]/.test(pattern.replace(/\{(variant|size)\}/g, ""));
   }
 
   // ========================================================================
@@ -804,8 +1214,8 @@
   /**
    * Generate CSS for Classes tab
    *
-   * Creates complete CSS output for all size classes including margin, padding, and gap variants.
-   * Uses formatClassCSS helper for consistent formatting.
+   * Creates complete CSS output for all size classes with their configured
+   * properties and companion classes. Uses formatClassCSS helper for consistent formatting.
    *
    * @param {Array} sizes - Array of size objects
    * @param {Object} settings - Settings object with viewport and unit configuration
@@ -814,30 +1224,22 @@
    * @since 1.0
    */
   function generateClassesCSS(sizes, settings, selectedBaseId = 3) {
-    const minVp = settings.minViewport;
-    const maxVp = settings.maxViewport;
-    const unitType = settings.unitType;
     const prefix = settings.classPrefix || 'space';
+    const companions = getClassCompanions(settings);
 
     const allClasses = [];
 
     sizes.forEach((size) => {
-      const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
-        size.id,
-        settings,
-        selectedBaseId
-      );
-      const clampFunction =
-        window.FluidSpaceForge.Calculations.generateClampFunction(
-          calc.min,
-          calc.max,
-          minVp,
-          maxVp,
-          unitType
-        );
+      const clampFunction = getSizeClamp(size, settings, selectedBaseId, "class");
 
       const suffix = size.className.replace("space-", "");
-      const formatted = formatClassCSS(suffix, clampFunction, prefix);
+      const formatted = formatClassCSS(
+        suffix,
+        clampFunction,
+        prefix,
+        getClassProperties(size, settings),
+        companions
+      );
 
       allClasses.push(formatted);
     });
@@ -849,8 +1251,9 @@
   /**
    * Generate CSS for Variables tab
    *
-   * Creates CSS custom properties wrapped in :root selector.
-   * Uses formatVariableCSS helper to ensure consistent --sp- prefix.
+   * Creates CSS custom properties wrapped in :root selector, followed by
+   * any space pairs and negative sizes. Uses formatVariableCSS helper to
+   * ensure consistent --sp- prefix.
    *
    * @param {Array} sizes - Array of size objects
    * @param {Object} settings - Settings object with viewport and unit configuration
@@ -866,10 +1269,19 @@
 
     const variablesList = sizes
       .map((size) => {
-        const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
-          size.id,
+        const clampFunction = getSizeClamp(size, settings, selectedBaseId, "vars");
+        return formatVariableCSS(size.variableName, clampFunction, prefix);
+      })
+      .join("\n");
+
+    const pairsList = getSpacePairs(sizes, settings)
+      .map((pair) => {
+        const calc = window.FluidSpaceForge.Calculations.calculateSpacePair(
+          pair.from.id,
+          pair.to.id,
           settings,
-          selectedBaseId
+          selectedBaseId,
+          "vars"
         );
         const clampFunction =
           window.FluidSpaceForge.Calculations.generateClampFunction(
@@ -877,21 +1289,43 @@
             calc.max,
             minVp,
             maxVp,
-            unitType
+            unitType,
+            settings
           );
-        return formatVariableCSS(size.variableName, clampFunction, prefix);
+        const name = `${getPairKey(pair.from, prefix)}-${getPairKey(pair.to, prefix)}`;
+        return formatVariableCSS(name, clampFunction, prefix);
       })
       .join("\n");
 
-    return `:root {\n${variablesList}\n}`;
+    const blocks = [variablesList];
+    if (pairsList) {
+      blocks.push(`  /* Space pairs */\n${pairsList}`);
+    }
+    if (settings.negativeTokens && sizes.length) {
+      const negativesList = sizes
+        .map((size) => {
+          const fullName = size.variableName.startsWith("--")
+            ? size.variableName
+            : `--${prefix}-${size.variableName}`;
+          return formatVariableCSS(
+            `neg-${getPairKey(size, prefix)}`,
+            `calc(-1 * var(${fullName}))`,
+            prefix
+          );
+        })
+        .join("\n");
+      blocks.push(`  /* Negative sizes */\n${negativesList}`);
+    }
+
+    return `:root {\n${blocks.join("\n\n")}\n}`;
   }
 
 
   /**
    * Generate CSS for Utilities tab
    *
-   * Creates Tailwind-style utility classes with directional variants.
-   * Uses formatUtilityCSS helper for comprehensive utility generation.
+   * Creates Tailwind-style utility classes for each enabled utility family,
+   * one commented block per family. Uses formatUtilityCSS helper per size.
    *
    * @param {Array} sizes - Array of size objects
    * @param {Object} settings - Settings object with viewport and unit configuration
@@ -900,128 +1334,423 @@
    * @since 1.0
    */
   function generateUtilitiesCSS(sizes, settings, selectedBaseId = 3) {
+    const families = getUtilityFamilies(settings);
+
+    const groups = {};
+    Object.keys(families).forEach((family) => {
+      groups[family] = [];
+    });
+
+    sizes.forEach((size) => {
+      const clampFunction = getSizeClamp(size, settings, selectedBaseId, "utils");
+
+      const formatted = formatUtilityCSS(
+        size.utilityName,
+        clampFunction,
+        families,
+        settings.negativeTokens
+      );
+      Object.keys(formatted).forEach((family) => {
+        groups[family].push(...formatted[family]);
+      });
+    });
+
+    return Object.entries(families)
+      .map(
+        ([family, definition]) =>
+          `/* Tailwind-style ${definition.label} utilities */\n${groups[family].join("\n")}`
+      )
+      .join("\n\n");
+  }
+
+  /**
+   * Generate W3C Design Tokens (DTCG) JSON
+   *
+   * Each size becomes a group with min and max dimension tokens. The
+   * viewport range and clamp() expression are stored under $extensions,
+   * since DTCG has no fluid dimension type. Mirrored by
+   * CssGenerator::generate_tokens() in PHP.
+   *
+   * @param {Array} sizes - Array of size objects
+   * @param {Object} settings - Settings object with viewport and unit configuration
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @param {string} tabType - Tab identifier the sizes belong to
+   * @returns {string} Pretty-printed tokens JSON
+   * @since 1.3.0
+   */
+  function generateTokensJSON(sizes, settings, selectedBaseId = 3, tabType = "class") {
     const minVp = settings.minViewport;
     const maxVp = settings.maxViewport;
     const unitType = settings.unitType;
-
-    const marginUtils = [];
-    const paddingUtils = [];
-    const gapUtils = [];
+    const toDimension = (px) =>
+      unitType === "rem"
+        ? { value: Number(window.FluidSpaceForge.Calculations.formatRem(px, settings)), unit: "rem" }
+        : { value: px, unit: "px" };
+
+    const tokens = {
+      $type: "dimension",
+      $description: "Fluid spacing scale generated by Fluid Space Forge",
+    };
 
     sizes.forEach((size) => {
       const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
         size.id,
         settings,
-        selectedBaseId
+        selectedBaseId,
+        tabType
       );
-      const clampFunction =
-        window.FluidSpaceForge.Calculations.generateClampFunction(
-          calc.min,
-          calc.max,
-          minVp,
-          maxVp,
-          unitType
-        );
-
-      const formatted = formatUtilityCSS(size.utilityName, clampFunction);
-      marginUtils.push(...formatted.margin);
-      paddingUtils.push(...formatted.padding);
-      gapUtils.push(...formatted.gap);
+      const clampFunction = getSizeClamp(size, settings, selectedBaseId, tabType);
+
+      tokens[getOutputKey(size, tabType)] = {
+        min: { $value: toDimension(calc.min) },
+        max: { $value: toDimension(calc.max) },
+        $extensions: {
+          "com.jimrforge.fluid-space-forge": {
+            clamp: clampFunction,
+            minViewport: { value: Number(minVp), unit: "px" },
+            maxViewport: { value: Number(maxVp), unit: "px" },
+          },
+        },
+      };
     });
 
-    return `/* Tailwind-style Margin utilities */\n${marginUtils.join(
-      "\n"
-    )}\n\n/* Tailwind-style Padding utilities */\n${paddingUtils.join(
-      "\n"
-    )}\n\n/* Tailwind-style Gap utilities */\n${gapUtils.join("\n")}`;
+    return JSON.stringify({ space: tokens }, null, 2);
   }
 
   /**
-   * Generate CSS for single selected size
+   * Generate Tailwind CSS theme configuration
    *
-   * Used by row selection feature to display CSS for individual sizes.
-   * Delegates to appropriate format helper based on tab type.
+   * Emits the scale as spacing theme values so Tailwind builds its own
+   * utilities from it: a theme.extend.spacing object for v3 config files,
+   * or an @theme block of --spacing-* variables for v4. Always built from
+   * utilitySizes. Mirrored by CssGenerator::generate_tailwind() in PHP.
    *
-   * @param {number} sizeId - ID of the size to generate CSS for
-   * @param {string} tabType - Tab identifier: 'class', 'vars', or 'utils'
-   * @returns {string} Formatted CSS for the selected size
-   * @since 1.0
+   * @param {Array} sizes - Utility size objects
+   * @param {Object} settings - Settings object with viewport and unit configuration
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @param {string} version - Tailwind major version: 'v3' or 'v4'
+   * @returns {string} Config file fragment (v3) or CSS (v4)
+   * @since 1.3.0
    */
-  function generateSelectedCSS(sizeId, tabType) {
-    const settings = fluispfoAjax.data.settings;
-    const sizes = getDataArray(tabType);
-    const size = sizes.find((s) => s.id === sizeId);
-
-    if (!size) {
-      return "/* No size selected */";
-    }
-
-    const selectedBaseId = getSelectedBaseId();
-    const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
-      sizeId,
-      settings,
-      selectedBaseId
-    );
-
-    const minVp = settings.minViewport;
-    const maxVp = settings.maxViewport;
-    const unitType = settings.unitType;
+  function generateTailwindConfig(sizes, settings, selectedBaseId = 3, version = "v4") {
+    const entries = sizes.map((size) => {
+      const clampFunction = getSizeClamp(size, settings, selectedBaseId, "utils");
+      const key = getOutputKey(size, "utils");
 
-    const clampFunction =
-      window.FluidSpaceForge.Calculations.generateClampFunction(
-        calc.min,
-        calc.max,
-        minVp,
-        maxVp,
-        unitType
-      );
+      if (version === "v3") {
+        return `        '${key.replace(/'/g, "\\'")}': '${clampFunction}',`;
+      }
+      return `  --spacing-${key}: ${clampFunction};`;
+    });
 
-    if (tabType === "class") {
-      const suffix = size.className.replace("space-", "");
-      const prefix = settings.classPrefix || 'space';
-      const formatted = formatClassCSS(suffix, clampFunction, prefix);
-      return formatted;
-    } else if (tabType === "vars") {
-      const prefix = settings.variablePrefix || 'sp';
-      return formatVariableCSS(size.variableName, clampFunction, prefix);
-    } else if (tabType === "utils") {
-      const formatted = formatUtilityCSS(size.utilityName, clampFunction);
-      return `/* Margin utilities */\n${formatted.margin.join(
-        "\n"
-      )}\n\n/* Padding utilities */\n${formatted.padding.join(
+    if (version === "v3") {
+      return `// tailwind.config.js\nmodule.exports = {\n  theme: {\n    extend: {\n      spacing: {\n${entries.join(
         "\n"
-      )}\n\n/* Gap utilities */\n${formatted.gap.join("\n")}`;
+      )}\n      },\n    },\n  },\n};`;
     }
 
-    return "/* Unknown tab type */";
+    return `@theme {\n${entries.join("\n")}\n}`;
   }
 
-  // ========================================================================
-  // EVENT HANDLERS
-  // ========================================================================
-
   /**
-   * Handle tab switching
+   * Generate an SCSS map, lookup function and mixin
    *
-   * Updates active tab state, regenerates panel content, and updates CSS outputs.
+   * Keys are quoted so names such as "2xl" stay strings. Uses the global
+   * map functions so LibSass-based builds compile too. Mirrored by
+   * CssGenerator::generate_scss() in PHP.
    *
-   * @param {Event} event - Click event from tab button
-   * @since 1.0
+   * @param {Array} sizes - Array of size objects
+   * @param {Object} settings - Settings object with viewport and unit configuration
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @param {string} tabType - Tab identifier the sizes belong to
+   * @returns {string} SCSS source
+   * @since 1.3.0
    */
-  function handleTabSwitch(event) {
-    const tabButtons = document.querySelectorAll(".tab-button");
-    tabButtons.forEach((tab) => tab.classList.remove("active"));
-    event.target.classList.add("active");
+  function generateScss(sizes, settings, selectedBaseId = 3, tabType = "class") {
+    const entries = sizes.map(
+      (size) =>
+        `  "${getOutputKey(size, tabType)}": ${getSizeClamp(size, settings, selectedBaseId, tabType)},`
+    );
 
-    // Get tab name FIRST
-    const tabName = event.target.getAttribute("data-tab");
+    return (
+      `$space: (\n${entries.join("\n")}\n);\n\n` +
+      "@function space($key) {\n" +
+      "  @if not map-has-key($space, $key) {\n" +
+      '    @error "Unknown space size `#{$key}`.";\n' +
+      "  }\n" +
+      "  @return map-get($space, $key);\n" +
+      "}\n\n" +
+      "@mixin space($property, $key) {\n" +
+      "  #{$property}: space($key);\n" +
+      "}"
+    );
+  }
 
-    // Clear selected CSS panel when switching tabs
-    const codePanel = document.getElementById("class-code");
-    const titlePanel = document.getElementById("selected-code-title");
+  /**
+   * Generate Less variables and a lookup mixin
+   *
+   * Values are escaped strings so Less passes clamp() through untouched.
+   * Mirrored by CssGenerator::generate_less() in PHP.
+   *
+   * @param {Array} sizes - Array of size objects
+   * @param {Object} settings - Settings object with viewport and unit configuration
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @param {string} tabType - Tab identifier the sizes belong to
+   * @returns {string} Less source
+   * @since 1.3.0
+   */
+  function generateLess(sizes, settings, selectedBaseId = 3, tabType = "class") {
+    const entries = sizes.map(
+      (size) =>
+        `@space-${getOutputKey(size, tabType)}: ~"${getSizeClamp(size, settings, selectedBaseId, tabType)}";`
+    );
 
-    if (codePanel) {
-      codePanel.textContent = "/* Click a row to see its CSS */";
+    return (
+      `${entries.join("\n")}\n\n` +
+      ".space(@property; @key) {\n" +
+      '  @name: "space-@{key}";\n' +
+      "  @{property}: @@name;\n" +
+      "}"
+    );
+  }
+
+  /**
+   * Get the fluid value for one size
+   *
+   * A clamp() between the min and max viewports, or the piecewise
+   * expression through every anchor when breakpoints are set. Mirrors
+   * CssGenerator::get_size_clamp().
+   *
+   * @param {Object} size - Size object
+   * @param {Object} settings - Settings object with viewport and unit configuration
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @param {string} tabType - Tab identifier the size belongs to
+   * @returns {string} clamp() or calc() expression
+   * @since 1.3.0
+   */
+  function getSizeClamp(size, settings, selectedBaseId, tabType) {
+    return window.FluidSpaceForge.Calculations.generatePiecewiseFunction(
+      window.FluidSpaceForge.Calculations.calculateAnchorValues(size.id, settings, selectedBaseId, tabType),
+      settings.unitType,
+      settings
+    );
+  }
+
+  /**
+   * Get the bare size name used as a token or map key
+   *
+   * Strips the class prefix or leading dashes so keys read like the
+   * suffixes shown in the data table. Mirrors CssGenerator::get_size_key().
+   *
+   * @param {Object} size - Size object
+   * @param {string} tabType - Tab identifier: 'class', 'vars', or 'utils'
+   * @returns {string} Size key
+   * @since 1.3.0
+   */
+  function getOutputKey(size, tabType) {
+    if (tabType === "vars") {
+      return (size.variableName || "").replace(/^-+/, "");
+    }
+    if (tabType === "utils") {
+      return size.utilityName || "";
+    }
+    return (size.className || "").replace("space-", "");
+  }
+
+  /**
+   * Generate the Generated CSS panel content for a tab
+   *
+   * Renders the tab's CSS, or the same sizes in the output format chosen
+   * in the panel header. Tailwind formats always use the Utilities list.
+   *
+   * @param {string} tabType - Tab identifier: 'class', 'vars', or 'utils'
+   * @returns {string} Generated output
+   * @since 1.3.0
+   */
+  function generateOutput(tabType) {
+    const settings = fluispfoAjax.data.settings;
+    const sizes = getDataArray(tabType);
+    const selectedBaseId = getSelectedBaseId();
+
+    if (settings.outputFormat === "tokens") {
+      return generateTokensJSON(sizes, settings, selectedBaseId, tabType);
+    }
+    if (settings.outputFormat === "scss") {
+      return generateScss(sizes, settings, selectedBaseId, tabType);
+    }
+    if (settings.outputFormat === "less") {
+      return generateLess(sizes, settings, selectedBaseId, tabType);
+    }
+
+    // Tailwind spacing always comes from the Utilities list
+    if (settings.outputFormat === "tailwind-v3" || settings.outputFormat === "tailwind-v4") {
+      const utilityBaseId =
+        tabType === "utils"
+          ? selectedBaseId
+          : parseInt(settings.selectedUtilitySizeId) || 3;
+      return generateTailwindConfig(
+        getDataArray("utils"),
+        settings,
+        utilityBaseId,
+        settings.outputFormat.replace("tailwind-", "")
+      );
+    }
+
+    const cssGenerator = getCSSGenerator(tabType);
+    const anchors = window.FluidSpaceForge.Calculations.getAnchors(settings);
+    const css =
+      anchors.length > 2 && settings.piecewiseOutput !== "calc"
+        ? generateSteppedCSS(cssGenerator, sizes, settings, selectedBaseId)
+        : cssGenerator(sizes, settings, selectedBaseId);
+    return css + getContainerHelperCSS(settings);
+  }
+
+  /**
+   * Check whether the preferred value scales with a container
+   *
+   * @param {Object} settings - Settings object
+   * @returns {boolean} True for the cqi and cqw fluid units
+   * @since 1.3.0
+   */
+  function usesContainerUnit(settings) {
+    return settings.fluidUnit === "cqi" || settings.fluidUnit === "cqw";
+  }
+
+  /**
+   * Generate the optional container-type helper class
+   *
+   * Container units resolve against the nearest size container, so
+   * components need one. Mirrors CssGenerator::get_container_helper_css().
+   *
+   * @param {Object} settings - Settings object
+   * @returns {string} Helper rule with a leading blank line, or empty string
+   * @since 1.3.0
+   */
+  function getContainerHelperCSS(settings) {
+    if (!settings.containerHelper || !usesContainerUnit(settings)) {
+      return "";
+    }
+    return `\n\n.${settings.classPrefix || "space"}-container {\n  container-type: inline-size;\n}`;
+  }
+
+  /**
+   * Generate media-query-stepped CSS for a multi-breakpoint scale
+   *
+   * Each segment between neighbouring anchors is rendered by the tab's
+   * own generator with two-viewport clamps. The first segment is the
+   * unconditional rule set; each later one is wrapped in a min-width
+   * query at its starting anchor - @container instead of @media with a
+   * container fluid unit. Mirrors CssGenerator::generate_stepped_css().
+   *
+   * @param {Function} cssGenerator - Tab CSS generator (see getCSSGenerator)
+   * @param {Array} sizes - Array of size objects
+   * @param {Object} settings - Settings object with breakpoints
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @returns {string} Generated CSS
+   * @since 1.3.0
+   */
+  function generateSteppedCSS(cssGenerator, sizes, settings, selectedBaseId) {
+    const Calculations = window.FluidSpaceForge.Calculations;
+    const anchors = Calculations.getAnchors(settings);
+    const rule = usesContainerUnit(settings) ? "@container" : "@media";
+    const blocks = [];
+
+    for (let i = 0; i < anchors.length - 1; i++) {
+      const css = cssGenerator(sizes, Calculations.getSegmentSettings(settings, i), selectedBaseId);
+      if (i === 0) {
+        blocks.push(css);
+        continue;
+      }
+      const indented = css
+        .split("\n")
+        .map((line) => (line ? `  ${line}` : line))
+        .join("\n");
+      blocks.push(`${rule} (min-width: ${anchors[i].viewport}px) {\n${indented}\n}`);
+    }
+
+    return blocks.join("\n\n");
+  }
+
+  /**
+   * Generate CSS for single selected size
+   *
+   * Used by row selection feature to display CSS for individual sizes.
+   * Delegates to appropriate format helper based on tab type.
+   *
+   * @param {number} sizeId - ID of the size to generate CSS for
+   * @param {string} tabType - Tab identifier: 'class', 'vars', or 'utils'
+   * @returns {string} Formatted CSS for the selected size
+   * @since 1.0
+   */
+  function generateSelectedCSS(sizeId, tabType) {
+    const settings = fluispfoAjax.data.settings;
+    const sizes = getDataArray(tabType);
+    const size = sizes.find((s) => s.id === sizeId);
+
+    if (!size) {
+      return "/* No size selected */";
+    }
+
+    const clampFunction = getSizeClamp(size, settings, getSelectedBaseId(), tabType);
+
+    if (tabType === "class") {
+      const suffix = size.className.replace("space-", "");
+      const prefix = settings.classPrefix || 'space';
+      return formatClassCSS(
+        suffix,
+        clampFunction,
+        prefix,
+        getClassProperties(size, settings),
+        getClassCompanions(settings)
+      );
+    } else if (tabType === "vars") {
+      const prefix = settings.variablePrefix || 'sp';
+      return formatVariableCSS(size.variableName, clampFunction, prefix);
+    } else if (tabType === "utils") {
+      const families = getUtilityFamilies(settings);
+      const formatted = formatUtilityCSS(
+        size.utilityName,
+        clampFunction,
+        families,
+        settings.negativeTokens
+      );
+      return Object.entries(families)
+        .map(
+          ([family, definition]) =>
+            `/* ${definition.label} utilities */\n${formatted[family].join("\n")}`
+        )
+        .join("\n\n");
+    }
+
+    return "/* Unknown tab type */";
+  }
+
+  // ========================================================================
+  // EVENT HANDLERS
+  // ========================================================================
+
+  /**
+   * Handle tab switching
+   *
+   * Updates active tab state, regenerates panel content, and updates CSS outputs.
+   *
+   * @param {Event} event - Click event from tab button
+   * @since 1.0
+   */
+  function handleTabSwitch(event) {
+    const tabButtons = document.querySelectorAll(".tab-button");
+    tabButtons.forEach((tab) => tab.classList.remove("active"));
+    event.target.classList.add("active");
+
+    // Get tab name FIRST
+    const tabName = event.target.getAttribute("data-tab");
+
+    // Clear selected CSS panel when switching tabs
+    const codePanel = document.getElementById("class-code");
+    const titlePanel = document.getElementById("selected-code-title");
+
+    if (codePanel) {
+      codePanel.textContent = "/* Click a row to see its CSS */";
     }
 
     if (titlePanel) {
@@ -1040,12 +1769,9 @@
 
       const generatedCode = document.getElementById("generated-code");
       if (generatedCode) {
-        const settings = fluispfoAjax.data.settings;
         const currentSizes = getDataArray(tabName);
-        const cssGenerator = getCSSGenerator(tabName);
-        const css = cssGenerator(currentSizes, settings, getSelectedBaseId());
 
-        generatedCode.textContent = css;
+        generatedCode.textContent = generateOutput(tabName);
         generatespacePreview(tabName, currentSizes, getSelectedBaseId());
         attachEventListeners();
 
@@ -1211,6 +1937,150 @@
     }
   }
 
+  /**
+   * Handle Classes tab properties input
+   *
+   * Accepts a comma-separated list of CSS properties. An empty field
+   * restores the default; invalid names are flagged and skipped.
+   *
+   * @param {Event} event - Input event from the properties field
+   * @since 1.3.0
+   */
+  function handleClassPropertiesInput(event) {
+    const input = event.target;
+    const { properties, invalid } = parseCssPropertyList(input.value);
+
+    input.setAttribute("aria-invalid", invalid.length ? "true" : "false");
+    fluispfoAjax.data.settings.classProperties = properties.length
+      ? properties
+      : [...fluispfoAjax.constants.DEFAULT_CLASS_PROPERTIES];
+
+    updateCSSOutputs();
+
+    // Save immediately like the prefix (control setting)
+    if (window.FluidSpaceForge && window.FluidSpaceForge.AutosaveManager) {
+      window.FluidSpaceForge.AutosaveManager.saveControlSettings();
+    }
+  }
+
+  /**
+   * Handle Classes tab companions input
+   *
+   * Accepts comma-separated property=pattern pairs, e.g.
+   * "padding={prefix}-p-{size}". Invalid pairs are flagged and skipped.
+   *
+   * @param {Event} event - Input event from the companions field
+   * @since 1.3.0
+   */
+  function handleClassCompanionsInput(event) {
+    const input = event.target;
+    const entries = input.value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+
+    const companions = [];
+    let hasInvalid = false;
+    entries.forEach((entry) => {
+      const [property = "", pattern = ""] = entry.split("=").map((part) => part.trim());
+      if (isValidCssProperty(property.toLowerCase()) && isValidClassPattern(pattern)) {
+        companions.push({ property: property.toLowerCase(), pattern });
+      } else {
+        hasInvalid = true;
+      }
+    });
+
+    input.setAttribute("aria-invalid", hasInvalid ? "true" : "false");
+    fluispfoAjax.data.settings.classCompanions = companions;
+
+    updateCSSOutputs();
+
+    // Save immediately like the prefix (control setting)
+    if (window.FluidSpaceForge && window.FluidSpaceForge.AutosaveManager) {
+      window.FluidSpaceForge.AutosaveManager.saveControlSettings();
+    }
+  }
+
+  /**
+   * Handle Variables tab space pairs input
+   *
+   * Accepts comma-separated from:to size names, e.g. "sm:xl, md:xxl", and
+   * stores them by size ID so renaming a size keeps its pairs. Unknown
+   * names are flagged and skipped.
+   *
+   * @param {Event} event - Input event from the pairs field
+   * @since 1.3.0
+   */
+  function handleSpacePairsInput(event) {
+    const input = event.target;
+    const sizes = getDataArray("vars");
+    const findId = (name) =>
+      sizes.find((size) => getSizeName(size, "vars") === name)?.id;
+
+    const pairs = [];
+    let hasInvalid = false;
+    input.value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const [fromName = "", toName = ""] = entry.split(":").map((part) => part.trim());
+        const from = findId(fromName);
+        const to = findId(toName);
+        if (from !== undefined && to !== undefined && from !== to) {
+          pairs.push({ from, to });
+        } else {
+          hasInvalid = true;
+        }
+      });
+
+    input.setAttribute("aria-invalid", hasInvalid ? "true" : "false");
+    fluispfoAjax.data.settings.spacePairs = pairs;
+
+    updateCSSOutputs();
+
+    // Save immediately like the prefix (control setting)
+    if (window.FluidSpaceForge && window.FluidSpaceForge.AutosaveManager) {
+      window.FluidSpaceForge.AutosaveManager.saveControlSettings();
+    }
+  }
+
+  /**
+   * Handle one-up pairs checkbox change
+   *
+   * @param {Event} event - Change event from the checkbox
+   * @since 1.3.0
+   */
+  function handleSpacePairsAutoChange(event) {
+    fluispfoAjax.data.settings.spacePairsAuto = event.target.checked;
+
+    updateCSSOutputs();
+
+    // Save immediately like the prefix (control setting)
+    if (window.FluidSpaceForge && window.FluidSpaceForge.AutosaveManager) {
+      window.FluidSpaceForge.AutosaveManager.saveControlSettings();
+    }
+  }
+
+  /**
+   * Parse a comma-separated list of CSS properties
+   *
+   * @param {string} value - Raw input, e.g. "padding-inline, padding-block"
+   * @returns {Object} { properties: unique valid names, invalid: rejected names }
+   * @since 1.3.0
+   */
+  function parseCssPropertyList(value) {
+    const names = value
+      .split(",")
+      .map((property) => property.trim().toLowerCase())
+      .filter(Boolean);
+
+    return {
+      properties: [...new Set(names.filter(isValidCssProperty))],
+      invalid: names.filter((property) => !isValidCssProperty(property)),
+    };
+  }
+
   /**
    * Handle Enter key on prefix input
    *
@@ -1271,46 +2141,548 @@
     } else if (currentTab === "vars") {
       description = `Generates: <code>--${prefix}-{suffix}</code> (e.g., <code>--${prefix}-md</code>, <code>--${prefix}-xxl</code>). Make any change wanted to the base size and prefix used.`;
     } else if (currentTab === "utils") {
-      description = `Generates: <code>.{type}{side}-{suffix}</code> (e.g., <code>.mt-md</code>, <code>.pb-md</code>, <code>.gap-sm</code>).`;
+      description = `Generates: <code>.{type}{side}-{suffix}</code> (e.g., <code>.mt-md</code>, <code>.pb-md</code>, <code>.gap-sm</code>). Choose utility families and naming patterns in Settings.`;
+    }
+
+    descParagraph.innerHTML = description;
+  }
+
+  /**
+   * Handle unit change (PX/REM switch)
+   *
+   * Updates unit type setting, button states, and recalculates all displays.
+   *
+   * @param {Event} event - Click event from unit button
+   * @since 1.0
+   */
+  function handleUnitChange(event) {
+    const selectedUnit = event.target.getAttribute("data-unit");
+
+    fluispfoAjax.data.settings.unitType = selectedUnit;
+
+    document
+      .querySelectorAll(".unit-button")
+      .forEach((btn) => btn.classList.remove("active"));
+    event.target.classList.add("active");
+
+    updateDataTableValues(getSelectedBaseId());
+    updateCSSOutputs();
+
+    if (
+      window.FluidSpaceForge &&
+      window.FluidSpaceForge.SampleSpaceController
+    ) {
+      window.FluidSpaceForge.SampleSpaceController.updatePreview();
+    }
+
+    // Save unit type immediately (control setting)
+    if (window.FluidSpaceForge && window.FluidSpaceForge.AutosaveManager) {
+      window.FluidSpaceForge.AutosaveManager.saveControlSettings();
+    }
+  }
+
+  /**
+   * Handle front-end output format checkbox change
+   *
+   * Stores the checked formats in settings. Like other data settings,
+   * the selection reaches the site on the next save.
+   *
+   * @since 1.3.0
+   */
+  function handleFrontendFormatChange() {
+    const checked = document.querySelectorAll(".frontend-format-toggle:checked");
+    fluispfoAjax.data.settings.frontendFormats = Array.from(checked).map(
+      (toggle) => toggle.value
+    );
+
+    // Not reflected in the output, so record it directly
+    window.FluidSpaceForge.HistoryManager.commit();
+  }
+
+  /**
+   * Handle utility family checkbox change
+   *
+   * Stores the checked families and regenerates the Utilities output.
+   * Like other data settings, the selection is saved on the next save.
+   *
+   * @since 1.3.0
+   */
+  function handleUtilityFamilyChange() {
+    const checked = document.querySelectorAll(".utility-family-toggle:checked");
+    fluispfoAjax.data.settings.utilityFamilies = Array.from(checked).map(
+      (toggle) => toggle.value
+    );
+
+    updateCSSOutputs();
+  }
+
+  /**
+   * Handle utility naming pattern input
+   *
+   * Valid patterns replace the family default; an empty field restores it.
+   * Invalid patterns are flagged and ignored until corrected.
+   *
+   * @param {Event} event - Input event from a pattern field
+   * @since 1.3.0
+   */
+  function handleUtilityPatternInput(event) {
+    const input = event.target;
+    const family = input.getAttribute("data-family");
+    const pattern = input.value.trim();
+    // Copy so an empty PHP array (JSON []) becomes an object before keys are set
+    const patterns = { ...fluispfoAjax.data.settings.utilityPatterns };
+
+    const isValid = pattern === "" || isValidUtilityPattern(family, pattern);
+    input.setAttribute("aria-invalid", isValid ? "false" : "true");
+
+    if (pattern === "" || !isValid) {
+      delete patterns[family];
+    } else {
+      patterns[family] = pattern;
+    }
+    fluispfoAjax.data.settings.utilityPatterns = patterns;
+
+    updateCSSOutputs();
+  }
+
+  /**
+   * Handle logical properties checkbox change
+   *
+   * Switches utilities between physical (mt-, ml-) and logical (mbs-, ms-)
+   * properties and regenerates the output. Saved on the next save.
+   *
+   * @param {Event} event - Change event from the checkbox
+   * @since 1.3.0
+   */
+  function handleLogicalPropertiesChange(event) {
+    fluispfoAjax.data.settings.logicalProperties = event.target.checked;
+
+    updateCSSOutputs();
+  }
+
+  /**
+   * Handle breakpoints or breakpoint output change
+   *
+   * Parses "viewport:base:ratio" entries into settings.breakpoints. An
+   * entry outside the viewport, max space or ratio range is flagged and
+   * skipped. Anchors outside the min/max viewport are ignored by the
+   * calculations. Saved on the next save.
+   *
+   * @since 1.3.0
+   */
+  function handleBreakpointsChange() {
+    const settings = fluispfoAjax.data.settings;
+    const constants = fluispfoAjax.constants;
+    const input = document.getElementById("breakpoints-input");
+
+    settings.piecewiseOutput = document.getElementById("piecewise-output")?.value || "media";
+
+    if (input) {
+      const entries = input.value
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+      const breakpoints = entries
+        .map((entry) => {
+          const [viewport, baseSpace, scale] = entry.split(":").map(Number);
+          return { viewport, baseSpace, scale };
+        })
+        .filter(
+          ({ viewport, baseSpace, scale }) =>
+            Number.isInteger(viewport) &&
+            viewport >= constants.VIEWPORT_RANGE[0] &&
+            viewport <= constants.VIEWPORT_RANGE[1] &&
+            Number.isInteger(baseSpace) &&
+            baseSpace >= constants.MAX_BASE_SPACE_RANGE[0] &&
+            baseSpace <= constants.MAX_BASE_SPACE_RANGE[1] &&
+            scale >= constants.SCALE_RANGE[0] &&
+            scale <= constants.SCALE_RANGE[1]
+        )
+        .sort((a, b) => a.viewport - b.viewport);
+      input.setAttribute(
+        "aria-invalid",
+        breakpoints.length !== entries.length ? "true" : "false"
+      );
+      settings.breakpoints = breakpoints;
+    }
+
+    updateCSSOutputs();
+
+    if (
+      window.FluidSpaceForge &&
+      window.FluidSpaceForge.SampleSpaceController
+    ) {
+      window.FluidSpaceForge.SampleSpaceController.updatePreview();
+    }
+  }
+
+  /**
+   * Handle scale generator, grid unit or custom multipliers change
+   *
+   * Reads all three controls, shows the options of the selected generator
+   * and recalculates the table, previews and output. Custom multipliers
+   * that are not positive numbers are flagged and skipped. Saved on the
+   * next save.
+   *
+   * @since 1.3.0
+   */
+  function handleScaleGeneratorChange() {
+    const settings = fluispfoAjax.data.settings;
+    const generator = document.getElementById("scale-generator")?.value || "ratio";
+    const multipliersInput = document.getElementById("custom-multipliers");
+
+    settings.scaleGenerator = generator;
+    settings.gridUnit =
+      parseInt(document.getElementById("grid-unit")?.value) ||
+      fluispfoAjax.constants.DEFAULT_GRID_UNIT;
+
+    if (multipliersInput) {
+      const entries = multipliersInput.value
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+      const multipliers = entries
+        .map(Number)
+        .filter((value) => Number.isFinite(value) && value > 0);
+      multipliersInput.setAttribute(
+        "aria-invalid",
+        multipliers.length !== entries.length ? "true" : "false"
+      );
+      settings.customMultipliers = multipliers;
+    }
+
+    const gridControl = document.getElementById("grid-unit-control");
+    if (gridControl) {
+      gridControl.style.display = generator === "grid" ? "block" : "none";
+    }
+    const customControl = document.getElementById("custom-multipliers-control");
+    if (customControl) {
+      customControl.style.display = generator === "custom" ? "block" : "none";
+    }
+
+    const panelContainer = document.getElementById("sizes-table-container");
+    if (panelContainer) {
+      panelContainer.innerHTML = generatePanelContent(
+        document.querySelector(".tab-button.active")?.getAttribute("data-tab") ||
+          "class"
+      );
+      attachEventListeners();
+    }
+
+    updateCSSOutputs();
+
+    if (
+      window.FluidSpaceForge &&
+      window.FluidSpaceForge.SampleSpaceController
+    ) {
+      window.FluidSpaceForge.SampleSpaceController.updatePreview();
+    }
+  }
+
+  /**
+   * Render the ratio comparison table
+   *
+   * Shows every row of the current tab with its current min/max next to
+   * the values it would get if candidate ratio A or B were used at both
+   * viewport ends. Skipped while the comparison is collapsed.
+   *
+   * @since 1.3.0
+   */
+  function renderRatioComparison() {
+    const details = document.getElementById("ratio-compare");
+    const container = document.getElementById("ratio-compare-table");
+    if (!details || !container || !details.open) return;
+
+    const currentTab =
+      document.querySelector(".tab-button.active")?.getAttribute("data-tab") ||
+      "class";
+    const settings = fluispfoAjax.data.settings;
+    const selectedBaseId = getSelectedBaseId();
+    const candidates = ["a", "b"].map((key) => ({
+      key,
+      ratio: parseFloat(document.getElementById(`compare-ratio-${key}`)?.value),
+    }));
+
+    const describe = (calc) => `${calc.minUnit} – ${calc.maxUnit}`;
+    const rows = getDataArray(currentTab)
+      .map((size) => {
+        const current = window.FluidSpaceForge.Calculations.calculateSpaceSize(
+          size.id,
+          settings,
+          selectedBaseId,
+          currentTab
+        );
+        const cells = candidates
+          .map(({ ratio }) => {
+            const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
+              size.id,
+              { ...settings, minScale: ratio, maxScale: ratio },
+              selectedBaseId,
+              currentTab
+            );
+            const changed = calc.min !== current.min || calc.max !== current.max;
+            return `<td${changed ? ' class="ratio-changed"' : ""}>${describe(calc)}</td>`;
+          })
+          .join("");
+        return `<tr><td>${getSizeName(size, currentTab)}</td><td>${describe(current)}</td>${cells}</tr>`;
+      })
+      .join("");
+
+    container.innerHTML = `
+        <table class="fcc-ratio-compare-table">
+            <thead>
+                <tr>
+                    <th>Size</th>
+                    <th>Current</th>
+                    ${candidates
+                      .map(
+                        ({ key, ratio }) => `<th>${key.toUpperCase()} (${ratio})
+                    <button type="button" class="fcc-btn ratio-apply-btn" data-ratio="${ratio}"
+                        data-tooltip="Use ${ratio} as both the min and max viewport ratio">apply</button></th>`
+                      )
+                      .join("")}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+  }
+
+  /**
+   * Render the accessibility check
+   *
+   * Runs Calculations.checkZoomSafety() on every row of the current tab.
+   * The flagged count is always shown in the summary; the list of flagged
+   * sizes only while the check is expanded. A "make zoom-safe" button is
+   * offered while px output is among the issues.
+   *
+   * @since 1.3.0
+   */
+  function renderZoomCheck() {
+    const details = document.getElementById("zoom-check");
+    const container = document.getElementById("zoom-check-results");
+    const count = document.getElementById("zoom-check-count");
+    if (!details || !container) return;
+
+    const Calculations = window.FluidSpaceForge.Calculations;
+    const currentTab =
+      document.querySelector(".tab-button.active")?.getAttribute("data-tab") ||
+      "class";
+    const settings = fluispfoAjax.data.settings;
+    const selectedBaseId = getSelectedBaseId();
+    const messages = {
+      ratio: (ratio) =>
+        `grows ${ratio.toFixed(1)}× - above ${Calculations.ZOOM_MAX_RATIO}× text zoom cannot reach 200% at every width`,
+      "vw-only": () => "no fixed part - the preferred value ignores text zoom",
+      px: () => "px values ignore the browser font-size preference",
+    };
+
+    const flagged = getDataArray(currentTab)
+      .map((size) => {
+        const points = Calculations.calculateAnchorValues(size.id, settings, selectedBaseId, currentTab);
+        const values = points.map((point) => point.value);
+        const ratio = Math.max(...values) / Math.min(...values);
+        return {
+          size,
+          issues: Calculations.checkZoomSafety(points, settings).map((issue) => messages[issue](ratio)),
+        };
+      })
+      .filter(({ issues }) => issues.length);
+
+    if (count) {
+      count.textContent = flagged.length ? `(${flagged.length} flagged)` : "(all pass)";
+    }
+    if (!details.open) return;
+
+    if (!flagged.length) {
+      container.innerHTML = `<p class="zoom-check-pass">Every size follows text zoom.</p>`;
+      return;
+    }
+
+    const pxOutput = Calculations.getOutputUnit(settings.unitType, settings) === "px";
+    container.innerHTML = `
+        <ul class="fcc-zoom-check-list">
+            ${flagged
+              .map(
+                ({ size, issues }) =>
+                  `<li><strong>${getSizeName(size, currentTab)}</strong>: ${issues.join("; ")}</li>`
+              )
+              .join("")}
+        </ul>
+        ${
+          pxOutput
+            ? `<button type="button" class="fcc-btn zoom-safe-btn"
+                data-tooltip="Regenerate with rem bounds and a rem fixed part in every clamp()">make zoom-safe</button>`
+            : ""
+        }
+    `;
+  }
+
+  /**
+   * Handle the "make zoom-safe" button click
+   *
+   * Turns on zoom-safe output and regenerates. Saved on the next save.
+   *
+   * @param {Event} event - Click event delegated from the check
+   * @since 1.3.0
+   */
+  function handleZoomSafeClick(event) {
+    if (!event.target.closest(".zoom-safe-btn")) return;
+
+    const toggle = document.getElementById("zoom-safe-toggle");
+    if (toggle) {
+      toggle.checked = true;
+    }
+    handleZoomSafeChange();
+  }
+
+  /**
+   * Handle zoom-safe output checkbox change
+   *
+   * @since 1.3.0
+   */
+  function handleZoomSafeChange() {
+    fluispfoAjax.data.settings.zoomSafe =
+      document.getElementById("zoom-safe-toggle")?.checked || false;
+
+    updateCSSOutputs();
+  }
+
+  /**
+   * Handle a ratio comparison apply button click
+   *
+   * Sets both scale pickers to the candidate ratio and recalculates as
+   * if the pickers had been changed by hand. Saved on the next save.
+   *
+   * @param {Event} event - Click event delegated from the comparison
+   * @since 1.3.0
+   */
+  function handleRatioApplyClick(event) {
+    const button = event.target.closest(".ratio-apply-btn");
+    if (!button) return;
+
+    const ratio = parseFloat(button.getAttribute("data-ratio"));
+    ["min-scale", "max-scale"].forEach((id) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      const option = Array.from(select.options).find(
+        (item) => parseFloat(item.value) === ratio
+      );
+      if (option) {
+        select.value = option.value;
+      }
+    });
+
+    handleSettingsChange();
+  }
+
+  /**
+   * Handle negative sizes checkbox change
+   *
+   * Adds or removes the negated variables (--sp-neg-md) and -prefixed
+   * utilities (.-mt-md) and regenerates the output. Saved on the next save.
+   *
+   * @param {Event} event - Change event from the checkbox
+   * @since 1.3.0
+   */
+  function handleNegativeTokensChange(event) {
+    fluispfoAjax.data.settings.negativeTokens = event.target.checked;
+
+    updateCSSOutputs();
+  }
+
+  /**
+   * Handle root font size or precision change
+   *
+   * Clamps each input to its range, stores the values and recalculates
+   * the table, previews and output. Saved on the next save.
+   *
+   * @param {Event} event - Change event from one of the inputs
+   * @since 1.3.0
+   */
+  function handleFormatOptionsChange(event) {
+    const settings = fluispfoAjax.data.settings;
+    const constants = fluispfoAjax.constants;
+    const fields = {
+      "root-font-size": ["rootFontSize", constants.ROOT_FONT_SIZE_RANGE, constants.BROWSER_DEFAULT_FONT_SIZE],
+      "rem-precision": ["remPrecision", constants.PRECISION_RANGE, constants.DEFAULT_REM_PRECISION],
+      "coefficient-precision": ["coefficientPrecision", constants.PRECISION_RANGE, constants.DEFAULT_COEFFICIENT_PRECISION],
+    };
+
+    Object.entries(fields).forEach(([id, [key, range, fallback]]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+
+      const value = key === "rootFontSize" ? parseFloat(input.value) : parseInt(input.value);
+      const corrected = isNaN(value) ? fallback : Math.min(range[1], Math.max(range[0], value));
+      if (input === event?.target && corrected !== value) {
+        showValidationError(input, `Must be a number between ${range[0]} and ${range[1]}`);
+      }
+      input.value = corrected;
+      settings[key] = corrected;
+    });
+
+    handleSettingsChange();
+  }
+
+  /**
+   * Handle fluid unit or container helper change
+   *
+   * Switches the preferred value between vw and the cqi/cqw container
+   * units, shows the container helper toggle for container units and
+   * regenerates the output. Saved on the next save.
+   *
+   * @since 1.3.0
+   */
+  function handleFluidUnitChange() {
+    const settings = fluispfoAjax.data.settings;
+
+    settings.fluidUnit = document.getElementById("fluid-unit")?.value || "vw";
+    settings.containerHelper =
+      document.getElementById("container-helper-toggle")?.checked || false;
+
+    const helperControl = document.getElementById("container-helper-control");
+    if (helperControl) {
+      helperControl.style.display = usesContainerUnit(settings) ? "flex" : "none";
     }
 
-    descParagraph.innerHTML = description;
+    updateCSSOutputs();
   }
 
   /**
-   * Handle unit change (PX/REM switch)
+   * Handle output format selector change
    *
-   * Updates unit type setting, button states, and recalculates all displays.
+   * Re-renders the Generated CSS panel in the chosen format. Saved
+   * immediately like other view preferences.
    *
-   * @param {Event} event - Click event from unit button
-   * @since 1.0
+   * @param {Event} event - Change event from the output format select
+   * @since 1.3.0
    */
-  function handleUnitChange(event) {
-    const selectedUnit = event.target.getAttribute("data-unit");
+  function handleOutputFormatChange(event) {
+    fluispfoAjax.data.settings.outputFormat = event.target.value;
 
-    fluispfoAjax.data.settings.unitType = selectedUnit;
-
-    document
-      .querySelectorAll(".unit-button")
-      .forEach((btn) => btn.classList.remove("active"));
-    event.target.classList.add("active");
-
-    updateDataTableValues(getSelectedBaseId());
+    updateOutputTitle();
     updateCSSOutputs();
 
-    if (
-      window.FluidSpaceForge &&
-      window.FluidSpaceForge.SampleSpaceController
-    ) {
-      window.FluidSpaceForge.SampleSpaceController.updatePreview();
-    }
-
-    // Save unit type immediately (control setting)
+    // Save output format immediately (control setting)
     if (window.FluidSpaceForge && window.FluidSpaceForge.AutosaveManager) {
       window.FluidSpaceForge.AutosaveManager.saveControlSettings();
     }
   }
 
+  /**
+   * Update the Generated CSS panel title for the current output format
+   *
+   * @since 1.3.0
+   */
+  function updateOutputTitle() {
+    const title = document.getElementById("generated-code-title");
+    const select = document.getElementById("output-format");
+    if (!title || !select) return;
+
+    title.textContent = select.options[select.selectedIndex].dataset.title;
+  }
+
   /**
    * Handle edit button click
    *
@@ -1338,10 +2710,17 @@
       sizeId,
       currentValue,
       "edit",
-      (value) => {
+      (value, extras) => {
         const propertyName = getPropertyName(currentTab);
         const updateData = { [propertyName]: value };
 
+        const extrasError =
+          applySizeProperties(updateData, extras) ||
+          applySizePinnedValues(updateData, extras);
+        if (extrasError) {
+          return "Validation Error: " + extrasError;
+        }
+
         const validationError = validateEntryData(
           updateData,
           currentTab,
@@ -1357,6 +2736,11 @@
         const itemIndex = targetArray.findIndex((item) => item.id === sizeId);
         if (itemIndex !== -1) {
           Object.assign(targetArray[itemIndex], updateData);
+          ["properties", "min", "max"].forEach((field) => {
+            if (updateData[field] === undefined) {
+              delete targetArray[itemIndex][field];
+            }
+          });
         }
 
         const panelContainer = document.getElementById("sizes-table-container");
@@ -1367,10 +2751,93 @@
 
         updateCSSOutputs();
         return true;
+      },
+      {
+        ...getSizePropertiesOptions(currentTab, currentData),
+        pinned: {
+          min: currentData && currentData.min !== undefined ? currentData.min : "",
+          max: currentData && currentData.max !== undefined ? currentData.max : "",
+        },
       }
     );
   }
 
+  /**
+   * Get the edit modal options for a size's own properties
+   *
+   * Only class sizes can override the tab-wide properties.
+   *
+   * @param {string} tabType - Tab identifier
+   * @param {Object|null} size - Size being edited, or null when adding
+   * @returns {Object} Options for ModalManager.showEditModal()
+   * @since 1.3.0
+   */
+  function getSizePropertiesOptions(tabType, size) {
+    if (tabType !== "class") {
+      return {};
+    }
+
+    const settings = fluispfoAjax.data.settings;
+    return {
+      properties: size && Array.isArray(size.properties) ? size.properties.join(", ") : "",
+      propertiesPlaceholder: `Tab default: ${(
+        settings.classProperties || fluispfoAjax.constants.DEFAULT_CLASS_PROPERTIES
+      ).join(", ")}`,
+    };
+  }
+
+  /**
+   * Copy the modal's per-size properties onto the update data
+   *
+   * @param {Object} updateData - Size fields being saved
+   * @param {Object} extras - Extra modal values ({ properties })
+   * @returns {string|null} Error message, or null when valid
+   * @since 1.3.0
+   */
+  function applySizeProperties(updateData, extras) {
+    if (!extras || extras.properties === undefined) {
+      return null;
+    }
+
+    const { properties, invalid } = parseCssPropertyList(extras.properties);
+    if (invalid.length) {
+      return `Invalid CSS property: ${invalid.join(", ")}`;
+    }
+    if (properties.length) {
+      updateData.properties = properties;
+    }
+    return null;
+  }
+
+  /**
+   * Copy the modal's pinned min/max values onto the update data
+   *
+   * Empty fields leave that end computed from the scale.
+   *
+   * @param {Object} updateData - Size fields being saved
+   * @param {Object} extras - Extra modal values ({ min, max })
+   * @returns {string|null} Error message, or null when valid
+   * @since 1.3.0
+   */
+  function applySizePinnedValues(updateData, extras) {
+    if (!extras) {
+      return null;
+    }
+
+    for (const field of ["min", "max"]) {
+      const raw = extras[field];
+      if (raw === undefined || raw === "") {
+        continue;
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        return `Pinned ${field} must be a number of pixels, 0 or more`;
+      }
+      updateData[field] = value;
+    }
+    return null;
+  }
+
   /**
    * Handle add size button click
    *
@@ -1389,10 +2856,17 @@
       nextId,
       customName,
       "add",
-      (value) => {
+      (value, extras) => {
         const propertyName = getPropertyName(currentTab);
         const updateData = { [propertyName]: value };
 
+        const extrasError =
+          applySizeProperties(updateData, extras) ||
+          applySizePinnedValues(updateData, extras);
+        if (extrasError) {
+          return "Validation Error: " + extrasError;
+        }
+
         const validationError = validateEntryData(
           updateData,
           currentTab,
@@ -1416,7 +2890,8 @@
 
         updateCSSOutputs();
         return true;
-      }
+      },
+      { ...getSizePropertiesOptions(currentTab, null), pinned: {} }
     );
   }
 
@@ -1437,52 +2912,86 @@
   function handleSettingsReset() {
     window.FluidSpaceForge.ModalManager.showConfirmModal(
       "Reset Settings",
-      "Reset all settings to default values?\n\nThis will reset:\n- Min Space Size to 8px\n- Max Space Size to 12px\n- Min Viewport Width to 375px\n- Max Viewport Width to 1620px\n- Min Scale to 1.125 (Major Second)\n- Max Scale to 1.333 (Perfect Fourth)\n\nYour class or variable Base and Prefix will not be affected, but the sizes of your suffix entries could change.",
+      "Reset all settings to default values?\n\nThis will reset:\n- Min Space Size to 8px\n- Max Space Size to 12px\n- Min Viewport Width to 375px\n- Max Viewport Width to 1620px\n- Min Scale to 1.125 (Major Second)\n- Max Scale to 1.333 (Perfect Fourth)\n- Scale Generator to Ratio\n\nYour class or variable Base and Prefix will not be affected, but the sizes of your suffix entries could change.",
       () => {
-        // Get defaults from PHP constants
-        const defaults = window.fluispfoAjax?.defaults || {};
+        window.FluidSpaceForge.HistoryManager.group("Reset settings", () => {
+          // Get defaults from PHP constants
+          const defaults = window.fluispfoAjax?.defaults || {};
+
+          // Reset Min/Max Base Space
+          const minBaseInput = document.getElementById("min-base-space");
+          if (minBaseInput) {
+            minBaseInput.value = defaults.minBasespace || 8;
+          }
 
-        // Reset Min/Max Base Space
-        const minBaseInput = document.getElementById("min-base-space");
-        if (minBaseInput) {
-          minBaseInput.value = defaults.minBasespace || 8;
-        }
+          const maxBaseInput = document.getElementById("max-base-space");
+          if (maxBaseInput) {
+            maxBaseInput.value = defaults.maxBasespace || 12;
+          }
 
-        const maxBaseInput = document.getElementById("max-base-space");
-        if (maxBaseInput) {
-          maxBaseInput.value = defaults.maxBasespace || 12;
-        }
+          // Reset Min/Max Viewport Width
+          const minViewportInput = document.getElementById("min-viewport");
+          if (minViewportInput) {
+            minViewportInput.value = defaults.minViewport || 375;
+          }
 
-        // Reset Min/Max Viewport Width
-        const minViewportInput = document.getElementById("min-viewport");
-        if (minViewportInput) {
-          minViewportInput.value = defaults.minViewport || 375;
-        }
+          const maxViewportInput = document.getElementById("max-viewport");
+          if (maxViewportInput) {
+            maxViewportInput.value = defaults.maxViewport || 1620;
+          }
 
-        const maxViewportInput = document.getElementById("max-viewport");
-        if (maxViewportInput) {
-          maxViewportInput.value = defaults.maxViewport || 1620;
-        }
+          // Reset Min/Max Scale dropdowns
+          const minScaleSelect = document.getElementById("min-scale");
+          if (minScaleSelect) {
+            minScaleSelect.value = "1.125"; // Major Second
+          }
 
-        // Reset Min/Max Scale dropdowns
-        const minScaleSelect = document.getElementById("min-scale");
-        if (minScaleSelect) {
-          minScaleSelect.value = "1.125"; // Major Second
-        }
+          const maxScaleSelect = document.getElementById("max-scale");
+          if (maxScaleSelect) {
+            maxScaleSelect.value = "1.333"; // Perfect Fourth
+          }
 
-        const maxScaleSelect = document.getElementById("max-scale");
-        if (maxScaleSelect) {
-          maxScaleSelect.value = "1.333"; // Perfect Fourth
-        }
+          // Reset scale generator to the ratio scale
+          const scaleGeneratorSelect = document.getElementById("scale-generator");
+          if (scaleGeneratorSelect) {
+            scaleGeneratorSelect.value = "ratio";
+            handleScaleGeneratorChange();
+          }
+
+          // Reset root font size and precision
+          const rootFontSizeInput = document.getElementById("root-font-size");
+          if (rootFontSizeInput) {
+            rootFontSizeInput.value = window.fluispfoAjax.constants.BROWSER_DEFAULT_FONT_SIZE;
+            document.getElementById("rem-precision").value =
+              window.fluispfoAjax.constants.DEFAULT_REM_PRECISION;
+            document.getElementById("coefficient-precision").value =
+              window.fluispfoAjax.constants.DEFAULT_COEFFICIENT_PRECISION;
+            handleFormatOptionsChange();
+          }
 
-        // Trigger recalculation
-        handleSettingsChange();
+          // Reset fluid unit to the viewport
+          const fluidUnitSelect = document.getElementById("fluid-unit");
+          if (fluidUnitSelect) {
+            fluidUnitSelect.value = "vw";
+            handleFluidUnitChange();
+          }
 
-        // Show success notification
-        window.FluidSpaceForge.ModalManager.showNotification(
-          "Settings reset to defaults",
-          "success"
-        );
+          // Clear breakpoints back to the two-viewport scale
+          const breakpointsInput = document.getElementById("breakpoints-input");
+          if (breakpointsInput) {
+            breakpointsInput.value = "";
+            handleBreakpointsChange();
+          }
+
+          // Trigger recalculation
+          handleSettingsChange();
+
+          // Show success notification
+          window.FluidSpaceForge.ModalManager.showNotification(
+            "Settings reset to defaults",
+            "success"
+          );
+        });
       },
       null,
       { confirmText: "Reset", isDangerous: false }
@@ -1499,47 +3008,53 @@
       "Confirm Action",
       `Reset ${displayName} to defaults?\n\nThis will replace all current entries with the original default sizes.\n\nAny custom entries will be lost.`,
       () => {
-        restoreDefaults(currentTab);
-
-        // Reset base to "md" (id 3) for the current tab
-        const baseIdKey =
-          currentTab === "class"
-            ? "selectedClassSizeId"
-            : currentTab === "vars"
-            ? "selectedVariableSizeId"
-            : "selectedUtilitySizeId";
-        fluispfoAjax.data.settings[baseIdKey] = 3; // md is id 3
-
-        // Reset prefix based on tab type
-        if (currentTab === "class") {
-          fluispfoAjax.data.settings.classPrefix = "space";
-        } else if (currentTab === "vars") {
-          fluispfoAjax.data.settings.variablePrefix = "sp";
-        }
-        // Utilities tab has no prefix
-
-        const panelContainer = document.getElementById("sizes-table-container");
-        if (panelContainer) {
-          panelContainer.innerHTML = generatePanelContent(currentTab);
-          attachEventListeners();
-        }
-
-        // Update prefix input value after panel regeneration
-        const prefixInput = document.getElementById("prefix-input");
-        if (prefixInput) {
+        window.FluidSpaceForge.HistoryManager.group(`Reset ${displayName}`, () => {
+          restoreDefaults(currentTab);
+
+          // Reset base to "md" (id 3) for the current tab
+          const baseIdKey =
+            currentTab === "class"
+              ? "selectedClassSizeId"
+              : currentTab === "vars"
+              ? "selectedVariableSizeId"
+              : "selectedUtilitySizeId";
+          fluispfoAjax.data.settings[baseIdKey] = 3; // md is id 3
+
+          // Reset prefix based on tab type
           if (currentTab === "class") {
-            prefixInput.value = "space";
+            fluispfoAjax.data.settings.classPrefix = "space";
+            fluispfoAjax.data.settings.classProperties = [
+              ...fluispfoAjax.constants.DEFAULT_CLASS_PROPERTIES,
+            ];
+            fluispfoAjax.data.settings.classCompanions = [];
           } else if (currentTab === "vars") {
-            prefixInput.value = "sp";
+            fluispfoAjax.data.settings.variablePrefix = "sp";
           }
-        }
+          // Utilities tab has no prefix
 
-        // Update generates text to reflect new prefix
-        updateGeneratesText();
+          const panelContainer = document.getElementById("sizes-table-container");
+          if (panelContainer) {
+            panelContainer.innerHTML = generatePanelContent(currentTab);
+            attachEventListeners();
+          }
 
-        updateDataTableValues(3); // Use md (id 3) as base
-        updateCSSOutputs();
-        showResetNotification(displayName);
+          // Update prefix input value after panel regeneration
+          const prefixInput = document.getElementById("prefix-input");
+          if (prefixInput) {
+            if (currentTab === "class") {
+              prefixInput.value = "space";
+            } else if (currentTab === "vars") {
+              prefixInput.value = "sp";
+            }
+          }
+
+          // Update generates text to reflect new prefix
+          updateGeneratesText();
+
+          updateDataTableValues(3); // Use md (id 3) as base
+          updateCSSOutputs();
+          showResetNotification(displayName);
+        });
       },
       null,
       { confirmText: "confirm", isDangerous: false }
@@ -1568,7 +3083,7 @@
 
     window.FluidSpaceForge.ModalManager.showConfirmModal(
       "Delete Size",
-      `Delete "${itemName}"?\n\nThis action cannot be undone.`,
+      `Delete "${itemName}"?\n\nYou can undo this with Ctrl+Z or the undo button.`,
       () => {
         const itemIndex = currentData.findIndex((item) => item.id === sizeId);
         if (itemIndex !== -1) {
@@ -1589,6 +3104,36 @@
     );
   }
 
+  /**
+   * Handle revert button click
+   *
+   * Drops a row's pinned min/max so both values are computed from the
+   * scale again.
+   *
+   * @param {Event} event - Click event from revert button
+   * @since 1.3.0
+   */
+  function handleRevertPinned(event) {
+    const sizeId = parseInt(event.currentTarget.getAttribute("data-id"));
+    const currentTab =
+      document.querySelector(".tab-button.active")?.getAttribute("data-tab") ||
+      "class";
+    const size = getDataArray(currentTab).find((item) => item.id === sizeId);
+
+    if (!size) return;
+
+    delete size.min;
+    delete size.max;
+
+    const panelContainer = document.getElementById("sizes-table-container");
+    if (panelContainer) {
+      panelContainer.innerHTML = generatePanelContent(currentTab);
+      attachEventListeners();
+    }
+
+    updateCSSOutputs();
+  }
+
   /**
    * Handle clear all button click
    *
@@ -1607,6 +3152,7 @@
       "Confirm Action",
       `Are you sure you want to clear all ${displayName}?\n\nThis will remove all ${currentData.length} entries from the current tab.\n\nYou can undo this action immediately after.`,
       () => {
+        const clearedCount = currentData.length;
         getDataArray(currentTab).length = 0;
 
         const panelContainer = document.getElementById("sizes-table-container");
@@ -1622,7 +3168,7 @@
         }
 
         updateCSSOutputs();
-        showUndoNotification(displayName, currentData, currentTab);
+        showUndoNotification(displayName, clearedCount);
       },
       null,
       { confirmText: "confirm", isDangerous: true }
@@ -1633,7 +3179,7 @@
    * Handle row selection click
    *
    * Updates visual selection state and displays CSS for selected row.
-   * Ignores clicks on edit/delete buttons.
+   * Ignores clicks on edit/delete/revert buttons.
    *
    * @param {Event} event - Click event from table row
    * @since 1.0
@@ -1641,7 +3187,8 @@
   function handleRowSelection(event) {
     if (
       event.target.closest(".edit-size") ||
-      event.target.closest(".delete-size")
+      event.target.closest(".delete-size") ||
+      event.target.closest(".revert-size")
     ) {
       return;
     }
@@ -1831,7 +3378,8 @@
   /**
    * Update CSS outputs
    *
-   * Regenerates CSS code and preview panels for current tab.
+   * Regenerates CSS code and preview panels for current tab. Every edit
+   * ends here, so this is also where it is recorded in the undo history.
    *
    * @since 1.0
    */
@@ -1840,18 +3388,176 @@
       document.querySelector(".tab-button.active")?.getAttribute("data-tab") ||
       "class";
     const selectedBaseId = getSelectedBaseId();
-    const settings = fluispfoAjax.data.settings;
-
     const currentSizes = getDataArray(currentTab);
-    const cssGenerator = getCSSGenerator(currentTab);
-    const css = cssGenerator(currentSizes, settings, selectedBaseId);
 
     const generatedCode = document.getElementById("generated-code");
     if (generatedCode) {
-      generatedCode.textContent = css;
+      generatedCode.textContent = generateOutput(currentTab);
     }
 
     generatespacePreview(currentTab, currentSizes, selectedBaseId);
+    renderRatioComparison();
+    renderZoomCheck();
+
+    window.FluidSpaceForge.HistoryManager.commit();
+  }
+
+  /**
+   * Render the editor after an undo or redo
+   *
+   * HistoryManager has already written the restored settings and sizes
+   * into fluispfoAjax.data; this brings the settings controls, the sizes
+   * table, output and previews in line with them. Nothing is saved: the
+   * restored state is an unsaved edit until Save or autosave.
+   *
+   * @since 1.3.0
+   */
+  function renderHistoryState() {
+    const currentTab =
+      document.querySelector(".tab-button.active")?.getAttribute("data-tab") ||
+      "class";
+
+    syncSettingsControls();
+
+    const panelContainer = document.getElementById("sizes-table-container");
+    if (panelContainer) {
+      panelContainer.innerHTML = generatePanelContent(currentTab);
+      attachEventListeners();
+
+      const prefixInput = document.getElementById("prefix-input");
+      if (prefixInput) {
+        if (currentTab === "class") {
+          prefixInput.value = fluispfoAjax.data.settings.classPrefix || "space";
+        } else if (currentTab === "vars") {
+          prefixInput.value = fluispfoAjax.data.settings.variablePrefix || "sp";
+        }
+      }
+      updateGeneratesText();
+    }
+
+    updateDataTableValues(getSelectedBaseId());
+    updateCSSOutputs();
+
+    if (window.FluidSpaceForge.SampleSpaceController) {
+      window.FluidSpaceForge.SampleSpaceController.updatePreview();
+    }
+  }
+
+  /**
+   * Replace the scale settings and size lists with a starter
+   *
+   * Called by StarterLibrary once the load is confirmed. The size lists
+   * are refilled in place, as on undo, and the whole load is one history
+   * entry. Only the editor changes; the starter is saved with the next
+   * Save or autosave, like any other edit.
+   *
+   * @param {Object} starter - Starter from StarterLibrary.build()
+   * @since 1.3.0
+   */
+  function loadStarter(starter) {
+    const data = fluispfoAjax.data;
+
+    window.FluidSpaceForge.HistoryManager.group(`Load ${starter.name}`, () => {
+      Object.assign(data.settings, starter.settings);
+      Object.entries(starter.sizes).forEach(([list, sizes]) => {
+        data[list].splice(0, data[list].length, ...sizes);
+      });
+      renderHistoryState();
+    });
+  }
+
+  /**
+   * Set the settings panel controls from fluispfoAjax.data.settings
+   *
+   * The reverse of the settings handlers, used after an undo or redo.
+   * Sets values and visibility only, without calling the handlers.
+   *
+   * @since 1.3.0
+   */
+  function syncSettingsControls() {
+    const settings = fluispfoAjax.data.settings;
+    const constants = fluispfoAjax.constants;
+
+    const values = {
+      "min-base-space": settings.minBasespace,
+      "max-base-space": settings.maxBasespace,
+      "min-viewport": settings.minViewport,
+      "max-viewport": settings.maxViewport,
+      "root-font-size": settings.rootFontSize ?? constants.BROWSER_DEFAULT_FONT_SIZE,
+      "rem-precision": settings.remPrecision ?? constants.DEFAULT_REM_PRECISION,
+      "coefficient-precision":
+        settings.coefficientPrecision ?? constants.DEFAULT_COEFFICIENT_PRECISION,
+      "scale-generator": settings.scaleGenerator || "ratio",
+      "grid-unit": settings.gridUnit || constants.DEFAULT_GRID_UNIT,
+      "custom-multipliers": (settings.customMultipliers || []).join(", "),
+      "fluid-unit": settings.fluidUnit || "vw",
+      "piecewise-output": settings.piecewiseOutput || "media",
+      "breakpoints-input": (settings.breakpoints || [])
+        .map((point) => `${point.viewport}:${point.baseSpace}:${point.scale}`)
+        .join(", "),
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const control = document.getElementById(id);
+      if (control) {
+        control.value = value;
+        control.removeAttribute("aria-invalid");
+      }
+    });
+
+    // Ratio pickers list the named ratios plus any saved custom one
+    ["min-scale", "max-scale"].forEach((id) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      const ratio = parseFloat(settings[id === "min-scale" ? "minScale" : "maxScale"]);
+      const option = Array.from(select.options).find(
+        (item) => Math.abs(parseFloat(item.value) - ratio) < 0.0005
+      );
+      select.value = option ? option.value : select.value;
+    });
+
+    const checkboxes = {
+      "container-helper-toggle": settings.containerHelper,
+      "zoom-safe-toggle": settings.zoomSafe,
+      "logical-properties-toggle": settings.logicalProperties,
+      "negative-tokens-toggle": settings.negativeTokens,
+    };
+    Object.entries(checkboxes).forEach(([id, checked]) => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) {
+        checkbox.checked = Boolean(checked);
+      }
+    });
+
+    document.querySelectorAll(".frontend-format-toggle").forEach((toggle) => {
+      toggle.checked = (settings.frontendFormats || []).includes(toggle.value);
+    });
+    document.querySelectorAll(".utility-family-toggle").forEach((toggle) => {
+      toggle.checked = (settings.utilityFamilies || []).includes(toggle.value);
+    });
+    document.querySelectorAll(".utility-pattern-input").forEach((input) => {
+      input.value = (settings.utilityPatterns || {})[input.getAttribute("data-family")] || "";
+      input.removeAttribute("aria-invalid");
+    });
+
+    document.querySelectorAll(".unit-button").forEach((button) => {
+      const isActive = button.getAttribute("data-unit") === settings.unitType;
+      button.classList.toggle("active", isActive);
+      button.setAttribute("aria-pressed", isActive ? "true" : "false");
+    });
+
+    const gridControl = document.getElementById("grid-unit-control");
+    if (gridControl) {
+      gridControl.style.display = settings.scaleGenerator === "grid" ? "block" : "none";
+    }
+    const customControl = document.getElementById("custom-multipliers-control");
+    if (customControl) {
+      customControl.style.display = settings.scaleGenerator === "custom" ? "block" : "none";
+    }
+    const helperControl = document.getElementById("container-helper-control");
+    if (helperControl) {
+      helperControl.style.display = usesContainerUnit(settings) ? "flex" : "none";
+    }
   }
 
   // ========================================================================
@@ -1894,6 +3600,47 @@
     }
   }
 
+  /**
+   * Get the entries shown in the preview panels
+   *
+   * Every size, plus the space pairs on the Variables tab (named like
+   * "sm-xl", previewing the from-size min and the to-size max).
+   *
+   * @param {Array} sizes - Array of size objects
+   * @param {Object} settings - Settings object
+   * @param {string} tabType - Tab identifier: 'class', 'vars', or 'utils'
+   * @param {number} selectedBaseId - ID of the base reference size
+   * @returns {Array<Object>} Items with name and calc ({ min, max })
+   * @since 1.3.0
+   */
+  function getPreviewItems(sizes, settings, tabType, selectedBaseId) {
+    const items = sizes.map((size) => ({
+      name: getSizeName(size, tabType),
+      calc: window.FluidSpaceForge.Calculations.calculateSpaceSize(
+        size.id,
+        settings,
+        selectedBaseId
+      ),
+    }));
+
+    if (tabType === "vars") {
+      getSpacePairs(sizes, settings).forEach((pair) => {
+        items.push({
+          name: `${getSizeName(pair.from, tabType)}-${getSizeName(pair.to, tabType)}`,
+          calc: window.FluidSpaceForge.Calculations.calculateSpacePair(
+            pair.from.id,
+            pair.to.id,
+            settings,
+            selectedBaseId,
+            "vars"
+          ),
+        });
+      });
+    }
+
+    return items;
+  }
+
   /**
    * Generate preview content for one container
    *
@@ -1920,19 +3667,13 @@
 
     return `
     <div style="font-family: Inter, -apple-system, BlinkMacSystemFont, sans-serif;">
-        ${sizes
-          .map((size) => {
-            const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
-              size.id,
-              settings,
-              selectedBaseId
-            );
+        ${getPreviewItems(sizes, settings, tabType, selectedBaseId)
+          .map(({ name, calc }) => {
             const spacePx = sizeType === "min" ? calc.min : calc.max;
-            const name = getSizeName(size, tabType);
 
             const displayValue =
               unitType === "rem"
-                ? `${(spacePx / 16).toFixed(3)}rem`
+                ? `${window.FluidSpaceForge.Calculations.formatRem(spacePx, settings)}rem`
                 : `${spacePx}px`;
             const cssValue = `${spacePx}px`;
 
@@ -1969,6 +3710,38 @@
   `;
   }
 
+  /**
+   * Render a starter's thumbnail for the starter gallery
+   *
+   * The max-viewport preview of the starter's sizes, scaled down by CSS.
+   * Calculations read the size lists from fluispfoAjax.data, so the
+   * starter's lists stand in for them during this synchronous render.
+   *
+   * @param {Object} starter - Starter from StarterLibrary.build()
+   * @returns {string} HTML string for the thumbnail
+   * @since 1.3.0
+   */
+  function renderStarterThumbnail(starter) {
+    const data = fluispfoAjax.data;
+    const saved = {};
+    Object.keys(starter.sizes).forEach((list) => {
+      saved[list] = data[list];
+      data[list] = starter.sizes[list];
+    });
+
+    try {
+      return generatePreviewContent(
+        starter.sizes.classSizes,
+        { ...data.settings, ...starter.settings },
+        "max",
+        "class",
+        starter.baseId
+      );
+    } finally {
+      Object.assign(data, saved);
+    }
+  }
+
   // ========================================================================
   // PANEL GENERATION
   // ========================================================================
@@ -2031,6 +3804,35 @@
       : (fluispfoAjax.data.settings.variablePrefix || "sp");
     html = html.replace(/{{PREFIX_VALUE}}/g, prefixValue);
 
+    // Classes tab property and companion controls
+    const settings = fluispfoAjax.data.settings;
+    html = html.replace(/{{CLASS_CONTROLS_DISPLAY}}/g, tabType === "class" ? "flex" : "none");
+    html = html.replace(
+      /{{CLASS_PROPERTIES_VALUE}}/g,
+      (settings.classProperties || fluispfoAjax.constants.DEFAULT_CLASS_PROPERTIES).join(", ")
+    );
+    html = html.replace(
+      /{{CLASS_COMPANIONS_VALUE}}/g,
+      (settings.classCompanions || [])
+        .map((companion) => `${companion.property}=${companion.pattern}`)
+        .join(", ")
+    );
+
+    // Variables tab space pair controls (pairs are stored by size ID)
+    html = html.replace(/{{PAIRS_CONTROL_DISPLAY}}/g, tabType === "vars" ? "flex" : "none");
+    html = html.replace(/{{PAIRS_AUTO_CHECKED}}/g, settings.spacePairsAuto ? "checked" : "");
+    html = html.replace(
+      /{{PAIRS_VALUE}}/g,
+      (settings.spacePairs || [])
+        .map((pair) => {
+          const from = (sizes || []).find((size) => size.id === pair.from);
+          const to = (sizes || []).find((size) => size.id === pair.to);
+          return from && to ? `${getSizeName(from, "vars")}:${getSizeName(to, "vars")}` : "";
+        })
+        .filter(Boolean)
+        .join(", ")
+    );
+
     // Handle empty state
     if (!sizes || sizes.length === 0) {
       html = html.replace("{{EMPTY_CLASS}}", "state-visible");
@@ -2086,22 +3888,39 @@
           tabType
         );
 
+        const Calculations = window.FluidSpaceForge.Calculations;
+        const minPinned = Calculations.isPinnedValue(size.min);
+        const maxPinned = Calculations.isPinnedValue(size.max);
+
         return `
         <tr class="size-row" draggable="true" data-id="${size.id}">
             <td class="drag-handle" style="cursor: grab; user-select: none; text-align: center;">⋮</td>
             <td>
-                <span class="size-name">${size[cfg.nameProperty]}</span>
+                <span class="size-name">${size[cfg.nameProperty]}</span>${
+                  tabType === "class" && Array.isArray(size.properties)
+                    ? `<small class="size-properties">${size.properties.join(", ")}</small>`
+                    : ""
+                }${
+                  minPinned || maxPinned
+                    ? `<small class="size-pinned">pinned</small>`
+                    : ""
+                }
             </td>
             <td>
-                <span class="calculated-value">${minCalc.minUnit}</span>
+                <span class="calculated-value${minPinned ? " pinned-value" : ""}">${minCalc.minUnit}</span>
             </td>
      <td>
-                <span class="calculated-value">${maxCalc.maxUnit}</span>
+                <span class="calculated-value${maxPinned ? " pinned-value" : ""}">${maxCalc.maxUnit}</span>
             </td>
             <td>
                 <button class="edit-size" data-id="${
                   size.id
-                }" data-tooltip="Edit this size entry">✎</button>
+                }" data-tooltip="Edit this size entry">✎</button>${
+                  minPinned || maxPinned
+                    ? `
+                <button class="revert-size" data-id="${size.id}" data-tooltip="Revert to computed values">↺</button>`
+                    : ""
+                }
                 <button class="delete-size" data-id="${
                   size.id
                 }" data-tooltip="Delete this size entry">🗑️</button>
@@ -2187,14 +4006,14 @@
    * Show undo notification
    *
    * Displays notification with undo button after clearing all sizes.
-   * Provides 10-second window to restore deleted data.
+   * The button is a shortcut for the undo history, which keeps the
+   * cleared sizes after the notification is gone.
    *
    * @param {string} tabName - Display name of the cleared tab
-   * @param {Array} backupData - Backup of cleared data for undo operation
-   * @param {string} tabType - Tab identifier: 'class', 'vars', or 'utils'
+   * @param {number} clearedCount - Number of sizes that were cleared
    * @since 1.0
    */
-  function showUndoNotification(tabName, backupData, tabType) {
+  function showUndoNotification(tabName, clearedCount) {
     const notification = document.createElement("div");
     notification.id = "clear-undo-notification";
     notification.style.cssText = `
@@ -2217,7 +4036,7 @@
 
     notification.innerHTML = `
         <div style="flex-grow: 1;">
-            <div style="font-weight: 600; margin-bottom: 4px;">Cleared ${backupData.length} ${tabName}</div>
+            <div style="font-weight: 600; margin-bottom: 4px;">Cleared ${clearedCount} ${tabName}</div>
             <div style="font-size: 12px; opacity: 0.9;">This action can be undone</div>
         </div>
         <button id="undo-clear-btn" style="
@@ -2255,18 +4074,7 @@
     document.body.appendChild(notification);
 
     document.getElementById("undo-clear-btn").addEventListener("click", () => {
-      const targetArray = getDataArray(tabType);
-      targetArray.length = 0;
-      targetArray.push(...backupData);
-
-      const panelContainer = document.getElementById("sizes-table-container");
-      if (panelContainer) {
-        panelContainer.innerHTML = generatePanelContent(tabType);
-        attachEventListeners();
-      }
-
-      updateDataTableValues(getSelectedBaseId());
-      updateCSSOutputs();
+      window.FluidSpaceForge.HistoryManager.undo();
 
       removeNotification(notification);
     });
@@ -2479,4 +4287,5 @@
   window.FluidSpaceForge.updateDataTableValues = updateDataTableValues;
   window.FluidSpaceForge.updateCSSOutputs = updateCSSOutputs;
   window.FluidSpaceForge.getSelectedBaseId = getSelectedBaseId;
+  window.FluidSpaceForge.generateOutput = generateOutput;
 })(window, document);
@@ -100,6 +100,11 @@
       })
         .then((response) => response.json())
         .then((result) => {
+          // Rejected saves (e.g. settings out of range) store nothing
+          if (!result.success) {
+            throw new Error(result.data?.message || "Save rejected");
+          }
+
           // Success feedback
           this._updateSaveStatus(
             "saved",
@@ -179,6 +184,17 @@
      * - Active tab selection
      * - Unit type (PX/REM)
      * - CSS prefixes (classPrefix and variablePrefix)
+     * - Classes tab properties and companions (classProperties, classCompanions)
+     * - Variables tab space pairs (spacePairsAuto, spacePairs)
+     * - Negative tokens (negativeTokens)
+     * - Generated panel output format
+     *
+     * Not control settings - saved only by performSave() with the scale:
+     * - Scale generator (scaleGenerator, gridUnit, customMultipliers)
+     * - Breakpoints and breakpoint output (breakpoints, piecewiseOutput)
+     * - Fluid unit and container helper (fluidUnit, containerHelper)
+     * - Root font size and precision (rootFontSize, remPrecision, coefficientPrecision)
+     * - Zoom-safe output (zoomSafe)
      */
     saveControlSettings() {
       // Collect only control settings
@@ -208,6 +224,12 @@
             ?.classList.contains("expanded") ?? true,
         classPrefix: window.fluispfoAjax?.data?.settings?.classPrefix || "space",
         variablePrefix: window.fluispfoAjax?.data?.settings?.variablePrefix || "sp",
+        outputFormat: window.fluispfoAjax?.data?.settings?.outputFormat || "css",
+        classProperties: window.fluispfoAjax?.data?.settings?.classProperties || ["margin"],
+        classCompanions: window.fluispfoAjax?.data?.settings?.classCompanions || [],
+        spacePairsAuto: window.fluispfoAjax?.data?.settings?.spacePairsAuto || false,
+        spacePairs: window.fluispfoAjax?.data?.settings?.spacePairs || [],
+        negativeTokens: window.fluispfoAjax?.data?.settings?.negativeTokens || false,
       };
 
       // Prepare AJAX request - send only control settings
@@ -277,6 +299,22 @@
       }
     },
 
+    // ========================================================================
+    // PUBLIC API - DATA ACCESS
+    // ========================================================================
+
+    /**
+     * Get the settings the Save button would store
+     *
+     * Public wrapper around _collectSettings() for other modules
+     * (e.g. configuration export).
+     *
+     * @returns {Object} Settings object with all current values
+     */
+    getCurrentSettings() {
+      return this._collectSettings();
+    },
+
     // ========================================================================
     // PRIVATE - DATA COLLECTION
     // ========================================================================
@@ -307,6 +345,27 @@
         autosaveEnabled: document.getElementById("autosave-toggle")?.checked,
         classPrefix: window.fluispfoAjax?.data?.settings?.classPrefix || "space",
         variablePrefix: window.fluispfoAjax?.data?.settings?.variablePrefix || "sp",
+        frontendFormats: window.fluispfoAjax?.data?.settings?.frontendFormats || [],
+        utilityFamilies: window.fluispfoAjax?.data?.settings?.utilityFamilies || [],
+        utilityPatterns: window.fluispfoAjax?.data?.settings?.utilityPatterns || {},
+        logicalProperties: window.fluispfoAjax?.data?.settings?.logicalProperties || false,
+        classProperties: window.fluispfoAjax?.data?.settings?.classProperties || ["margin"],
+        classCompanions: window.fluispfoAjax?.data?.settings?.classCompanions || [],
+        spacePairsAuto: window.fluispfoAjax?.data?.settings?.spacePairsAuto || false,
+        spacePairs: window.fluispfoAjax?.data?.settings?.spacePairs || [],
+        negativeTokens: window.fluispfoAjax?.data?.settings?.negativeTokens || false,
+        scaleGenerator: window.fluispfoAjax?.data?.settings?.scaleGenerator || "ratio",
+        gridUnit: window.fluispfoAjax?.data?.settings?.gridUnit || 8,
+        customMultipliers: window.fluispfoAjax?.data?.settings?.customMultipliers || [],
+        breakpoints: window.fluispfoAjax?.data?.settings?.breakpoints || [],
+        piecewiseOutput: window.fluispfoAjax?.data?.settings?.piecewiseOutput || "media",
+        fluidUnit: window.fluispfoAjax?.data?.settings?.fluidUnit || "vw",
+        containerHelper: window.fluispfoAjax?.data?.settings?.containerHelper || false,
+        rootFontSize: window.fluispfoAjax?.data?.settings?.rootFontSize || 16,
+        remPrecision: window.fluispfoAjax?.data?.settings?.remPrecision ?? 3,
+        coefficientPrecision: window.fluispfoAjax?.data?.settings?.coefficientPrecision ?? 4,
+        zoomSafe: window.fluispfoAjax?.data?.settings?.zoomSafe || false,
+        outputFormat: window.fluispfoAjax?.data?.settings?.outputFormat || "css",
         selectedClassSizeId: document.getElementById("base-value")?.value || 3,
         selectedVariableSizeId:
           document.getElementById("base-value")?.value || 3,
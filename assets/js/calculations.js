@@ -29,6 +29,27 @@
      */
     PIXELS_PER_REM: 16,
 
+    /**
+     * Default decimal places of rem values
+     * @type {number}
+     * @const
+     */
+    REM_PRECISION: 3,
+
+    /**
+     * Default decimal places of the vw/cqi coefficient
+     * @type {number}
+     * @const
+     */
+    COEFFICIENT_PRECISION: 4,
+
+    /**
+     * Largest max/min ratio that still lets text zoom reach 200% (WCAG 1.4.4)
+     * @type {number}
+     * @const
+     */
+    ZOOM_MAX_RATIO: 2.5,
+
     // ========================================================================
     // PUBLIC API - CSS GENERATION
     // ========================================================================
@@ -44,43 +65,310 @@
      * - coefficient = (maxPx - minPx) / (maxViewport - minViewport) * 100
      * - constant = minPx - (coefficient * minViewport / 100)
      *
+     * Equal viewports leave nothing to interpolate over, so the min value
+     * is returned as a fixed size instead of dividing by zero.
+     *
      * @param {number} minValue - Minimum space value at min viewport
      * @param {number} maxValue - Maximum space value at max viewport
      * @param {number} minViewport - Minimum viewport width in pixels
      * @param {number} maxViewport - Maximum viewport width in pixels
      * @param {string} unitType - Output unit type: 'px' or 'rem'
-     * @returns {string} Complete CSS clamp() function string
+     * @param {Object} format - Formatting settings, the settings object works
+     *   as-is (see getFormatOptions)
+     * @returns {string} Complete CSS clamp() function string, or the fixed value
      */
     generateClampFunction(
       minValue,
       maxValue,
       minViewport,
       maxViewport,
-      unitType
+      unitType,
+      format = {}
     ) {
       // Input values are always in pixels from calculateSpaceSize
       // No conversion needed - just use them directly
       const minPx = minValue;
       const maxPx = maxValue;
+      const outputUnit = this.getOutputUnit(unitType, format);
+
+      if (Number(maxViewport) === Number(minViewport)) {
+        return this._formatValue(minPx, outputUnit, format);
+      }
 
       // Calculate linear interpolation coefficients
       const coefficient = ((maxPx - minPx) / (maxViewport - minViewport)) * 100;
       const constant = minPx - (coefficient * minViewport) / 100;
 
-      // Format min/max values with units
-      const minUnit = this._formatValue(minPx, unitType);
-      const maxUnit = this._formatValue(maxPx, unitType);
+      // Format min/max values with units - the smaller value is always the
+      // lower bound, so descending ranges (piecewise segments) stay valid
+      const minUnit = this._formatValue(Math.min(minPx, maxPx), outputUnit, format);
+      const maxUnit = this._formatValue(Math.max(minPx, maxPx), outputUnit, format);
 
       // Format preferred value (constant + coefficient)
       const preferredValue = this._formatPreferredValue(
         constant,
         coefficient,
-        unitType
+        outputUnit,
+        format
       );
 
       return `clamp(${minUnit}, ${preferredValue}, ${maxUnit})`;
     },
 
+    /**
+     * Generate a piecewise fluid expression through three or more points
+     *
+     * Two points give the usual clamp(). More points give one calc() that
+     * starts at the first value and adds each segment's change, clamped to
+     * that segment's range:
+     * calc(v0 + clamp(0, slope1, Δ1) + clamp(0, slope2, Δ2) + ...)
+     * so every segment can have its own slope, flat or even descending.
+     *
+     * @param {Array<Object>} points - { viewport, value } in pixels, ascending viewports
+     * @param {string} unitType - Output unit type: 'px' or 'rem'
+     * @param {Object} format - Formatting settings (see getFormatOptions)
+     * @returns {string} clamp() or calc() expression
+     */
+    generatePiecewiseFunction(points, unitType, format = {}) {
+      if (points.length <= 2) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        return this.generateClampFunction(
+          first.value,
+          last.value,
+          first.viewport,
+          last.viewport,
+          unitType,
+          format
+        );
+      }
+
+      const outputUnit = this.getOutputUnit(unitType, format);
+      const terms = [];
+      for (let i = 0; i < points.length - 1; i++) {
+        const from = points[i];
+        const to = points[i + 1];
+        const change = to.value - from.value;
+        if (change === 0) {
+          continue;
+        }
+
+        const coefficient = (change / (to.viewport - from.viewport)) * 100;
+        const constant = -(coefficient * from.viewport) / 100;
+        terms.push(
+          `clamp(${this._formatValue(Math.min(0, change), outputUnit, format)}, ${this._formatPreferredValue(
+            constant,
+            coefficient,
+            outputUnit,
+            format
+          )}, ${this._formatValue(Math.max(0, change), outputUnit, format)})`
+        );
+      }
+
+      const start = this._formatValue(points[0].value, outputUnit, format);
+      return terms.length ? `calc(${start} + ${terms.join(" + ")})` : start;
+    },
+
+    // ========================================================================
+    // PUBLIC API - NUMBER FORMATTING
+    // ========================================================================
+
+    /**
+     * Get the output formatting options from settings
+     *
+     * rootFontSize is the px size of 1rem on the target site (10 for
+     * html { font-size: 62.5% }); the precisions are decimal places of
+     * rem values and of the vw/cqi coefficient. zoomSafe writes clamp()
+     * values in rem whatever the unit type. Missing or invalid values
+     * fall back to the browser defaults.
+     *
+     * @param {Object} settings - Settings object (or a subset of it)
+     * @returns {Object} { fluidUnit, rootFontSize, remPrecision, coefficientPrecision, zoomSafe }
+     */
+    getFormatOptions(settings = {}) {
+      const rootFontSize = parseFloat(settings.rootFontSize);
+      const remPrecision = parseInt(settings.remPrecision);
+      const coefficientPrecision = parseInt(settings.coefficientPrecision);
+
+      return {
+        fluidUnit: settings.fluidUnit || "vw",
+        rootFontSize: rootFontSize > 0 ? rootFontSize : this.PIXELS_PER_REM,
+        remPrecision: remPrecision >= 0 ? remPrecision : this.REM_PRECISION,
+        coefficientPrecision:
+          coefficientPrecision >= 0 ? coefficientPrecision : this.COEFFICIENT_PRECISION,
+        zoomSafe: Boolean(settings.zoomSafe),
+      };
+    },
+
+    /**
+     * Get the unit clamp() values are written in
+     *
+     * @param {string} unitType - Output unit type: 'px' or 'rem'
+     * @param {Object} format - Formatting settings (see getFormatOptions)
+     * @returns {string} 'rem' when zoom-safe output is on, otherwise unitType
+     */
+    getOutputUnit(unitType, format = {}) {
+      return this.getFormatOptions(format).zoomSafe ? "rem" : unitType;
+    },
+
+    /**
+     * Convert pixels to a rem number string
+     *
+     * Used by the generators and by every preview that shows rem values.
+     *
+     * @param {number} pxValue - Value in pixels
+     * @param {Object} format - Formatting settings (see getFormatOptions)
+     * @returns {string} Rem value without unit, e.g. "0.750"
+     */
+    formatRem(pxValue, format = {}) {
+      const { rootFontSize, remPrecision } = this.getFormatOptions(format);
+      return (pxValue / rootFontSize).toFixed(remPrecision);
+    },
+
+    // ========================================================================
+    // PUBLIC API - ACCESSIBILITY
+    // ========================================================================
+
+    /**
+     * Check a size against WCAG 1.4.4 (Resize Text)
+     *
+     * Text zoom and the browser font-size preference scale rem values
+     * only, so a fluid value may never reach 200% of its size. Issues:
+     * - 'ratio': the largest value is more than ZOOM_MAX_RATIO times the smallest
+     * - 'vw-only': a segment's preferred value has no fixed part to scale
+     * - 'px': bounds and the fixed part are written in px
+     *
+     * @param {Array<Object>} points - { viewport, value } from calculateAnchorValues
+     * @param {Object} settings - Settings object with unitType and zoomSafe
+     * @returns {Array<string>} Issue codes, empty when the size passes
+     */
+    checkZoomSafety(points, settings) {
+      const issues = [];
+      const values = points.map((point) => point.value);
+      const smallest = Math.min(...values);
+
+      if (smallest > 0 && Math.max(...values) / smallest > this.ZOOM_MAX_RATIO) {
+        issues.push("ratio");
+      }
+
+      // Same constant as generateClampFunction() for each segment
+      const vwOnly = points.slice(1).some((to, index) => {
+        const from = points[index];
+        if (to.value === from.value) return false;
+        const coefficient = ((to.value - from.value) / (to.viewport - from.viewport)) * 100;
+        return Math.abs(from.value - (coefficient * from.viewport) / 100) < 0.01;
+      });
+      if (vwOnly) {
+        issues.push("vw-only");
+      }
+
+      if (this.getOutputUnit(settings.unitType, settings) === "px") {
+        issues.push("px");
+      }
+
+      return issues;
+    },
+
+    // ========================================================================
+    // PUBLIC API - ANCHOR VIEWPORTS
+    // ========================================================================
+
+    /**
+     * Get the anchor viewports of the scale
+     *
+     * The min and max viewport settings are the outer anchors. Entries in
+     * settings.breakpoints ({ viewport, baseSpace, scale }) strictly
+     * between them add inner anchors, each with its own base and ratio.
+     *
+     * @param {Object} settings - Settings object
+     * @returns {Array<Object>} { viewport, baseSpace, scale }, ascending viewports
+     */
+    getAnchors(settings) {
+      const minViewport = parseInt(settings.minViewport);
+      const maxViewport = parseInt(settings.maxViewport);
+      const inner = (Array.isArray(settings.breakpoints) ? settings.breakpoints : [])
+        .map((breakpoint) => ({
+          viewport: parseInt(breakpoint.viewport),
+          baseSpace: parseInt(breakpoint.baseSpace),
+          scale: parseFloat(breakpoint.scale),
+        }))
+        .filter(
+          (anchor) =>
+            anchor.viewport > minViewport &&
+            anchor.viewport < maxViewport &&
+            anchor.baseSpace > 0 &&
+            anchor.scale > 0
+        )
+        .sort((a, b) => a.viewport - b.viewport)
+        .filter((anchor, index, list) => index === 0 || anchor.viewport !== list[index - 1].viewport);
+
+      return [
+        {
+          viewport: minViewport,
+          baseSpace: parseInt(settings.minBasespace),
+          scale: parseFloat(settings.minScale),
+        },
+        ...inner,
+        {
+          viewport: maxViewport,
+          baseSpace: parseInt(settings.maxBasespace),
+          scale: parseFloat(settings.maxScale),
+        },
+      ];
+    },
+
+    /**
+     * Get settings for one segment between two neighbouring anchors
+     *
+     * The segment's anchors become the min and max settings, so every
+     * existing two-viewport calculation works on it unchanged. Pinned
+     * values only apply at the outer anchors.
+     *
+     * @param {Object} settings - Settings object
+     * @param {number} index - Segment index (0 = first anchor to second)
+     * @returns {Object} Settings for the segment, without breakpoints
+     */
+    getSegmentSettings(settings, index) {
+      const anchors = this.getAnchors(settings);
+      const from = anchors[index];
+      const to = anchors[index + 1];
+
+      return {
+        ...settings,
+        minViewport: from.viewport,
+        minBasespace: from.baseSpace,
+        minScale: from.scale,
+        maxViewport: to.viewport,
+        maxBasespace: to.baseSpace,
+        maxScale: to.scale,
+        breakpoints: [],
+        pinMin: index === 0,
+        pinMax: index === anchors.length - 2,
+      };
+    },
+
+    /**
+     * Calculate a size at every anchor viewport
+     *
+     * @param {number} sizeId - ID of the size to calculate
+     * @param {Object} settings - Settings object (see calculateSpaceSize)
+     * @param {number} selectedBaseId - ID of the base reference size (default: 3)
+     * @param {string} tabType - Optional explicit tab type to avoid DOM reads during init
+     * @returns {Array<Object>} { viewport, value } in pixels, ascending viewports
+     */
+    calculateAnchorValues(sizeId, settings, selectedBaseId = 3, tabType = null) {
+      const anchors = this.getAnchors(settings);
+
+      return anchors.map((anchor, index) => {
+        const segment = this.getSegmentSettings(settings, Math.min(index, anchors.length - 2));
+        const calc = this.calculateSpaceSize(sizeId, segment, selectedBaseId, tabType);
+        return {
+          viewport: anchor.viewport,
+          value: index === anchors.length - 1 ? calc.max : calc.min,
+        };
+      });
+    },
+
     // ========================================================================
     // PUBLIC API - SPACE CALCULATIONS
     // ========================================================================
@@ -90,20 +378,28 @@
      *
      * Determines space size by applying exponential scaling from a base
      * reference size. Size multiplier is calculated as scale^steps where
-     * steps is the distance from the base size in the table.
+     * steps is the distance from the base size in the table. The
+     * scaleGenerator setting swaps in another progression (see
+     * _generateStepValue).
      *
      * Steps calculation:
      * - Negative steps = smaller sizes (above base in table)
      * - Positive steps = larger sizes (below base in table)
      * - Zero steps = base size (no scaling applied)
      *
+     * A size entry with its own numeric min and/or max (pixels) is pinned:
+     * those values replace the computed ones for that row only.
+     *
      * @param {number} sizeId - ID of the size to calculate
      * @param {Object} settings - Settings object containing:
      *   - minBasespace: Base space at minimum viewport (px)
      *   - maxBasespace: Base space at maximum viewport (px)
      *   - minScale: Scale ratio at minimum viewport
      *   - maxScale: Scale ratio at maximum viewport
+     *   - scaleGenerator: 'ratio', 'linear', 'fibonacci', 'grid' or 'custom'
+     *   - gridUnit / customMultipliers: Options for the grid and custom generators
      *   - unitType: Output unit type ('px' or 'rem')
+     *   - pinMin / pinMax: false to ignore pinned values (inner piecewise segments)
      * @param {number} selectedBaseId - ID of the base reference size (default: 3)
      * @param {string} tabType - Optional explicit tab type to avoid DOM reads during init
      * @returns {Object} Object containing:
@@ -142,25 +438,147 @@
       const baseMinSpace = parseInt(settings.minBasespace);
       const baseMaxSpace = parseInt(settings.maxBasespace);
 
-      // Calculate steps from base (negative = smaller, positive = larger)
-      const steps = currentIndex - baseIndex;
-
-      // Apply exponential scaling: scale^steps
-      const minMultiplier = Math.pow(minScale, steps);
-      const maxMultiplier = Math.pow(maxScale, steps);
-
-      // Calculate final sizes
-      const minSize = Math.round(baseMinSpace * minMultiplier);
-      const maxSize = Math.round(baseMaxSpace * maxMultiplier);
+      // Calculate final sizes, unless the row pins its own values
+      const size = currentSizes[currentIndex];
+      const minSize = settings.pinMin !== false && this.isPinnedValue(size.min)
+        ? Number(size.min)
+        : this._generateStepValue(baseMinSpace, minScale, currentIndex, baseIndex, settings);
+      const maxSize = settings.pinMax !== false && this.isPinnedValue(size.max)
+        ? Number(size.max)
+        : this._generateStepValue(baseMaxSpace, maxScale, currentIndex, baseIndex, settings);
 
       return {
         min: minSize,
         max: maxSize,
-        minUnit: this._formatValue(minSize, settings.unitType),
-        maxUnit: this._formatValue(maxSize, settings.unitType),
+        minUnit: this._formatValue(minSize, settings.unitType, settings),
+        maxUnit: this._formatValue(maxSize, settings.unitType, settings),
       };
     },
 
+    /**
+     * Calculate a space pair between two scale steps
+     *
+     * A pair (Utopia-style "one-up" token) runs from one size's min value
+     * to another size's max value, so sm-xl grows from the sm minimum on
+     * small screens to the xl maximum on large ones. Both ends come from
+     * calculateSpaceSize().
+     *
+     * @param {number} fromId - ID of the size providing the min value
+     * @param {number} toId - ID of the size providing the max value
+     * @param {Object} settings - Settings object (see calculateSpaceSize)
+     * @param {number} selectedBaseId - ID of the base reference size (default: 3)
+     * @param {string} tabType - Optional explicit tab type to avoid DOM reads during init
+     * @returns {Object} Object with min, max, minUnit and maxUnit (see calculateSpaceSize)
+     */
+    calculateSpacePair(fromId, toId, settings, selectedBaseId = 3, tabType = null) {
+      const from = this.calculateSpaceSize(fromId, settings, selectedBaseId, tabType);
+      const to = this.calculateSpaceSize(toId, settings, selectedBaseId, tabType);
+
+      return {
+        min: from.min,
+        max: to.max,
+        minUnit: from.minUnit,
+        maxUnit: to.maxUnit,
+      };
+    },
+
+    /**
+     * Check whether a size field holds a pinned pixel value
+     *
+     * Pinned values are set per row in the edit modal and replace the
+     * computed min or max in calculateSpaceSize().
+     *
+     * @param {*} value - Size entry min or max field
+     * @returns {boolean} True for a finite, non-negative number
+     */
+    isPinnedValue(value) {
+      const isNumeric =
+        typeof value === "number" ||
+        (typeof value === "string" && value.trim() !== "");
+      return isNumeric && Number.isFinite(Number(value)) && Number(value) >= 0;
+    },
+
+    // ========================================================================
+    // PRIVATE - SCALE GENERATORS
+    // ========================================================================
+
+    /**
+     * Generate one end of a size with the selected scale generator
+     *
+     * - ratio: base * scale^steps (default)
+     * - linear: base * n / nBase, where n is the 1-based row position
+     * - fibonacci: base * F(n) / F(nBase) over 1, 2, 3, 5, 8...
+     * - grid: base snapped to the grid unit, plus one unit per step
+     * - custom: base * multiplier[row] / multiplier[base row]; rows past
+     *   the end of the list keep the ratio
+     *
+     * @param {number} baseSpace - Base space at this viewport end (px)
+     * @param {number} scale - Ratio at this viewport end
+     * @param {number} currentIndex - Row index of the size
+     * @param {number} baseIndex - Row index of the base size
+     * @param {Object} settings - Settings with scaleGenerator, gridUnit and customMultipliers
+     * @returns {number} Size in pixels
+     * @private
+     */
+    _generateStepValue(baseSpace, scale, currentIndex, baseIndex, settings) {
+      // Calculate steps from base (negative = smaller, positive = larger)
+      const steps = currentIndex - baseIndex;
+
+      switch (settings.scaleGenerator || "ratio") {
+        case "linear":
+          return Math.round((baseSpace * (currentIndex + 1)) / (baseIndex + 1));
+
+        case "fibonacci":
+          return Math.round(
+            (baseSpace * this._fibonacci(currentIndex + 1)) /
+              this._fibonacci(baseIndex + 1)
+          );
+
+        case "grid": {
+          const gridUnits = window.fluispfoAjax?.constants?.GRID_UNITS || [4, 8];
+          const unit = gridUnits.includes(parseInt(settings.gridUnit))
+            ? parseInt(settings.gridUnit)
+            : window.fluispfoAjax?.constants?.DEFAULT_GRID_UNIT || 8;
+          const base = Math.max(unit, Math.round(baseSpace / unit) * unit);
+          return Math.max(unit, base + steps * unit);
+        }
+
+        case "custom": {
+          const multipliers = Array.isArray(settings.customMultipliers)
+            ? settings.customMultipliers
+            : [];
+          if (this.isPinnedValue(multipliers[currentIndex])) {
+            const reference =
+              Number(multipliers[baseIndex]) > 0 ? Number(multipliers[baseIndex]) : 1;
+            return Math.round(
+              (baseSpace * Number(multipliers[currentIndex])) / reference
+            );
+          }
+          // Rows past the end of the list keep the ratio scale
+          break;
+        }
+      }
+
+      // Apply exponential scaling: scale^steps
+      return Math.round(baseSpace * Math.pow(scale, steps));
+    },
+
+    /**
+     * Nth term of the 1, 2, 3, 5, 8... sequence
+     *
+     * @param {number} position - 1-based position
+     * @returns {number} Sequence value
+     * @private
+     */
+    _fibonacci(position) {
+      let previous = 1;
+      let current = 1;
+      for (let i = 0; i < position; i++) {
+        [previous, current] = [current, previous + current];
+      }
+      return previous;
+    },
+
     // ========================================================================
     // PRIVATE - FORMATTING HELPERS
     // ========================================================================
@@ -172,12 +590,13 @@
      *
      * @param {number} pxValue - Value in pixels
      * @param {string} unitType - Target unit type: 'px' or 'rem'
+     * @param {Object} format - Formatting settings (see getFormatOptions)
      * @returns {string} Formatted value with unit suffix
      * @private
      */
-    _formatValue(pxValue, unitType) {
+    _formatValue(pxValue, unitType, format = {}) {
       if (unitType === "rem") {
-        return (pxValue / this.PIXELS_PER_REM).toFixed(3) + "rem";
+        return this.formatRem(pxValue, format) + "rem";
       }
       return pxValue + "px";
     },
@@ -186,19 +605,23 @@
      * Format preferred value for clamp() function
      *
      * Creates the middle parameter of clamp() function using calc()
-     * to combine constant and viewport-relative coefficient.
+     * to combine constant and viewport-relative coefficient. With a
+     * container unit the coefficient is relative to the nearest size
+     * container instead, and the viewport settings read as container widths.
      *
      * @param {number} constant - Fixed offset in pixels
      * @param {number} coefficient - Viewport-relative multiplier
      * @param {string} unitType - Output unit type: 'px' or 'rem'
-     * @returns {string} Formatted calc() expression or vw-only value
+     * @param {Object} format - Formatting settings (see getFormatOptions)
+     * @returns {string} Formatted calc() expression or unit-only value
      * @private
      */
-    _formatPreferredValue(constant, coefficient, unitType) {
-      const constantFormatted = this._formatValue(constant, unitType);
-      const coefficientFormatted = coefficient.toFixed(4) + "vw";
+    _formatPreferredValue(constant, coefficient, unitType, format = {}) {
+      const { fluidUnit, coefficientPrecision } = this.getFormatOptions(format);
+      const constantFormatted = this._formatValue(constant, unitType, format);
+      const coefficientFormatted = coefficient.toFixed(coefficientPrecision) + fluidUnit;
 
-      // If no constant offset, return vw value alone
+      // If no constant offset, return the fluid unit value alone
       if (constant === 0) {
         return coefficientFormatted;
       }
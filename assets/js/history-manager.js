@@ -0,0 +1,560 @@
+/**
+ * Fluid Space Forge - History Manager
+ *
+ * Undo/redo history for every edit to the scale: settings, size adds,
+ * edits, deletes, drag-and-drop reorders, prefix changes and resets.
+ * Each entry stores a JSON snapshot of the settings and the three sizes
+ * arrays from before the edit, so undo and redo restore whole states
+ * instead of replaying individual operations.
+ *
+ * Edits are recorded through commit(), which the admin script calls from
+ * updateCSSOutputs() - the one function every edit ends in. Panel and
+ * autosave state and the output format (IGNORED_SETTINGS) are not part
+ * of the history.
+ *
+ * @version 1.3.0
+ */
+
+(function (window) {
+  "use strict";
+
+  // HTML escaping shared by the admin modules, see ModalManager.escapeHtml()
+  const escapeHtml = (text) => window.FluidSpaceForge.ModalManager.escapeHtml(text);
+
+  /**
+   * History Manager Module
+   *
+   * Singleton object holding the undo and redo stacks, the Ctrl+Z /
+   * Ctrl+Shift+Z shortcuts and the history list in the header.
+   */
+  const HistoryManager = {
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /**
+     * Oldest entries are dropped beyond this many
+     * @type {number}
+     * @const
+     */
+    MAX_ENTRIES: 100,
+
+    /**
+     * Repeated edits of the same thing within this window (typing in a
+     * field, nudging a number) become one entry
+     * @type {number}
+     * @const
+     */
+    COALESCE_MS: 1000,
+
+    /**
+     * Settings left out of snapshots - view state, not part of the scale
+     * @type {Array<string>}
+     * @const
+     */
+    IGNORED_SETTINGS: [
+      "activeTab",
+      "autosaveEnabled",
+      "aboutExpanded",
+      "howToUseExpanded",
+      "viewportTestExpanded",
+      "spaceSizeExpanded",
+      "outputFormat",
+    ],
+
+    /**
+     * Size list keys in fluispfoAjax.data, by tab type
+     * @type {Object}
+     * @const
+     */
+    SIZE_LISTS: {
+      class: "classSizes",
+      vars: "variableSizes",
+      utils: "utilitySizes",
+    },
+
+    /**
+     * Display names of the size lists, by tab type
+     * @type {Object}
+     * @const
+     */
+    LIST_LABELS: {
+      class: "Classes",
+      vars: "Variables",
+      utils: "Utilities",
+    },
+
+    /**
+     * Readable names for settings shown in the history list; other keys
+     * are shown as-is
+     * @type {Object}
+     * @const
+     */
+    SETTING_LABELS: {
+      minBasespace: "Min Space Size",
+      maxBasespace: "Max Space Size",
+      minViewport: "Min Viewport Width",
+      maxViewport: "Max Viewport Width",
+      minScale: "Min Scale",
+      maxScale: "Max Scale",
+      unitType: "unit",
+      classPrefix: "class prefix",
+      variablePrefix: "variable prefix",
+      selectedClassSizeId: "Classes base",
+      selectedVariableSizeId: "Variables base",
+      selectedUtilitySizeId: "Utilities base",
+      rootFontSize: "root font size",
+      fluidUnit: "fluid unit",
+      breakpoints: "breakpoints",
+    },
+
+    // ========================================================================
+    // STATE PROPERTIES
+    // ========================================================================
+
+    /**
+     * Entries that can be undone, oldest first
+     * @type {Array<{label: string, state: string, time: number}>}
+     */
+    undoStack: [],
+
+    /**
+     * Entries that can be redone, most recently undone last
+     * @type {Array<{label: string, state: string, time: number}>}
+     */
+    redoStack: [],
+
+    /**
+     * Snapshot of the state shown in the editor
+     * @type {string|null}
+     */
+    current: null,
+
+    /**
+     * Callback that re-renders the editor after a restore
+     * @type {Function|null}
+     */
+    restoreHandler: null,
+
+    /**
+     * Nesting depth of group() calls; commits wait until it is zero
+     * @type {number}
+     */
+    groupDepth: 0,
+
+    /**
+     * True while a restored state is being rendered
+     * @type {boolean}
+     */
+    restoring: false,
+
+    // ========================================================================
+    // PUBLIC API - INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Take the baseline snapshot and bind the buttons and shortcuts
+     *
+     * Should be called once, after the editor has rendered the saved data.
+     *
+     * @param {Function} restoreHandler - Re-renders controls, table and output
+     *   after fluispfoAjax.data has been replaced by a history state
+     */
+    initialize(restoreHandler) {
+      this.restoreHandler = restoreHandler;
+      this.current = this._snapshot();
+
+      document.getElementById("undo-btn")?.addEventListener("click", () => this.undo());
+      document.getElementById("redo-btn")?.addEventListener("click", () => this.redo());
+      document
+        .getElementById("history-list")
+        ?.addEventListener("click", (event) => this._handleListClick(event));
+      document.addEventListener("keydown", (event) => this._handleKeydown(event));
+
+      this.render();
+    },
+
+    // ========================================================================
+    // PUBLIC API - RECORDING
+    // ========================================================================
+
+    /**
+     * Record the current state as a new history entry
+     *
+     * Does nothing when the state is unchanged, inside group() or while a
+     * restore is rendering. Without a label, one is derived from what
+     * changed ("Change Min Scale", "Delete lg", "Reorder Classes").
+     *
+     * @param {string} [label] - Entry name for the history list
+     */
+    commit(label) {
+      if (this.current === null || this.restoring || this.groupDepth > 0) return;
+
+      const next = this._snapshot();
+      if (next === this.current) return;
+
+      const description = label || this._describe(JSON.parse(this.current), JSON.parse(next));
+      if (!description) {
+        // Only value types changed (e.g. "8" to 8) - nothing to undo
+        this.current = next;
+        return;
+      }
+
+      const now = Date.now();
+      const last = this.undoStack[this.undoStack.length - 1];
+      if (
+        !label &&
+        last &&
+        this.redoStack.length === 0 &&
+        last.label === description &&
+        now - last.time < this.COALESCE_MS
+      ) {
+        // Keep the state from before the first of the repeated edits
+        last.time = now;
+      } else {
+        this.undoStack.push({ label: description, state: this.current, time: now });
+        if (this.undoStack.length > this.MAX_ENTRIES) {
+          this.undoStack.shift();
+        }
+      }
+
+      this.current = next;
+      this.redoStack = [];
+      this.render();
+    },
+
+    /**
+     * Run several edits as one history entry
+     *
+     * Used by resets and clears, which go through several handlers that
+     * would each commit on their own.
+     *
+     * @param {string} label - Entry name for the history list
+     * @param {Function} callback - Performs the edits
+     */
+    group(label, callback) {
+      this.groupDepth++;
+      try {
+        callback();
+      } finally {
+        this.groupDepth--;
+      }
+      this.commit(label);
+    },
+
+    // ========================================================================
+    // PUBLIC API - UNDO / REDO
+    // ========================================================================
+
+    /**
+     * Undo the most recent entry
+     *
+     * @param {number} [steps=1] - Number of entries to undo
+     */
+    undo(steps = 1) {
+      this._move(this.undoStack, this.redoStack, steps);
+    },
+
+    /**
+     * Redo the most recently undone entry
+     *
+     * @param {number} [steps=1] - Number of entries to redo
+     */
+    redo(steps = 1) {
+      this._move(this.redoStack, this.undoStack, steps);
+    },
+
+    /**
+     * Whether there is anything to undo
+     *
+     * @returns {boolean}
+     */
+    canUndo() {
+      return this.undoStack.length > 0;
+    },
+
+    /**
+     * Whether there is anything to redo
+     *
+     * @returns {boolean}
+     */
+    canRedo() {
+      return this.redoStack.length > 0;
+    },
+
+    // ========================================================================
+    // PUBLIC API - UI
+    // ========================================================================
+
+    /**
+     * Update the undo/redo buttons and the history list
+     *
+     * The list shows undone entries above the current state (click to
+     * redo up to there) and past entries below it (click to undo back to
+     * before that edit).
+     */
+    render() {
+      const undoBtn = document.getElementById("undo-btn");
+      const redoBtn = document.getElementById("redo-btn");
+      const list = document.getElementById("history-list");
+      const count = document.getElementById("history-count");
+
+      if (undoBtn) {
+        undoBtn.disabled = !this.canUndo();
+        undoBtn.dataset.tooltip = this.canUndo()
+          ? `Undo: ${this.undoStack[this.undoStack.length - 1].label} (Ctrl+Z)`
+          : "Nothing to undo";
+      }
+      if (redoBtn) {
+        redoBtn.disabled = !this.canRedo();
+        redoBtn.dataset.tooltip = this.canRedo()
+          ? `Redo: ${this.redoStack[this.redoStack.length - 1].label} (Ctrl+Shift+Z)`
+          : "Nothing to redo";
+      }
+      if (count) {
+        count.textContent = this.undoStack.length ? `(${this.undoStack.length})` : "";
+      }
+      if (!list) return;
+
+      const redoItems = this.redoStack.map(
+        (entry, index) =>
+          `<li><button type="button" class="history-entry undone" data-redo="${this.redoStack.length - index}">${escapeHtml(entry.label)}</button></li>`
+      );
+      const undoItems = this.undoStack
+        .map(
+          (entry, index) =>
+            `<li><button type="button" class="history-entry" data-undo="${this.undoStack.length - index}">${escapeHtml(entry.label)}</button></li>`
+        )
+        .reverse();
+
+      list.innerHTML = [
+        ...redoItems,
+        '<li class="history-current" aria-current="step">Current state</li>',
+        ...undoItems,
+      ].join("");
+    },
+
+    // ========================================================================
+    // PRIVATE - STATE
+    // ========================================================================
+
+    /**
+     * Serialize the settings and sizes arrays
+     *
+     * @returns {string} JSON snapshot
+     * @private
+     */
+    _snapshot() {
+      const data = window.fluispfoAjax.data;
+      const settings = {};
+      Object.keys(data.settings).forEach((key) => {
+        if (!this.IGNORED_SETTINGS.includes(key)) {
+          settings[key] = data.settings[key];
+        }
+      });
+
+      const state = { settings };
+      Object.values(this.SIZE_LISTS).forEach((list) => {
+        state[list] = data[list] || [];
+      });
+
+      return JSON.stringify(state);
+    },
+
+    /**
+     * Move entries between stacks and render the resulting state
+     *
+     * @param {Array} from - Stack to take entries from
+     * @param {Array} to - Stack that receives the replaced states
+     * @param {number} steps - Number of entries to move
+     * @private
+     */
+    _move(from, to, steps) {
+      if (from.length === 0) return;
+
+      for (let i = 0; i < steps && from.length > 0; i++) {
+        const entry = from.pop();
+        to.push({ label: entry.label, state: this.current, time: 0 });
+        this.current = entry.state;
+      }
+
+      this._restore(JSON.parse(this.current));
+      this.render();
+    },
+
+    /**
+     * Write a snapshot back into fluispfoAjax.data and re-render
+     *
+     * Arrays are refilled in place because other modules keep references
+     * to them.
+     *
+     * @param {Object} state - Parsed snapshot
+     * @private
+     */
+    _restore(state) {
+      const data = window.fluispfoAjax.data;
+
+      Object.assign(data.settings, state.settings);
+      Object.values(this.SIZE_LISTS).forEach((list) => {
+        if (!Array.isArray(data[list])) {
+          data[list] = [];
+        }
+        data[list].splice(0, data[list].length, ...state[list]);
+      });
+
+      this.restoring = true;
+      try {
+        if (this.restoreHandler) {
+          this.restoreHandler();
+        }
+      } finally {
+        this.restoring = false;
+      }
+    },
+
+    /**
+     * Name an edit from the difference between two snapshots
+     *
+     * @param {Object} before - Parsed snapshot before the edit
+     * @param {Object} after - Parsed snapshot after the edit
+     * @returns {string|null} Label, or null when nothing meaningful changed
+     * @private
+     */
+    _describe(before, after) {
+      const parts = [];
+
+      const changedSettings = Object.keys(after.settings).filter(
+        (key) => !this._sameValue(before.settings[key], after.settings[key])
+      );
+      if (changedSettings.length === 1) {
+        parts.push(`Change ${this.SETTING_LABELS[changedSettings[0]] || changedSettings[0]}`);
+      } else if (changedSettings.length > 1) {
+        parts.push(`Change ${changedSettings.length} settings`);
+      }
+
+      const propertyNames = window.fluispfoAjax.constants.SIZE_TYPE_PROPERTY_NAMES;
+      Object.entries(this.SIZE_LISTS).forEach(([type, list]) => {
+        const beforeSizes = before[list] || [];
+        const afterSizes = after[list] || [];
+        if (JSON.stringify(beforeSizes) === JSON.stringify(afterSizes)) return;
+
+        const nameOf = (size) => size[propertyNames[type]];
+        const beforeIds = beforeSizes.map((size) => size.id);
+        const afterIds = afterSizes.map((size) => size.id);
+        const added = afterSizes.filter((size) => !beforeIds.includes(size.id));
+        const removed = beforeSizes.filter((size) => !afterIds.includes(size.id));
+        const edited = afterSizes.filter((size) => {
+          const previous = beforeSizes.find((item) => item.id === size.id);
+          return previous && JSON.stringify(previous) !== JSON.stringify(size);
+        });
+
+        if (afterSizes.length === 0) {
+          parts.push(`Clear ${this.LIST_LABELS[type]}`);
+        } else if (added.length === 1 && removed.length === 0) {
+          parts.push(`Add ${nameOf(added[0])}`);
+        } else if (removed.length === 1 && added.length === 0) {
+          parts.push(`Delete ${nameOf(removed[0])}`);
+        } else if (added.length || removed.length) {
+          parts.push(`Replace ${this.LIST_LABELS[type]}`);
+        } else if (edited.length === 1) {
+          parts.push(`Edit ${nameOf(edited[0])}`);
+        } else if (edited.length > 1) {
+          parts.push(`Edit ${edited.length} ${this.LIST_LABELS[type]}`);
+        } else {
+          parts.push(`Reorder ${this.LIST_LABELS[type]}`);
+        }
+      });
+
+      return parts.length ? parts.join(", ") : null;
+    },
+
+    /**
+     * Compare setting values, ignoring number/string differences
+     *
+     * Inputs store "8" where the server sent 8; that is not an edit.
+     *
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean}
+     * @private
+     */
+    _sameValue(a, b) {
+      if (typeof a === "object" || typeof b === "object") {
+        return JSON.stringify(a) === JSON.stringify(b);
+      }
+      return String(a) === String(b);
+    },
+
+    // ========================================================================
+    // PRIVATE - EVENT HANDLERS
+    // ========================================================================
+
+    /**
+     * Ctrl+Z / Cmd+Z undoes; Ctrl+Shift+Z, Cmd+Shift+Z and Ctrl+Y redo
+     *
+     * Text fields keep the browser's own undo for their contents.
+     *
+     * @param {KeyboardEvent} event - Document keydown event
+     * @private
+     */
+    _handleKeydown(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (this._isTextEntry(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if ((key === "z" && event.shiftKey) || (key === "y" && event.ctrlKey)) {
+        event.preventDefault();
+        this.redo();
+      }
+    },
+
+    /**
+     * Jump to an entry clicked in the history list
+     *
+     * @param {MouseEvent} event - Click event inside the list
+     * @private
+     */
+    _handleListClick(event) {
+      const entry = event.target.closest(".history-entry");
+      if (!entry) return;
+
+      if (entry.dataset.undo) {
+        this.undo(parseInt(entry.dataset.undo));
+      } else if (entry.dataset.redo) {
+        this.redo(parseInt(entry.dataset.redo));
+      }
+    },
+
+    // ========================================================================
+    // PRIVATE - UTILITY METHODS
+    // ========================================================================
+
+    /**
+     * Whether an element edits text with its own undo
+     *
+     * @param {EventTarget} target - Keydown target
+     * @returns {boolean}
+     * @private
+     */
+    _isTextEntry(target) {
+      if (!target || !target.tagName) return false;
+      if (target.isContentEditable || target.tagName === "TEXTAREA") return true;
+
+      return (
+        target.tagName === "INPUT" &&
+        !["checkbox", "radio", "button", "submit", "range", "file"].includes(target.type)
+      );
+    },
+  };
+
+  // ========================================================================
+  // MODULE EXPORT
+  // ========================================================================
+
+  // Export to global namespace
+  window.FluidSpaceForge = window.FluidSpaceForge || {};
+  window.FluidSpaceForge.HistoryManager = HistoryManager;
+})(window);
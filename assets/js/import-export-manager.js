@@ -0,0 +1,476 @@
+/**
+ * Fluid Space Forge - Import/Export Manager
+ *
+ * Exports the full configuration (settings plus the three sizes arrays)
+ * as a versioned JSON document and imports such documents back. Imports
+ * are schema-validated in the browser, previewed as a diff, then sent to
+ * the server, which validates again before saving.
+ *
+ * The document shape matches FluidSpaceForge::get_config_document() and
+ * `wp fluid-space export --format=json`.
+ *
+ * @version 1.3.0
+ */
+
+(function (window) {
+  "use strict";
+
+  // HTML escaping shared by the admin modules, see ModalManager.escapeHtml()
+  const escapeHtml = (text) => window.FluidSpaceForge.ModalManager.escapeHtml(text);
+
+  /**
+   * Import/Export Manager Module
+   *
+   * Singleton object handling configuration documents. Server-side
+   * validation in validate_config_document() mirrors validateDocument().
+   */
+  const ImportExportManager = {
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /**
+     * Plugin identifier every document must carry
+     * @type {string}
+     * @const
+     */
+    PLUGIN_SLUG: "fluid-space-forge",
+
+    /**
+     * Size list keys in the document, by tab type
+     * @type {Object}
+     * @const
+     */
+    SIZE_LISTS: {
+      class: "classSizes",
+      vars: "variableSizes",
+      utils: "utilitySizes",
+    },
+
+    /**
+     * Numeric settings coerced on export (inputs hold strings)
+     * @type {Array<string>}
+     * @const
+     */
+    NUMERIC_SETTINGS: [
+      "minBasespace",
+      "maxBasespace",
+      "minViewport",
+      "maxViewport",
+      "minScale",
+      "maxScale",
+      "gridUnit",
+      "rootFontSize",
+      "remPrecision",
+      "coefficientPrecision",
+      "selectedClassSizeId",
+      "selectedVariableSizeId",
+      "selectedUtilitySizeId",
+    ],
+
+    /**
+     * Panel and autosave state left out of the import preview
+     * @type {Array<string>}
+     * @const
+     */
+    UI_STATE_SETTINGS: [
+      "activeTab",
+      "autosaveEnabled",
+      "aboutExpanded",
+      "howToUseExpanded",
+      "viewportTestExpanded",
+      "spaceSizeExpanded",
+    ],
+
+    // ========================================================================
+    // PUBLIC API - INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Bind export/import buttons and the hidden file input
+     *
+     * Should be called once after DOM is ready.
+     */
+    initialize() {
+      const exportBtn = document.getElementById("export-config-btn");
+      const importBtn = document.getElementById("import-config-btn");
+      const fileInput = document.getElementById("import-config-file");
+
+      if (exportBtn) {
+        exportBtn.addEventListener("click", () => this.exportConfig());
+      }
+
+      if (importBtn && fileInput) {
+        importBtn.addEventListener("click", () => fileInput.click());
+        fileInput.addEventListener("change", () => {
+          const file = fileInput.files[0];
+          fileInput.value = ""; // Allow re-selecting the same file
+          if (file) {
+            this.importFile(file);
+          }
+        });
+      }
+    },
+
+    // ========================================================================
+    // PUBLIC API - EXPORT
+    // ========================================================================
+
+    /**
+     * Build the configuration document from the current editor state
+     *
+     * Includes unsaved edits, so the export matches what the Save button
+     * would store.
+     *
+     * @returns {Object} Configuration document
+     */
+    buildDocument() {
+      const data = window.fluispfoAjax.data;
+      const settings = {
+        ...data.settings,
+        ...window.FluidSpaceForge.AutosaveManager.getCurrentSettings(),
+      };
+
+      this.NUMERIC_SETTINGS.forEach((key) => {
+        if (settings[key] !== undefined && settings[key] !== "") {
+          settings[key] = Number(settings[key]);
+        }
+      });
+
+      return {
+        plugin: this.PLUGIN_SLUG,
+        schemaVersion: window.fluispfoAjax.configSchemaVersion,
+        pluginVersion: window.fluispfoAjax.version,
+        exportedAt: new Date().toISOString(),
+        settings,
+        classSizes: data.classSizes,
+        variableSizes: data.variableSizes,
+        utilitySizes: data.utilitySizes,
+      };
+    },
+
+    /**
+     * Download the current configuration as a JSON file
+     */
+    exportConfig() {
+      const json = JSON.stringify(this.buildDocument(), null, 2);
+      const blob = new Blob([json], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const date = new Date().toISOString().slice(0, 10);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${this.PLUGIN_SLUG}-${date}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    },
+
+    // ========================================================================
+    // PUBLIC API - IMPORT
+    // ========================================================================
+
+    /**
+     * Read, validate and preview an import file
+     *
+     * @param {File} file - JSON file chosen by the user
+     */
+    importFile(file) {
+      const modal = window.FluidSpaceForge.ModalManager;
+
+      file
+        .text()
+        .then((text) => {
+          let importDoc;
+          try {
+            importDoc = JSON.parse(text);
+          } catch (error) {
+            modal.showAlertModal(
+              "Import Failed",
+              `${escapeHtml(file.name)} is not valid JSON.\n\n${escapeHtml(error.message)}`,
+              null,
+              { type: "error" }
+            );
+            return;
+          }
+
+          const errors = this.validateDocument(importDoc);
+          if (errors.length > 0) {
+            modal.showAlertModal(
+              "Import Failed",
+              `${escapeHtml(file.name)} is not a valid Fluid Space Forge configuration:\n\n` +
+                errors.map((error) => `• ${escapeHtml(error)}`).join("\n"),
+              null,
+              { type: "error" }
+            );
+            return;
+          }
+
+          modal.showConfirmModal(
+            "Import Configuration",
+            this._formatDiff(this.diffDocument(this.buildDocument(), importDoc)) +
+              "\n\nThis replaces the saved settings and all sizes. Unsaved changes are discarded.",
+            () => this._applyImport(importDoc),
+            null,
+            { confirmText: "import", isDangerous: true }
+          );
+        })
+        .catch((error) => {
+          console.error("Import read error:", error);
+          modal.showAlertModal("Import Failed", "The file could not be read.", null, {
+            type: "error",
+          });
+        });
+    },
+
+    /**
+     * Validate a document against the current schema
+     *
+     * Mirrors FluidSpaceForge::validate_config_document().
+     *
+     * @param {*} importDoc - Parsed JSON document
+     * @returns {Array<string>} Problems found, empty when valid
+     */
+    validateDocument(importDoc) {
+      if (!this._isPlainObject(importDoc)) {
+        return ["Configuration must be a JSON object"];
+      }
+
+      const errors = [];
+      const supportedVersion = window.fluispfoAjax.configSchemaVersion;
+
+      if (importDoc.plugin !== this.PLUGIN_SLUG) {
+        errors.push(`plugin must be "${this.PLUGIN_SLUG}"`);
+      }
+
+      const version = importDoc.schemaVersion;
+      if (!Number.isInteger(version) || version < 1) {
+        errors.push("schemaVersion must be a positive integer");
+      } else if (version > supportedVersion) {
+        errors.push(
+          `schemaVersion ${version} is newer than this plugin supports (${supportedVersion})`
+        );
+      }
+
+      if (!this._isPlainObject(importDoc.settings)) {
+        errors.push("settings must be an object");
+      } else {
+        const ranges = window.fluispfoAjax.settingRanges || {};
+        const toNumber = (value) => (typeof value === "string" ? Number(value) : value);
+        Object.keys(ranges).forEach((key) => {
+          const value = importDoc.settings[key];
+          if (value === undefined) return;
+
+          const [min, max] = ranges[key];
+          const number = toNumber(value);
+          if (typeof number !== "number" || isNaN(number) || number < min || number > max) {
+            errors.push(`settings.${key} must be a number between ${min} and ${max}`);
+          }
+        });
+
+        // Why strictly less: equal viewports leave nothing to interpolate between
+        const minViewport = toNumber(importDoc.settings.minViewport);
+        const maxViewport = toNumber(importDoc.settings.maxViewport);
+        if (typeof minViewport === "number" && typeof maxViewport === "number" && minViewport >= maxViewport) {
+          errors.push("settings.minViewport must be less than settings.maxViewport");
+        }
+      }
+
+      const propertyNames = window.fluispfoAjax.constants.SIZE_TYPE_PROPERTY_NAMES;
+      Object.entries(this.SIZE_LISTS).forEach(([type, list]) => {
+        const sizes = importDoc[list];
+        if (!Array.isArray(sizes)) {
+          errors.push(`${list} must be an array`);
+          return;
+        }
+
+        const propertyName = propertyNames[type];
+        const ids = [];
+        sizes.forEach((size, index) => {
+          if (!this._isPlainObject(size) || !Number.isInteger(size.id) || size.id < 1) {
+            errors.push(`${list}[${index}] needs a positive integer id`);
+            return;
+          }
+          if (typeof size[propertyName] !== "string" || size[propertyName] === "") {
+            errors.push(`${list}[${index}] needs a non-empty ${propertyName}`);
+          }
+          if (ids.includes(size.id)) {
+            errors.push(`${list}[${index}] repeats id ${size.id}`);
+          }
+          ids.push(size.id);
+        });
+      });
+
+      return errors;
+    },
+
+    /**
+     * Compare two documents
+     *
+     * @param {Object} currentDoc - Document built from the editor
+     * @param {Object} importDoc - Validated document to import
+     * @returns {Object} Diff containing:
+     *   - settings: Array of {key, from, to} for changed settings
+     *   - sizes: Object keyed by list name with added, removed, changed
+     *     (kept sizes with different values, e.g. a new pin) and reordered
+     */
+    diffDocument(currentDoc, importDoc) {
+      const settings = [];
+      Object.keys(importDoc.settings).forEach((key) => {
+        if (this.UI_STATE_SETTINGS.includes(key)) return;
+
+        const from = currentDoc.settings[key];
+        const to = importDoc.settings[key];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          settings.push({ key, from, to });
+        }
+      });
+
+      const propertyNames = window.fluispfoAjax.constants.SIZE_TYPE_PROPERTY_NAMES;
+      const sizes = {};
+      Object.entries(this.SIZE_LISTS).forEach(([type, list]) => {
+        const currentNames = currentDoc[list].map((size) => size[propertyNames[type]]);
+        const importNames = importDoc[list].map((size) => size[propertyNames[type]]);
+        const kept = importNames.filter((name) => currentNames.includes(name));
+        const findSize = (sizeList, name) =>
+          sizeList.find((size) => size[propertyNames[type]] === name);
+
+        sizes[list] = {
+          added: importNames.filter((name) => !currentNames.includes(name)),
+          removed: currentNames.filter((name) => !importNames.includes(name)),
+          changed: kept.filter(
+            (name) =>
+              JSON.stringify(this._withoutId(findSize(currentDoc[list], name))) !==
+              JSON.stringify(this._withoutId(findSize(importDoc[list], name)))
+          ),
+          reordered:
+            kept.join("|") !==
+            currentNames.filter((name) => importNames.includes(name)).join("|"),
+        };
+      });
+
+      return { settings, sizes };
+    },
+
+    // ========================================================================
+    // PRIVATE - IMPORT HELPERS
+    // ========================================================================
+
+    /**
+     * Send a validated document to the server and reload on success
+     *
+     * @param {Object} importDoc - Validated document
+     * @private
+     */
+    _applyImport(importDoc) {
+      const modal = window.FluidSpaceForge.ModalManager;
+      const data = {
+        action: "fluispfo_import_config",
+        nonce: window.fluispfoAjax.nonce,
+        document: JSON.stringify(importDoc),
+      };
+
+      fetch(window.fluispfoAjax.ajaxurl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(data),
+      })
+        .then((response) => response.json())
+        .then((result) => {
+          if (!result.success) {
+            const errors = result.data?.errors || [result.data?.message || "Unknown error"];
+            modal.showAlertModal(
+              "Import Failed",
+              errors.map((error) => `• ${escapeHtml(error)}`).join("\n"),
+              null,
+              { type: "error" }
+            );
+            return;
+          }
+
+          // Every panel is built from fluispfoAjax.data, so reload to rebuild from the import
+          window.location.reload();
+        })
+        .catch((error) => {
+          console.error("Import error:", error);
+          modal.showAlertModal("Import Failed", "The server could not be reached.", null, {
+            type: "error",
+          });
+        });
+    },
+
+    /**
+     * Render a diff as modal message text
+     *
+     * @param {Object} diff - Result of diffDocument()
+     * @returns {string} HTML-escaped message with one line per change
+     * @private
+     */
+    _formatDiff(diff) {
+      const lines = [];
+
+      diff.settings.forEach(({ key, from, to }) => {
+        lines.push(
+          `• ${escapeHtml(key)}: ${escapeHtml(JSON.stringify(from) ?? "—")} → ${escapeHtml(JSON.stringify(to))}`
+        );
+      });
+
+      Object.entries(diff.sizes).forEach(([list, change]) => {
+        if (change.added.length > 0) {
+          lines.push(`• ${list}: adds ${escapeHtml(change.added.join(", "))}`);
+        }
+        if (change.removed.length > 0) {
+          lines.push(`• ${list}: removes ${escapeHtml(change.removed.join(", "))}`);
+        }
+        if (change.changed.length > 0) {
+          lines.push(`• ${list}: changes ${escapeHtml(change.changed.join(", "))}`);
+        }
+        if (change.reordered) {
+          lines.push(`• ${list}: changes order`);
+        }
+      });
+
+      if (lines.length === 0) {
+        return "The file matches the current configuration.";
+      }
+
+      return "The import will change:\n\n" + lines.join("\n");
+    },
+
+    /**
+     * Copy a size entry without its id
+     *
+     * IDs can differ between sites and are not part of the output.
+     *
+     * @param {Object} size - Size entry
+     * @returns {Object} Entry without the id property
+     * @private
+     */
+    _withoutId(size) {
+      const { id, ...rest } = size;
+      return rest;
+    },
+
+    /**
+     * Check for a non-null, non-array object
+     *
+     * @param {*} value - Value to check
+     * @returns {boolean} True for plain objects
+     * @private
+     */
+    _isPlainObject(value) {
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    },
+  };
+
+  // ========================================================================
+  // MODULE EXPORT
+  // ========================================================================
+
+  // Export to global namespace
+  window.FluidSpaceForge = window.FluidSpaceForge || {};
+  window.FluidSpaceForge.ImportExportManager = ImportExportManager;
+})(window);
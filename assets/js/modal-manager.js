@@ -1,7 +1,7 @@
 /**
  * Fluid Space Forge - Modal Manager
  *
- * Manages all modal dialogs: edit, confirmation, and alert modals.
+ * Manages all modal dialogs: edit, confirmation, prompt and alert modals.
  * Follows FFF pattern of dynamic modal creation via JavaScript.
  *
  * @version 1.0
@@ -36,9 +36,13 @@
      * @param {number} sizeId - ID of size to edit
      * @param {string} currentValue - Current name/value
      * @param {string} action - 'add' or 'edit'
-     * @param {Function} saveCallback - Function to call on save
+     * @param {Function} saveCallback - Function to call on save, receives (value, extras)
+     * @param {Object} options - Optional config: { properties, propertiesPlaceholder } adds
+     *   a per-size properties field whose value is passed as extras.properties;
+     *   { pinned: { min, max } } adds pinned min/max pixel fields passed as
+     *   extras.min and extras.max (empty means computed)
      */
-    showEditModal(tabType, sizeId, currentValue, action, saveCallback) {
+    showEditModal(tabType, sizeId, currentValue, action, saveCallback, options = {}) {
       this.removeCurrentModal();
 
       const config = this._getTabConfig(tabType);
@@ -71,6 +75,30 @@
                                    value="${currentValue}" 
                                    placeholder="e.g., lg" required>
                         </div>
+                        ${
+                          options.properties !== undefined
+                            ? `<div class="fcc-form-group">
+                            <label class="fcc-label" for="edit-properties">Properties (optional)</label>
+                            <input type="text" id="edit-properties" class="fcc-input"
+                                   value="${this._escapeAttribute(options.properties)}"
+                                   placeholder="${this._escapeAttribute(options.propertiesPlaceholder || "")}">
+                        </div>`
+                            : ""
+                        }
+                        ${
+                          options.pinned
+                            ? `<div class="fcc-form-group">
+                            <label class="fcc-label" for="edit-min">Pinned min px (optional)</label>
+                            <input type="number" id="edit-min" class="fcc-input" min="0" step="any"
+                                   value="${this._escapeAttribute(options.pinned.min ?? "")}"
+                                   placeholder="computed">
+                            <label class="fcc-label" for="edit-max">Pinned max px (optional)</label>
+                            <input type="number" id="edit-max" class="fcc-input" min="0" step="any"
+                                   value="${this._escapeAttribute(options.pinned.max ?? "")}"
+                                   placeholder="computed">
+                        </div>`
+                            : ""
+                        }
                         <div class="fcc-btn-group">
                             <button type="button" class="fcc-btn" id="modal-cancel">cancel</button>
                             <button type="button" class="fcc-btn" id="modal-save">save</button>
@@ -90,7 +118,14 @@
         .addEventListener("click", () => this.closeCurrentModal());
       modal.querySelector("#modal-save").addEventListener("click", () => {
         const value = document.getElementById("edit-suffix").value.trim();
-        const result = saveCallback(value);
+        const propertiesInput = document.getElementById("edit-properties");
+        const minInput = document.getElementById("edit-min");
+        const maxInput = document.getElementById("edit-max");
+        const result = saveCallback(value, {
+          properties: propertiesInput ? propertiesInput.value.trim() : undefined,
+          min: minInput ? minInput.value.trim() : undefined,
+          max: maxInput ? maxInput.value.trim() : undefined,
+        });
 
         if (result === true) {
           // Success - close modal
@@ -203,6 +238,95 @@
       }, 100);
     },
 
+    // ========================================================================
+    // PUBLIC API - PROMPT MODAL
+    // ========================================================================
+
+    /**
+     * Show a modal asking for one line of text
+     *
+     * @param {string} title - Modal title
+     * @param {string} label - Input label
+     * @param {string} value - Initial input value
+     * @param {Function} onSubmit - Called with the trimmed value; return true
+     *   to close, or an error message to show inline
+     * @param {Object} options - Optional config: { confirmText, placeholder, maxLength, message }
+     *   where message is HTML shown above the input
+     */
+    showPromptModal(title, label, value, onSubmit, options = {}) {
+      this.removeCurrentModal();
+
+      const confirmText = options.confirmText || "save";
+      const maxLength = options.maxLength ? `maxlength="${options.maxLength}"` : "";
+      const message = options.message
+        ? `<p style="margin: 0 0 16px 0; line-height: 1.6; white-space: pre-line;">${options.message}</p>`
+        : "";
+
+      const modal = document.createElement("div");
+      modal.id = "prompt-modal";
+      modal.className = "fcc-modal show";
+      modal.innerHTML = `
+                <div class="fcc-modal-dialog">
+                    <div class="fcc-modal-header">
+                        ${title}
+                        <button type="button" class="fcc-modal-close" aria-label="Close">&times;</button>
+                    </div>
+                    <div class="fcc-modal-content">
+                        <div id="modal-error-banner" class="fcc-modal-error" style="display: none;">
+                            <span class="error-icon">⚠</span>
+                            <span id="modal-error-text"></span>
+                        </div>
+                        ${message}
+                        <div class="fcc-form-group">
+                            <label class="fcc-label" for="prompt-value">${label}</label>
+                            <input type="text" id="prompt-value" class="fcc-input" ${maxLength}
+                                   value="${this._escapeAttribute(value)}"
+                                   placeholder="${this._escapeAttribute(options.placeholder || "")}" required>
+                        </div>
+                        <div class="fcc-btn-group">
+                            <button type="button" class="fcc-btn fcc-btn-secondary" id="modal-cancel">cancel</button>
+                            <button type="button" class="fcc-btn" id="modal-save">${confirmText}</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+      document.body.appendChild(modal);
+      this.currentModal = modal;
+
+      // Bind events
+      modal
+        .querySelector(".fcc-modal-close")
+        .addEventListener("click", () => this.closeCurrentModal());
+      modal
+        .querySelector("#modal-cancel")
+        .addEventListener("click", () => this.closeCurrentModal());
+      modal.querySelector("#modal-save").addEventListener("click", () => {
+        const result = onSubmit(document.getElementById("prompt-value").value.trim());
+
+        if (result === true) {
+          this.closeCurrentModal();
+        } else if (typeof result === "string") {
+          this.showInlineError(result);
+        }
+      });
+
+      // Focus and select input; Enter key submits
+      setTimeout(() => {
+        const input = document.getElementById("prompt-value");
+        input.focus();
+        input.select();
+        input.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            modal.querySelector("#modal-save").click();
+          }
+        });
+      }, 100);
+
+      // ESC key closes
+      this._bindEscapeKey();
+    },
+
     // ========================================================================
     // PUBLIC API - ALERT MODAL
     // ========================================================================
@@ -391,6 +515,32 @@
       };
       return TAB_CONFIG[tabType] || TAB_CONFIG.class;
     },
+
+    /**
+     * Escape text for innerHTML-based modals, panels and lists
+     *
+     * Shared by every module that builds markup from names, labels or
+     * imported text.
+     *
+     * @param {string} text - Text to show as-is
+     * @returns {string} HTML-escaped text
+     */
+    escapeHtml(text) {
+      const div = document.createElement("div");
+      div.textContent = String(text);
+      return div.innerHTML;
+    },
+
+    /**
+     * Escape a value for use inside a double-quoted HTML attribute
+     * @private
+     */
+    _escapeAttribute(value) {
+      return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;");
+    },
   };
 
   // ========================================================================
@@ -0,0 +1,382 @@
+/**
+ * Fluid Space Forge - Presets Manager
+ *
+ * Preset controls above the save buttons: switch the preset being edited,
+ * create, duplicate, rename and delete presets, and choose the preset the
+ * site renders.
+ *
+ * Every action goes through the fluispfo_manage_preset AJAX action.
+ * Actions that load another preset into the editor (switch, create,
+ * duplicate, delete) send the current editor data, which the server saves
+ * into the preset being edited first, and then reload the page, since
+ * every panel is built from fluispfoAjax.data. Rename and use on site
+ * leave the editor and its unsaved edits as they are.
+ *
+ * @version 1.3.0
+ */
+
+(function (window) {
+  "use strict";
+
+  // HTML escaping shared by the admin modules, see ModalManager.escapeHtml()
+  const escapeHtml = (text) => window.FluidSpaceForge.ModalManager.escapeHtml(text);
+
+  /**
+   * Presets Manager Module
+   *
+   * Singleton object binding the preset controls rendered by
+   * templates/admin/preset-controls.php.
+   */
+  const PresetsManager = {
+    // ========================================================================
+    // STATE PROPERTIES
+    // ========================================================================
+
+    /**
+     * ID of the preset loaded in the editor
+     * @type {number}
+     */
+    editingId: 0,
+
+    /**
+     * ID of the preset the site renders
+     * @type {number}
+     */
+    activeId: 0,
+
+    /**
+     * Operations that load another preset into the editor
+     *
+     * Only these send the editor data to be saved first and reload the page.
+     * @type {Array<string>}
+     */
+    leavingOperations: ["switch", "create", "duplicate", "delete"],
+
+    // ========================================================================
+    // PUBLIC API - INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Bind the preset select and buttons
+     *
+     * Should be called once after DOM is ready.
+     */
+    initialize() {
+      const controls = document.getElementById("preset-controls");
+      if (!controls) return;
+
+      this.editingId = parseInt(controls.getAttribute("data-editing"));
+      this.activeId = parseInt(controls.getAttribute("data-active"));
+
+      const select = document.getElementById("preset-select");
+      if (select) {
+        select.addEventListener("change", () => this.switchTo(parseInt(select.value)));
+      }
+
+      const actions = {
+        "preset-new-btn": () => this.promptCreate(),
+        "preset-duplicate-btn": () => this.promptDuplicate(),
+        "preset-rename-btn": () => this.promptRename(),
+        "preset-delete-btn": () => this.confirmDelete(),
+        "preset-activate-btn": () => this.confirmActivate(),
+      };
+      Object.entries(actions).forEach(([id, handler]) => {
+        document.getElementById(id)?.addEventListener("click", handler);
+      });
+    },
+
+    // ========================================================================
+    // PUBLIC API - ACTIONS
+    // ========================================================================
+
+    /**
+     * Load another preset into the editor
+     *
+     * Edits to the current preset are saved first, so nothing is lost and
+     * no confirmation is needed.
+     *
+     * @param {number} id - Preset ID
+     */
+    switchTo(id) {
+      if (id === this.editingId) return;
+
+      this._send("switch", { preset: id });
+    },
+
+    /**
+     * Ask for a name, then create a preset from the default scale
+     */
+    promptCreate() {
+      this._promptName("New Preset", "", "create", (name) => {
+        this._send("create", { name });
+      }, 0, this._getUnsavedNotice());
+    },
+
+    /**
+     * Ask for a name, then copy the preset being edited
+     */
+    promptDuplicate() {
+      const name = `${this._getName(this.editingId)} copy`;
+
+      this._promptName("Duplicate Preset", name, "duplicate", (newName) => {
+        this._send("duplicate", { preset: this.editingId, name: newName });
+      }, 0, this._getUnsavedNotice());
+    },
+
+    /**
+     * Ask for a new name for the preset being edited
+     */
+    promptRename() {
+      this._promptName(
+        "Rename Preset",
+        this._getName(this.editingId),
+        "rename",
+        (name) => {
+          this._send("rename", { preset: this.editingId, name });
+        },
+        this.editingId
+      );
+    },
+
+    /**
+     * Ask for confirmation, then delete the preset being edited
+     *
+     * The server loads the live preset (or the first other preset) in its
+     * place.
+     */
+    confirmDelete() {
+      const name = escapeHtml(this._getName(this.editingId));
+      const handover =
+        this.editingId === this.activeId
+          ? "\n\nIt is live on the site, so the preset loaded in its place becomes live."
+          : "";
+
+      window.FluidSpaceForge.ModalManager.showConfirmModal(
+        "Delete Preset",
+        `Delete the preset "${name}" with its settings and all sizes?${handover}\n\nUnsaved edits are saved first, so they stay in Revisions with the earlier saves.`,
+        () => this._send("delete", { preset: this.editingId }),
+        null,
+        { confirmText: "delete", isDangerous: true }
+      );
+    },
+
+    /**
+     * Ask for confirmation, then make the preset being edited live
+     */
+    confirmActivate() {
+      if (this.editingId === this.activeId) return;
+
+      const name = escapeHtml(this._getName(this.editingId));
+      const current = escapeHtml(this._getName(this.activeId));
+
+      window.FluidSpaceForge.ModalManager.showConfirmModal(
+        "Use Preset on Site",
+        `Use "${name}" for the site's spacing CSS instead of "${current}"?\n\nThe front-end stylesheet changes immediately.`,
+        () => this._send("activate", { preset: this.editingId }),
+        null,
+        { confirmText: "use on site" }
+      );
+    },
+
+    // ========================================================================
+    // PRIVATE - HELPERS
+    // ========================================================================
+
+    /**
+     * Ask for a preset name and check it before calling back
+     *
+     * @param {string} title - Modal title
+     * @param {string} value - Initial name
+     * @param {string} confirmText - Confirm button text
+     * @param {Function} onName - Called with the accepted name
+     * @param {number} exceptId - Preset allowed to keep the name (rename)
+     * @param {string} message - Optional HTML shown above the name input
+     * @private
+     */
+    _promptName(title, value, confirmText, onName, exceptId = 0, message = "") {
+      const maxLength = window.fluispfoAjax.constants.MAX_PRESET_NAME_LENGTH;
+
+      window.FluidSpaceForge.ModalManager.showPromptModal(
+        title,
+        "Preset name",
+        value,
+        (name) => {
+          if (name === "") {
+            return "Enter a preset name";
+          }
+
+          const taken = this._getPresets().find(
+            (preset) => preset.id !== exceptId && preset.name.toLowerCase() === name.toLowerCase()
+          );
+          if (taken) {
+            return `A preset named "${taken.name}" already exists`;
+          }
+
+          onName(name);
+          return true;
+        },
+        { confirmText, placeholder: "e.g., Marketing", maxLength, message }
+      );
+    },
+
+    /**
+     * Send a preset operation and show its result
+     *
+     * Operations in leavingOperations send the current editor data and
+     * reload on success; rename and activate update the controls in place.
+     *
+     * @param {string} operation - create, duplicate, rename, delete, switch or activate
+     * @param {Object} params - preset (ID) and/or name
+     * @private
+     */
+    _send(operation, params) {
+      const modal = window.FluidSpaceForge.ModalManager;
+      const ajaxData = window.fluispfoAjax.data;
+      const leavesEditor = this.leavingOperations.includes(operation);
+      const data = {
+        action: "fluispfo_manage_preset",
+        nonce: window.fluispfoAjax.nonce,
+        operation,
+        ...params,
+      };
+      if (leavesEditor) {
+        data.settings = JSON.stringify(window.FluidSpaceForge.AutosaveManager.getCurrentSettings());
+        data.sizes = JSON.stringify({
+          classSizes: ajaxData.classSizes || [],
+          variableSizes: ajaxData.variableSizes || [],
+          utilitySizes: ajaxData.utilitySizes || [],
+        });
+      }
+
+      fetch(window.fluispfoAjax.ajaxurl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(data),
+      })
+        .then((response) => response.json())
+        .then((result) => {
+          if (!result.success) {
+            this._resetSelect();
+            modal.showAlertModal(
+              "Preset Not Changed",
+              escapeHtml(result.data?.message || "Unknown error"),
+              null,
+              { type: "error" }
+            );
+            return;
+          }
+
+          if (!leavesEditor) {
+            this._applyResult(operation, result.data.preset);
+            return;
+          }
+
+          // Every panel is built from fluispfoAjax.data, so reload to rebuild from the preset
+          window.location.reload();
+        })
+        .catch((error) => {
+          console.error("Preset error:", error);
+          this._resetSelect();
+          modal.showAlertModal("Preset Not Changed", "The server could not be reached.", null, {
+            type: "error",
+          });
+        });
+    },
+
+    /**
+     * Show a rename or activate in the controls without reloading
+     *
+     * @param {string} operation - rename or activate
+     * @param {Object} preset - Preset returned by the server, with id and name
+     * @private
+     */
+    _applyResult(operation, preset) {
+      if (operation === "rename") {
+        document
+          .querySelector(`#preset-select option[value="${preset.id}"]`)
+          ?.setAttribute("data-name", preset.name);
+      } else {
+        this.activeId = preset.id;
+        document.getElementById("preset-controls")?.setAttribute("data-active", String(preset.id));
+      }
+
+      const select = document.getElementById("preset-select");
+      if (select) {
+        Array.from(select.options).forEach((option) => {
+          const live = parseInt(option.value) === this.activeId ? " (live)" : "";
+          option.textContent = option.getAttribute("data-name") + live;
+        });
+      }
+
+      const isLive = this.editingId === this.activeId;
+      const liveStatus = document.querySelector("#preset-controls .fcc-preset-live");
+      if (liveStatus) {
+        liveStatus.classList.toggle("is-live", isLive);
+        liveStatus.querySelector("strong").textContent = this._getName(this.activeId);
+      }
+      const activateBtn = document.getElementById("preset-activate-btn");
+      if (activateBtn) {
+        activateBtn.disabled = isLive;
+      }
+    },
+
+    /**
+     * Build the notice for prompts that open another preset
+     *
+     * @returns {string} HTML naming the preset whose unsaved edits are saved first
+     * @private
+     */
+    _getUnsavedNotice() {
+      const name = escapeHtml(this._getName(this.editingId));
+      return `Unsaved edits to "${name}" are saved first, then the new preset opens for editing.`;
+    },
+
+    /**
+     * Read the presets listed in the select
+     *
+     * @returns {Array<Object>} Presets with id and name
+     * @private
+     */
+    _getPresets() {
+      const select = document.getElementById("preset-select");
+      if (!select) return [];
+
+      return Array.from(select.options).map((option) => ({
+        id: parseInt(option.value),
+        name: option.getAttribute("data-name"),
+      }));
+    },
+
+    /**
+     * Get a preset's name
+     *
+     * @param {number} id - Preset ID
+     * @returns {string} Preset name, or an empty string
+     * @private
+     */
+    _getName(id) {
+      return this._getPresets().find((preset) => preset.id === id)?.name || "";
+    },
+
+    /**
+     * Show the preset being edited in the select again after a failed switch
+     * @private
+     */
+    _resetSelect() {
+      const select = document.getElementById("preset-select");
+      if (select) {
+        select.value = String(this.editingId);
+      }
+    },
+  };
+
+  // ========================================================================
+  // MODULE EXPORT
+  // ========================================================================
+
+  // Export to global namespace
+  window.FluidSpaceForge = window.FluidSpaceForge || {};
+  window.FluidSpaceForge.PresetsManager = PresetsManager;
+})(window);
@@ -0,0 +1,424 @@
+/**
+ * Fluid Space Forge - Revisions Manager
+ *
+ * Revisions panel for the server-side revision history: lists the saved
+ * revisions with who saved them and from where, compares any two of them
+ * and restores one as the saved scale.
+ *
+ * Revisions are recorded by FluidSpaceForge::save_data() and loaded here
+ * through the fluispfo_get_revisions AJAX action each time the panel is
+ * opened, so saves made since page load are included.
+ *
+ * @version 1.3.0
+ */
+
+(function (window) {
+  "use strict";
+
+  // HTML escaping shared by the admin modules, see ModalManager.escapeHtml()
+  const escapeHtml = (text) => window.FluidSpaceForge.ModalManager.escapeHtml(text);
+
+  /**
+   * Revisions Manager Module
+   *
+   * Singleton object rendering the revisions panel. Diffs come from
+   * ImportExportManager.diffDocument(), since a revision has the same
+   * settings and sizes lists as a configuration document.
+   */
+  const RevisionsManager = {
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /**
+     * Readable names for where a revision was saved from
+     * @type {Object}
+     * @const
+     */
+    SOURCE_LABELS: {
+      initial: "before history",
+      admin: "admin",
+      rest: "REST API",
+      cli: "WP-CLI",
+      import: "import",
+      restore: "restore",
+      preset: "preset switch",
+    },
+
+    // ========================================================================
+    // STATE PROPERTIES
+    // ========================================================================
+
+    /**
+     * Revisions from the last load, newest first
+     * @type {Array<Object>}
+     */
+    revisions: [],
+
+    // ========================================================================
+    // PUBLIC API - INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Bind the panel toggle, compare selects and restore buttons
+     *
+     * Should be called once after DOM is ready, after the toggle panels
+     * are initialized so the expanded class is already set on click.
+     */
+    initialize() {
+      const toggle = document.querySelector('[data-toggle-target="revisions-content"]');
+      const content = document.getElementById("revisions-content");
+      const fromSelect = document.getElementById("revision-from");
+      const toSelect = document.getElementById("revision-to");
+      const list = document.getElementById("revisions-list");
+
+      if (toggle && content) {
+        toggle.addEventListener("click", () => {
+          if (content.classList.contains("expanded")) {
+            this.load();
+          }
+        });
+      }
+
+      if (fromSelect && toSelect) {
+        fromSelect.addEventListener("change", () => this.renderDiff());
+        toSelect.addEventListener("change", () => this.renderDiff());
+      }
+
+      if (list) {
+        list.addEventListener("click", (event) => {
+          const button = event.target.closest(".restore-revision-btn");
+          if (button) {
+            this.confirmRestore(parseInt(button.getAttribute("data-id")));
+          }
+        });
+      }
+    },
+
+    // ========================================================================
+    // PUBLIC API - PANEL
+    // ========================================================================
+
+    /**
+     * Fetch the revisions and render the panel
+     */
+    load() {
+      const list = document.getElementById("revisions-list");
+      const data = {
+        action: "fluispfo_get_revisions",
+        nonce: window.fluispfoAjax.nonce,
+      };
+
+      fetch(window.fluispfoAjax.ajaxurl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(data),
+      })
+        .then((response) => response.json())
+        .then((result) => {
+          if (!result.success) {
+            throw new Error(result.data?.message || "Unknown error");
+          }
+
+          this.revisions = result.data.revisions;
+          this.render();
+        })
+        .catch((error) => {
+          console.error("Revisions load error:", error);
+          if (list) {
+            list.innerHTML = `<tr><td colspan="5">Revisions could not be loaded: ${escapeHtml(error.message)}</td></tr>`;
+          }
+        });
+    },
+
+    /**
+     * Render the revisions table and compare selects
+     *
+     * Each row summarizes what changed since the revision before it. The
+     * compare selects default to the two newest revisions.
+     */
+    render() {
+      const list = document.getElementById("revisions-list");
+      const fromSelect = document.getElementById("revision-from");
+      const toSelect = document.getElementById("revision-to");
+      if (!list || !fromSelect || !toSelect) return;
+
+      if (this.revisions.length === 0) {
+        list.innerHTML =
+          '<tr><td colspan="5">No revisions yet. The first save starts the history.</td></tr>';
+        fromSelect.innerHTML = "";
+        toSelect.innerHTML = "";
+        this.renderDiff();
+        return;
+      }
+
+      list.innerHTML = this.revisions
+        .map((revision, index) => {
+          const previous = this.revisions[index + 1];
+          const summary = previous
+            ? this._summarize(this._diff(previous, revision))
+            : "Oldest kept revision";
+          const action =
+            index === 0
+              ? '<span class="revision-current">current</span>'
+              : `<button type="button" class="fcc-btn restore-revision-btn" data-id="${revision.id}">restore</button>`;
+
+          return `<tr>
+            <td>#${revision.id} ${escapeHtml(this._formatTime(revision.time))}</td>
+            <td>${escapeHtml(this._getUserLabel(revision))}</td>
+            <td>${escapeHtml(this._getSourceLabel(revision))}</td>
+            <td>${summary}</td>
+            <td>${action}</td>
+          </tr>`;
+        })
+        .join("");
+
+      const options = this.revisions
+        .map(
+          (revision) =>
+            `<option value="${revision.id}">#${revision.id} ${escapeHtml(this._formatTime(revision.time))} - ${escapeHtml(this._getUserLabel(revision))}</option>`
+        )
+        .join("");
+      fromSelect.innerHTML = options;
+      toSelect.innerHTML = options;
+      fromSelect.value = String((this.revisions[1] || this.revisions[0]).id);
+      toSelect.value = String(this.revisions[0].id);
+
+      this.renderDiff();
+    },
+
+    /**
+     * Show the differences between the two selected revisions
+     */
+    renderDiff() {
+      const output = document.getElementById("revision-diff");
+      if (!output) return;
+
+      const from = this._find(parseInt(document.getElementById("revision-from")?.value));
+      const to = this._find(parseInt(document.getElementById("revision-to")?.value));
+      if (!from || !to) {
+        output.innerHTML = "";
+        return;
+      }
+
+      const lines = this._describe(this._diff(from, to));
+      output.innerHTML = lines.length
+        ? `<ul class="fcc-revision-diff-list">${lines.map((line) => `<li>${line}</li>`).join("")}</ul>`
+        : '<p class="revision-no-diff">No differences.</p>';
+    },
+
+    // ========================================================================
+    // PUBLIC API - RESTORE
+    // ========================================================================
+
+    /**
+     * Ask for confirmation, then restore a revision
+     *
+     * The confirmation lists what the restore changes compared with the
+     * newest revision.
+     *
+     * @param {number} id - Revision ID
+     */
+    confirmRestore(id) {
+      const revision = this._find(id);
+      if (!revision) return;
+
+      const lines = this._describe(this._diff(this.revisions[0], revision));
+      const changes = lines.length
+        ? "This will change:\n\n" + lines.map((line) => `• ${line}`).join("\n")
+        : "It matches the current saved scale.";
+
+      window.FluidSpaceForge.ModalManager.showConfirmModal(
+        "Restore Revision",
+        `Restore revision #${revision.id} from ${escapeHtml(this._formatTime(revision.time))}?\n\n${changes}` +
+          "\n\nThis replaces the saved settings and all sizes. Unsaved changes are discarded. The restore is kept as a new revision.",
+        () => this._applyRestore(id),
+        null,
+        { confirmText: "restore", isDangerous: true }
+      );
+    },
+
+    // ========================================================================
+    // PRIVATE - RESTORE HELPERS
+    // ========================================================================
+
+    /**
+     * Ask the server to restore a revision and reload on success
+     *
+     * @param {number} id - Revision ID
+     * @private
+     */
+    _applyRestore(id) {
+      const modal = window.FluidSpaceForge.ModalManager;
+      const data = {
+        action: "fluispfo_restore_revision",
+        nonce: window.fluispfoAjax.nonce,
+        revision: id,
+      };
+
+      fetch(window.fluispfoAjax.ajaxurl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(data),
+      })
+        .then((response) => response.json())
+        .then((result) => {
+          if (!result.success) {
+            modal.showAlertModal(
+              "Restore Failed",
+              escapeHtml(result.data?.message || "Unknown error"),
+              null,
+              { type: "error" }
+            );
+            return;
+          }
+
+          // Every panel is built from fluispfoAjax.data, so reload to rebuild from the restore
+          window.location.reload();
+        })
+        .catch((error) => {
+          console.error("Restore error:", error);
+          modal.showAlertModal("Restore Failed", "The server could not be reached.", null, {
+            type: "error",
+          });
+        });
+    },
+
+    // ========================================================================
+    // PRIVATE - DIFF HELPERS
+    // ========================================================================
+
+    /**
+     * Diff two revisions
+     *
+     * @param {Object} from - Older (or current) revision
+     * @param {Object} to - Revision to compare with
+     * @returns {Object} Result of ImportExportManager.diffDocument()
+     * @private
+     */
+    _diff(from, to) {
+      return window.FluidSpaceForge.ImportExportManager.diffDocument(from, to);
+    },
+
+    /**
+     * Render a diff as HTML-escaped lines
+     *
+     * @param {Object} diff - Result of _diff()
+     * @returns {Array<string>} One line per change
+     * @private
+     */
+    _describe(diff) {
+      const lines = [];
+
+      diff.settings.forEach(({ key, from, to }) => {
+        lines.push(
+          `<strong>${escapeHtml(key)}</strong>: ${escapeHtml(JSON.stringify(from) ?? "—")} → ${escapeHtml(JSON.stringify(to) ?? "—")}`
+        );
+      });
+
+      Object.entries(diff.sizes).forEach(([list, change]) => {
+        if (change.added.length > 0) {
+          lines.push(`<strong>${list}</strong>: adds ${escapeHtml(change.added.join(", "))}`);
+        }
+        if (change.removed.length > 0) {
+          lines.push(`<strong>${list}</strong>: removes ${escapeHtml(change.removed.join(", "))}`);
+        }
+        if (change.changed.length > 0) {
+          lines.push(`<strong>${list}</strong>: changes ${escapeHtml(change.changed.join(", "))}`);
+        }
+        if (change.reordered) {
+          lines.push(`<strong>${list}</strong>: changes order`);
+        }
+      });
+
+      return lines;
+    },
+
+    /**
+     * Summarize a diff as the names of what changed
+     *
+     * @param {Object} diff - Result of _diff()
+     * @returns {string} HTML-escaped summary for the revisions table
+     * @private
+     */
+    _summarize(diff) {
+      const names = diff.settings.map(({ key }) => key);
+      Object.entries(diff.sizes).forEach(([list, change]) => {
+        if (
+          change.added.length ||
+          change.removed.length ||
+          change.changed.length ||
+          change.reordered
+        ) {
+          names.push(list);
+        }
+      });
+
+      return names.length ? escapeHtml(names.join(", ")) : "No scale changes";
+    },
+
+    // ========================================================================
+    // PRIVATE - UTILITY METHODS
+    // ========================================================================
+
+    /**
+     * Find a loaded revision by ID
+     *
+     * @param {number} id - Revision ID
+     * @returns {Object|undefined} Revision
+     * @private
+     */
+    _find(id) {
+      return this.revisions.find((revision) => revision.id === id);
+    },
+
+    /**
+     * Format a revision timestamp in the browser's locale
+     *
+     * @param {number} time - Unix timestamp in seconds
+     * @returns {string} Local date and time
+     * @private
+     */
+    _formatTime(time) {
+      return new Date(time * 1000).toLocaleString();
+    },
+
+    /**
+     * Name the user who saved a revision
+     *
+     * @param {Object} revision - Revision
+     * @returns {string} Display name, or a placeholder for saves without a user
+     * @private
+     */
+    _getUserLabel(revision) {
+      if (revision.userName) return revision.userName;
+
+      return revision.source === "cli" ? "WP-CLI" : "—";
+    },
+
+    /**
+     * Name where a revision was saved from
+     *
+     * @param {Object} revision - Revision
+     * @returns {string} Source label, with the restored revision for restores
+     * @private
+     */
+    _getSourceLabel(revision) {
+      const label = this.SOURCE_LABELS[revision.source] || revision.source;
+
+      return revision.restoredFrom ? `${label} of #${revision.restoredFrom}` : label;
+    },
+  };
+
+  // ========================================================================
+  // MODULE EXPORT
+  // ========================================================================
+
+  // Export to global namespace
+  window.FluidSpaceForge = window.FluidSpaceForge || {};
+  window.FluidSpaceForge.RevisionsManager = RevisionsManager;
+})(window);
@@ -174,27 +174,29 @@
     updatePreview() {
       // Get settings
       const settings = window.fluispfoAjax.data.settings;
-      const minVp = parseInt(settings.minViewport);
-      const maxVp = parseInt(settings.maxViewport);
       const unitType = settings.unitType || "px";
 
       // Get base value ID from main base selector
       const baseSelect = document.getElementById("base-value");
       const baseId = baseSelect ? parseInt(baseSelect.value) : 3;
 
-      // Calculate min/max space for selected size
-      const calc = window.FluidSpaceForge.Calculations.calculateSpaceSize(
+      // Calculate the selected size at every anchor viewport
+      const points = window.FluidSpaceForge.Calculations.calculateAnchorValues(
         this.selectedSizeId,
         settings,
         baseId
       );
 
-      // Interpolate current space at slider position
+      // Interpolate within the segment containing the slider position
+      let segment = 0;
+      while (segment < points.length - 2 && this.currentViewport > points[segment + 1].viewport) {
+        segment++;
+      }
       const interpolatedSpace = this._interpolateSpace(
-        calc.min,
-        calc.max,
-        minVp,
-        maxVp,
+        points[segment].value,
+        points[segment + 1].value,
+        points[segment].viewport,
+        points[segment + 1].viewport,
         this.currentViewport
       );
 
@@ -404,6 +406,9 @@
     /**
      * Format value for display (with unit suffix)
      *
+     * Uses the configured root font size and precision, so the label
+     * matches the generated CSS.
+     *
      * @param {number} space - Space value in pixels
      * @param {string} unitType - 'px' or 'rem'
      * @returns {string} Formatted display value
@@ -411,7 +416,10 @@
      */
     _formatDisplayValue(space, unitType) {
       if (unitType === "rem") {
-        const remValue = (space / 16).toFixed(3);
+        const remValue = window.FluidSpaceForge.Calculations.formatRem(
+          space,
+          window.fluispfoAjax.data.settings
+        );
         return `${remValue}rem`;
       }
       return `${space}px`;
@@ -420,6 +428,9 @@
     /**
      * Format value for CSS (for style attributes)
      *
+     * Always against the admin page's own 16px root, so the sample renders
+     * at its true pixel size whatever the site's root font size is.
+     *
      * @param {number} space - Space value in pixels
      * @param {string} unitType - 'px' or 'rem'
      * @returns {string} Formatted CSS value
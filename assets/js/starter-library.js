@@ -0,0 +1,209 @@
+/**
+ * Fluid Space Forge - Starter Library
+ *
+ * Gallery of ready-made scales (Utopia defaults, Tailwind-like, 8-point
+ * grid, compact dashboard, editorial) defined in STARTER_PRESETS. Each
+ * card gets a thumbnail of its scale, and loading one replaces the scale
+ * settings and all three size lists after a confirmation.
+ *
+ * Thumbnails and the load itself are handled by the admin script, which
+ * owns the preview renderer and the panel refresh; this module builds
+ * the starter data and runs the gallery.
+ *
+ * @version 1.3.0
+ */
+
+(function (window) {
+  "use strict";
+
+  // HTML escaping shared by the admin modules, see ModalManager.escapeHtml()
+  const escapeHtml = (text) => window.FluidSpaceForge.ModalManager.escapeHtml(text);
+
+  /**
+   * Starter Library Module
+   *
+   * Singleton object binding the gallery rendered by
+   * templates/admin/starter-gallery.php.
+   */
+  const StarterLibrary = {
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    /**
+     * Size list keys in fluispfoAjax.data, by tab type
+     * @type {Object}
+     * @const
+     */
+    SIZE_LISTS: {
+      class: "classSizes",
+      vars: "variableSizes",
+      utils: "utilitySizes",
+    },
+
+    /**
+     * Base size setting keys, by tab type
+     * @type {Object}
+     * @const
+     */
+    BASE_ID_KEYS: {
+      class: "selectedClassSizeId",
+      vars: "selectedVariableSizeId",
+      utils: "selectedUtilitySizeId",
+    },
+
+    // ========================================================================
+    // STATE PROPERTIES
+    // ========================================================================
+
+    /**
+     * Renders a thumbnail for a starter built by build()
+     * @type {Function|null}
+     */
+    thumbnailRenderer: null,
+
+    /**
+     * Applies a starter built by build() to the editor
+     * @type {Function|null}
+     */
+    loadHandler: null,
+
+    /**
+     * Whether the thumbnails have been rendered
+     * @type {boolean}
+     */
+    rendered: false,
+
+    // ========================================================================
+    // PUBLIC API - INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Bind the gallery toggle and load buttons
+     *
+     * Should be called once after DOM is ready, after the toggle panels
+     * are initialized so the expanded class is already set on click.
+     *
+     * @param {Function} thumbnailRenderer - Returns thumbnail HTML for a starter
+     * @param {Function} loadHandler - Applies a starter to the editor
+     */
+    initialize(thumbnailRenderer, loadHandler) {
+      this.thumbnailRenderer = thumbnailRenderer;
+      this.loadHandler = loadHandler;
+
+      const toggle = document.querySelector('[data-toggle-target="starters-content"]');
+      const content = document.getElementById("starters-content");
+      const gallery = document.getElementById("starter-gallery");
+
+      if (toggle && content) {
+        toggle.addEventListener("click", () => {
+          if (content.classList.contains("expanded")) {
+            this.renderThumbnails();
+          }
+        });
+      }
+
+      if (gallery) {
+        gallery.addEventListener("click", (event) => {
+          const button = event.target.closest(".load-starter-btn");
+          if (button) {
+            this.confirmLoad(button.getAttribute("data-starter"));
+          }
+        });
+      }
+    },
+
+    // ========================================================================
+    // PUBLIC API - GALLERY
+    // ========================================================================
+
+    /**
+     * Render every card's thumbnail once
+     *
+     * Deferred until the gallery is first opened, since each thumbnail
+     * renders a full preview.
+     */
+    renderThumbnails() {
+      if (this.rendered || !this.thumbnailRenderer) return;
+
+      document.querySelectorAll(".fcc-starter-thumb[data-starter]").forEach((thumb) => {
+        const starter = this.build(thumb.getAttribute("data-starter"));
+        if (starter) {
+          thumb.innerHTML = `<div class="fcc-starter-thumb-inner">${this.thumbnailRenderer(starter)}</div>`;
+        }
+      });
+
+      this.rendered = true;
+    },
+
+    /**
+     * Build the settings and size lists a starter loads
+     *
+     * @param {string} key - Starter key in STARTER_PRESETS
+     * @returns {Object|null} Starter with key, name, settings (scale
+     *   settings plus the base size IDs), sizes (keyed like
+     *   fluispfoAjax.data) and baseId; null for an unknown key
+     */
+    build(key) {
+      const constants = window.fluispfoAjax.constants;
+      const definition = constants.STARTER_PRESETS[key];
+      if (!definition) return null;
+
+      const baseId = Math.max(definition.sizes.indexOf(definition.base), 0) + 1;
+      const settings = {};
+      constants.STARTER_SETTINGS.forEach((setting) => {
+        settings[setting] = definition.settings[setting];
+      });
+
+      const sizes = {};
+      Object.entries(this.SIZE_LISTS).forEach(([type, list]) => {
+        const property = constants.SIZE_TYPE_PROPERTY_NAMES[type];
+        sizes[list] = definition.sizes.map((name, index) => ({
+          id: index + 1,
+          [property]: name,
+        }));
+        settings[this.BASE_ID_KEYS[type]] = baseId;
+      });
+
+      return { key, name: definition.name, settings, sizes, baseId };
+    },
+
+    // ========================================================================
+    // PUBLIC API - LOAD
+    // ========================================================================
+
+    /**
+     * Ask for confirmation, then load a starter into the editor
+     *
+     * @param {string} key - Starter key in STARTER_PRESETS
+     */
+    confirmLoad(key) {
+      const starter = this.build(key);
+      if (!starter || !this.loadHandler) return;
+
+      const { settings } = starter;
+      const summary = [
+        `• Base size ${settings.minBasespace}–${settings.maxBasespace}px`,
+        `• Viewport ${settings.minViewport}–${settings.maxViewport}px`,
+        `• Sizes ${starter.sizes.classSizes.map((size) => size.className).join(", ")}`,
+      ].join("\n");
+
+      window.FluidSpaceForge.ModalManager.showConfirmModal(
+        "Load Starter",
+        `Load "${escapeHtml(starter.name)}"?\n\n${escapeHtml(summary)}` +
+          "\n\nThis replaces the scale settings and all three size lists in the preset being edited. Prefixes, formats and output options are kept. Nothing is saved until you save, and you can undo this with Ctrl+Z or the undo button.",
+        () => this.loadHandler(starter),
+        null,
+        { confirmText: "load", isDangerous: true }
+      );
+    },
+  };
+
+  // ========================================================================
+  // MODULE EXPORT
+  // ========================================================================
+
+  // Export to global namespace
+  window.FluidSpaceForge = window.FluidSpaceForge || {};
+  window.FluidSpaceForge.StarterLibrary = StarterLibrary;
+})(window);
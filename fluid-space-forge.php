@@ -4,7 +4,7 @@
  * Plugin Name: Fluid Space Forge
  * Plugin URI: https://github.com/Mij-Strebor/fluid-space-forge
  * Description: Generate responsive spacing using CSS clamp() functions. Perfect companion to Font Clamp Calculator for creating fluid design systems.
- * Version: 1.2.4
+ * Version: 1.3.0
  * Author: Jim R.
  * Author URI: https://jimrforge.com
  * License: GPL v2 or later
@@ -23,6 +23,15 @@ if (!defined('ABSPATH')) {
     exit;
 }
 
+require_once plugin_dir_path(__FILE__) . 'includes/class-css-generator.php';
+require_once plugin_dir_path(__FILE__) . 'includes/class-rest-controller.php';
+
+if (defined('WP_CLI') && WP_CLI) {
+    require_once plugin_dir_path(__FILE__) . 'includes/class-cli-command.php';
+    require_once plugin_dir_path(__FILE__) . 'includes/class-sizes-cli-command.php';
+    require_once plugin_dir_path(__FILE__) . 'includes/class-presets-cli-command.php';
+}
+
 /**
  * Fluid Space Forge - Complete Unified Class
  */
@@ -33,7 +42,7 @@ class FluidSpaceForge
     // ========================================================================
 
     // Configuration Constants
-    const VERSION = '1.2.4';
+    const VERSION = '1.3.0';
     const PLUGIN_SLUG = 'fluid-space-forge';
     const NONCE_ACTION = 'fluispfo_nonce';
 
@@ -46,6 +55,10 @@ class FluidSpaceForge
     const VIEWPORT_RANGE = [200, 5000];
     // Why 1.0-3.0: Below 1.0 shrinks space, above 3.0 creates extreme jumps
     const SCALE_RANGE = [1.0, 3.0];
+    // Why 8-32px: Covers 62.5% (10px) roots up to large-text sites without absurd conversions
+    const ROOT_FONT_SIZE_RANGE = [8, 32];
+    // Why 0-6 places: Beyond 6 decimals browsers round anyway and output only gets longer
+    const PRECISION_RANGE = [0, 6];
 
     // Default Values - PRIMARY CONSTANTS
     // Why 8px: Common design system base unit - divisible by 2, 4, 8
@@ -60,6 +73,10 @@ class FluidSpaceForge
     const DEFAULT_MIN_SCALE = 1.125;
     // Why 1.25: Major Third ratio - creates clear space hierarchy
     const DEFAULT_MAX_SCALE = 1.25;
+    // Why 3 places: Sub-pixel accurate at a 16px root (0.001rem = 0.016px)
+    const DEFAULT_REM_PRECISION = 3;
+    // Why 4 places: Keeps slope rounding below 0.01px even at the 5000px viewport limit
+    const DEFAULT_COEFFICIENT_PRECISION = 4;
 
     // Browser and system constants
     // Why 16px: Universal browser default - foundation for rem calculations
@@ -70,11 +87,157 @@ class FluidSpaceForge
     // Valid Options
     const VALID_UNITS = ['px', 'rem'];
     const VALID_TABS = ['class', 'vars', 'utils'];
+    // Formats offered by the Generated CSS panel, REST /css and WP-CLI export
+    const OUTPUT_FORMATS = ['css', 'tokens', 'scss', 'less', 'tailwind-v3', 'tailwind-v4'];
+
+    // Named Ratios - musical intervals and the golden ratio offered by the scale pickers
+    // Keys are the stored minScale/maxScale values; any other value in SCALE_RANGE still works
+    const NAMED_RATIOS = [
+        '1.067' => 'Minor Second',
+        '1.125' => 'Major Second',
+        '1.200' => 'Minor Third',
+        '1.250' => 'Major Third',
+        '1.333' => 'Perfect Fourth',
+        '1.414' => 'Augmented Fourth',
+        '1.500' => 'Perfect Fifth',
+        '1.600' => 'Minor Sixth',
+        '1.618' => 'Golden Ratio',
+        '1.667' => 'Major Sixth',
+        '1.778' => 'Minor Seventh',
+        '1.875' => 'Major Seventh',
+        '2.000' => 'Octave'
+    ];
+
+    // Scale Generators - how each row's size is derived from the base row
+    // Keys are stored in scaleGenerator; labels fill the settings select
+    const SCALE_GENERATORS = [
+        'ratio' => 'Ratio (geometric)',
+        'linear' => 'Linear (base × n)',
+        'fibonacci' => 'Fibonacci',
+        'grid' => 'Point grid',
+        'custom' => 'Custom multipliers'
+    ];
+    // Why 4 and 8: the two common point-grid units in design systems
+    const GRID_UNITS = [4, 8];
+    const DEFAULT_GRID_UNIT = 8;
+
+    // Fluid Units - what the preferred value of each clamp() scales with
+    // Why cqi: container units let reused components (cards, sidebars) scale with their own width
+    const FLUID_UNITS = [
+        'vw' => 'Viewport width (vw)',
+        'cqi' => 'Container inline size (cqi)',
+        'cqw' => 'Container width (cqw)'
+    ];
+
+    // Piecewise Output - how a scale with breakpoints is written as CSS
+    // Keys are stored in piecewiseOutput; labels fill the settings select
+    const PIECEWISE_OUTPUTS = [
+        'media' => 'Media query steps',
+        'calc' => 'Single calc() expression'
+    ];
 
     // Default Size Suffixes - SINGLE SOURCE OF TRUTH
     // Users work only with these suffix names in the data tables
     const DEFAULT_SIZE_SUFFIXES = ['xs', 'sm', 'md', 'lg', 'xl', 'xxl'];
 
+    // Starter Library - ready-made scales offered in the admin gallery
+    // Each sets every STARTER_SETTINGS key, names the sizes used for all three lists and picks the base size;
+    // other settings (prefixes, formats, output options) keep their current values when one is loaded
+    // Why 16px for Utopia's small end: MIN_BASE_SPACE_RANGE stops at 16
+    const STARTER_SETTINGS = self::SCALE_SETTINGS;
+    const STARTER_PRESETS = [
+        'utopia' => [
+            'name' => 'Utopia defaults',
+            'description' => 'Utopia-style space sizes: fixed multiples (0.25× to 6×) of a 16–20px base, fluid from 320 to 1240px.',
+            'settings' => [
+                'minBasespace' => 16,
+                'maxBasespace' => 20,
+                'minViewport' => 320,
+                'maxViewport' => 1240,
+                'minScale' => 1.2,
+                'maxScale' => 1.25,
+                'scaleGenerator' => 'custom',
+                'gridUnit' => 8,
+                'customMultipliers' => [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6],
+                'breakpoints' => []
+            ],
+            'sizes' => ['3xs', '2xs', 'xs', 's', 'm', 'l', 'xl', '2xl', '3xl'],
+            'base' => 's'
+        ],
+        'tailwind' => [
+            'name' => 'Tailwind-like',
+            'description' => 'Numeric steps in quarter-rem units like Tailwind spacing (4 = 1rem), easing from 14px at 640px to 16px at 1536px.',
+            'settings' => [
+                'minBasespace' => 14,
+                'maxBasespace' => 16,
+                'minViewport' => 640,
+                'maxViewport' => 1536,
+                'minScale' => 1.125,
+                'maxScale' => 1.25,
+                'scaleGenerator' => 'custom',
+                'gridUnit' => 4,
+                'customMultipliers' => [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3, 4],
+                'breakpoints' => []
+            ],
+            'sizes' => ['1', '2', '3', '4', '5', '6', '8', '10', '12', '16'],
+            'base' => '4'
+        ],
+        'grid-8' => [
+            'name' => '8-point grid',
+            'description' => 'Every size a multiple of 8px, one grid unit per step, growing by one unit from 375 to 1440px.',
+            'settings' => [
+                'minBasespace' => 16,
+                'maxBasespace' => 24,
+                'minViewport' => 375,
+                'maxViewport' => 1440,
+                'minScale' => 1.125,
+                'maxScale' => 1.25,
+                'scaleGenerator' => 'grid',
+                'gridUnit' => 8,
+                'customMultipliers' => [],
+                'breakpoints' => []
+            ],
+            'sizes' => ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl'],
+            'base' => 'sm'
+        ],
+        'dashboard' => [
+            'name' => 'Compact dashboard',
+            'description' => 'Tight spacing for dense admin and app screens: an 8–10px base with small ratios, fluid across desktop widths.',
+            'settings' => [
+                'minBasespace' => 8,
+                'maxBasespace' => 10,
+                'minViewport' => 1024,
+                'maxViewport' => 1920,
+                'minScale' => 1.125,
+                'maxScale' => 1.2,
+                'scaleGenerator' => 'ratio',
+                'gridUnit' => 4,
+                'customMultipliers' => [],
+                'breakpoints' => []
+            ],
+            'sizes' => ['2xs', 'xs', 'sm', 'md', 'lg', 'xl'],
+            'base' => 'sm'
+        ],
+        'editorial' => [
+            'name' => 'Editorial / long-form',
+            'description' => 'Generous rhythm for articles and documentation: a 16–24px base with Perfect Fourth to Perfect Fifth ratios.',
+            'settings' => [
+                'minBasespace' => 16,
+                'maxBasespace' => 24,
+                'minViewport' => 375,
+                'maxViewport' => 1440,
+                'minScale' => 1.333,
+                'maxScale' => 1.5,
+                'scaleGenerator' => 'ratio',
+                'gridUnit' => 8,
+                'customMultipliers' => [],
+                'breakpoints' => []
+            ],
+            'sizes' => ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl'],
+            'base' => 'md'
+        ]
+    ];
+
     // Size Type Property Mapping
     // Maps each tab type to its data structure field name
     const SIZE_TYPE_PROPERTY_NAMES = [
@@ -83,11 +246,194 @@ class FluidSpaceForge
         'utils' => 'utilityName'
     ];
 
+    // Size Type Base Mapping
+    // Maps each tab type to the settings key holding its selected base size ID
+    const SIZE_TYPE_BASE_ID_KEYS = [
+        'class' => 'selectedClassSizeId',
+        'vars' => 'selectedVariableSizeId',
+        'utils' => 'selectedUtilitySizeId'
+    ];
+
+    // Size Type Option Mapping
+    // Maps each tab type to the option holding its sizes array
+    const SIZE_TYPE_OPTION_KEYS = [
+        'class' => 'fluispfo_class_sizes',
+        'vars' => 'fluispfo_variable_sizes',
+        'utils' => 'fluispfo_utility_sizes'
+    ];
+
+    // Classes Tab Properties
+    // Why margin: the only property .space-* classes set before they were configurable
+    const DEFAULT_CLASS_PROPERTIES = ['margin'];
+
+    // Utility Families - SINGLE SOURCE OF TRUTH for the Utilities tab
+    // Each variant's token replaces {variant} in the pattern; {size} is the utility name.
+    // Physical variants carry a 'logical' counterpart, used when logicalProperties is on.
+    // Families marked 'negative' also get -prefixed classes when negativeTokens is on.
+    const UTILITY_FAMILIES = [
+        'margin' => [
+            'label' => 'Margin',
+            'negative' => true,
+            'pattern' => 'm{variant}-{size}',
+            'variants' => [
+                ['token' => 't', 'properties' => ['margin-top'], 'logical' => ['token' => 'bs', 'properties' => ['margin-block-start']]],
+                ['token' => 'b', 'properties' => ['margin-bottom'], 'logical' => ['token' => 'be', 'properties' => ['margin-block-end']]],
+                ['token' => 'l', 'properties' => ['margin-left'], 'logical' => ['token' => 's', 'properties' => ['margin-inline-start']]],
+                ['token' => 'r', 'properties' => ['margin-right'], 'logical' => ['token' => 'e', 'properties' => ['margin-inline-end']]],
+                ['token' => 'x', 'properties' => ['margin-left', 'margin-right'], 'logical' => ['token' => 'x', 'properties' => ['margin-inline']]],
+                ['token' => 'y', 'properties' => ['margin-top', 'margin-bottom'], 'logical' => ['token' => 'y', 'properties' => ['margin-block']]],
+                ['token' => '', 'properties' => ['margin']],
+            ],
+        ],
+        'padding' => [
+            'label' => 'Padding',
+            'pattern' => 'p{variant}-{size}',
+            'variants' => [
+                ['token' => 't', 'properties' => ['padding-top'], 'logical' => ['token' => 'bs', 'properties' => ['padding-block-start']]],
+                ['token' => 'b', 'properties' => ['padding-bottom'], 'logical' => ['token' => 'be', 'properties' => ['padding-block-end']]],
+                ['token' => 'l', 'properties' => ['padding-left'], 'logical' => ['token' => 's', 'properties' => ['padding-inline-start']]],
+                ['token' => 'r', 'properties' => ['padding-right'], 'logical' => ['token' => 'e', 'properties' => ['padding-inline-end']]],
+                ['token' => 'x', 'properties' => ['padding-left', 'padding-right'], 'logical' => ['token' => 'x', 'properties' => ['padding-inline']]],
+                ['token' => 'y', 'properties' => ['padding-top', 'padding-bottom'], 'logical' => ['token' => 'y', 'properties' => ['padding-block']]],
+                ['token' => '', 'properties' => ['padding']],
+            ],
+        ],
+        'gap' => [
+            'label' => 'Gap',
+            'pattern' => 'gap{variant}-{size}',
+            'variants' => [
+                ['token' => '', 'properties' => ['gap']],
+                ['token' => '-x', 'properties' => ['column-gap']],
+                ['token' => '-y', 'properties' => ['row-gap']],
+            ],
+        ],
+        'margin-logical' => [
+            'label' => 'Logical Margin',
+            'negative' => true,
+            'pattern' => 'm{variant}-{size}',
+            'variants' => [
+                ['token' => 'bs', 'properties' => ['margin-block-start']],
+                ['token' => 'be', 'properties' => ['margin-block-end']],
+                ['token' => 's', 'properties' => ['margin-inline-start']],
+                ['token' => 'e', 'properties' => ['margin-inline-end']],
+                ['token' => '-block', 'properties' => ['margin-block']],
+                ['token' => '-inline', 'properties' => ['margin-inline']],
+            ],
+        ],
+        'padding-logical' => [
+            'label' => 'Logical Padding',
+            'pattern' => 'p{variant}-{size}',
+            'variants' => [
+                ['token' => 'bs', 'properties' => ['padding-block-start']],
+                ['token' => 'be', 'properties' => ['padding-block-end']],
+                ['token' => 's', 'properties' => ['padding-inline-start']],
+                ['token' => 'e', 'properties' => ['padding-inline-end']],
+                ['token' => '-block', 'properties' => ['padding-block']],
+                ['token' => '-inline', 'properties' => ['padding-inline']],
+            ],
+        ],
+        'inset' => [
+            'label' => 'Inset',
+            'negative' => true,
+            'pattern' => '{variant}-{size}',
+            'variants' => [
+                ['token' => 'inset', 'properties' => ['inset']],
+                ['token' => 'inset-x', 'properties' => ['left', 'right'], 'logical' => ['token' => 'inset-x', 'properties' => ['inset-inline']]],
+                ['token' => 'inset-y', 'properties' => ['top', 'bottom'], 'logical' => ['token' => 'inset-y', 'properties' => ['inset-block']]],
+                ['token' => 'top', 'properties' => ['top'], 'logical' => ['token' => 'inset-bs', 'properties' => ['inset-block-start']]],
+                ['token' => 'right', 'properties' => ['right'], 'logical' => ['token' => 'end', 'properties' => ['inset-inline-end']]],
+                ['token' => 'bottom', 'properties' => ['bottom'], 'logical' => ['token' => 'inset-be', 'properties' => ['inset-block-end']]],
+                ['token' => 'left', 'properties' => ['left'], 'logical' => ['token' => 'start', 'properties' => ['inset-inline-start']]],
+            ],
+        ],
+        'scroll-margin' => [
+            'label' => 'Scroll Margin',
+            'negative' => true,
+            'pattern' => 'scroll-m{variant}-{size}',
+            'variants' => [
+                ['token' => 't', 'properties' => ['scroll-margin-top'], 'logical' => ['token' => 'bs', 'properties' => ['scroll-margin-block-start']]],
+                ['token' => 'b', 'properties' => ['scroll-margin-bottom'], 'logical' => ['token' => 'be', 'properties' => ['scroll-margin-block-end']]],
+                ['token' => 'l', 'properties' => ['scroll-margin-left'], 'logical' => ['token' => 's', 'properties' => ['scroll-margin-inline-start']]],
+                ['token' => 'r', 'properties' => ['scroll-margin-right'], 'logical' => ['token' => 'e', 'properties' => ['scroll-margin-inline-end']]],
+                ['token' => 'x', 'properties' => ['scroll-margin-left', 'scroll-margin-right'], 'logical' => ['token' => 'x', 'properties' => ['scroll-margin-inline']]],
+                ['token' => 'y', 'properties' => ['scroll-margin-top', 'scroll-margin-bottom'], 'logical' => ['token' => 'y', 'properties' => ['scroll-margin-block']]],
+                ['token' => '', 'properties' => ['scroll-margin']],
+            ],
+        ],
+        'scroll-padding' => [
+            'label' => 'Scroll Padding',
+            'pattern' => 'scroll-p{variant}-{size}',
+            'variants' => [
+                ['token' => 't', 'properties' => ['scroll-padding-top'], 'logical' => ['token' => 'bs', 'properties' => ['scroll-padding-block-start']]],
+                ['token' => 'b', 'properties' => ['scroll-padding-bottom'], 'logical' => ['token' => 'be', 'properties' => ['scroll-padding-block-end']]],
+                ['token' => 'l', 'properties' => ['scroll-padding-left'], 'logical' => ['token' => 's', 'properties' => ['scroll-padding-inline-start']]],
+                ['token' => 'r', 'properties' => ['scroll-padding-right'], 'logical' => ['token' => 'e', 'properties' => ['scroll-padding-inline-end']]],
+                ['token' => 'x', 'properties' => ['scroll-padding-left', 'scroll-padding-right'], 'logical' => ['token' => 'x', 'properties' => ['scroll-padding-inline']]],
+                ['token' => 'y', 'properties' => ['scroll-padding-top', 'scroll-padding-bottom'], 'logical' => ['token' => 'y', 'properties' => ['scroll-padding-block']]],
+                ['token' => '', 'properties' => ['scroll-padding']],
+            ],
+        ],
+    ];
+    // Why these three: the families the Utilities tab generated before they were configurable
+    const DEFAULT_UTILITY_FAMILIES = ['margin', 'padding', 'gap'];
+
+    // Front-end stylesheet handle (cached file, or inline CSS as a fallback)
+    const FRONTEND_STYLE_HANDLE = 'fluispfo-spacing';
+
+    // Cached Stylesheet Location
+    // Why uploads: the plugin directory is replaced on update and is often read-only
+    const CSS_CACHE_DIRECTORY = 'fluid-space-forge';
+    const CSS_CACHE_FILE_PREFIX = 'spacing-';
+
     // WordPress Options Keys
     const OPTION_SETTINGS = 'fluispfo_settings';
     const OPTION_CLASS_SIZES = 'fluispfo_class_sizes';
     const OPTION_VARIABLE_SIZES = 'fluispfo_variable_sizes';
     const OPTION_UTILITY_SIZES = 'fluispfo_utility_sizes';
+    const OPTION_CSS_FILE = 'fluispfo_css_file';
+    const OPTION_REVISIONS = 'fluispfo_revisions';
+    const OPTION_PRESETS = 'fluispfo_presets';
+
+    // View state, not part of the scale - left out of revisions and presets, kept on restore and preset switch
+    const VIEW_STATE_SETTINGS = ['activeTab', 'autosaveEnabled', 'aboutExpanded', 'howToUseExpanded', 'viewportTestExpanded', 'spaceSizeExpanded', 'outputFormat'];
+    // The sizes themselves: base sizes, viewports, ratios, generator and breakpoints (not names, formats or output options)
+    const SCALE_SETTINGS = ['minBasespace', 'maxBasespace', 'minViewport', 'maxViewport', 'minScale', 'maxScale', 'scaleGenerator', 'gridUnit', 'customMultipliers', 'breakpoints'];
+
+    // Revision History
+    // Why capped: every revision holds a full copy of the settings and all three sizes lists
+    const MAX_REVISIONS = 20;
+    // Why coalesce: control settings save on every prefix keystroke; one person's saves within this window are one revision
+    // unless they change SCALE_SETTINGS or the sizes, so a bad scale edit never overwrites the good one before it
+    const REVISION_COALESCE_SECONDS = 120;
+
+    // Named Presets
+    // Name reported for the site's scale until a second preset is created
+    const DEFAULT_PRESET_NAME = 'Default';
+    // Why limited: names are shown in the preset select and WP-CLI tables
+    const MAX_PRESET_NAME_LENGTH = 40;
+
+    // Setting Ranges
+    // Same limits the admin inputs enforce - checked by validate_settings() on every save and by configuration imports
+    const SETTING_RANGES = [
+        'minBasespace' => self::MIN_BASE_SPACE_RANGE,
+        'maxBasespace' => self::MAX_BASE_SPACE_RANGE,
+        'minViewport' => self::VIEWPORT_RANGE,
+        'maxViewport' => self::VIEWPORT_RANGE,
+        'minScale' => self::SCALE_RANGE,
+        'maxScale' => self::SCALE_RANGE,
+        'rootFontSize' => self::ROOT_FONT_SIZE_RANGE,
+        'remPrecision' => self::PRECISION_RANGE,
+        'coefficientPrecision' => self::PRECISION_RANGE,
+    ];
+
+    // Configuration Document
+    // Bump CONFIG_SCHEMA_VERSION whenever the exported document shape changes
+    const CONFIG_SCHEMA_VERSION = 1;
+    const CONFIG_SIZE_LISTS = [
+        'class' => 'classSizes',
+        'vars' => 'variableSizes',
+        'utils' => 'utilitySizes'
+    ];
 
     // Migration Keys
     const MIGRATION_TRANSIENT = 'fluispfo_snippet_migrated';
@@ -136,8 +482,19 @@ class FluidSpaceForge
         add_action('admin_enqueue_scripts', [$this, 'enqueue_assets']);
         add_action('admin_enqueue_scripts', [$this, 'enqueue_notice_scripts']);
         add_action('wp_ajax_save_fluispfo_settings', [$this, 'save_settings']);
+        add_action('wp_ajax_fluispfo_import_config', [$this, 'import_config']);
+        add_action('wp_ajax_fluispfo_get_revisions', [$this, 'ajax_get_revisions']);
+        add_action('wp_ajax_fluispfo_restore_revision', [$this, 'ajax_restore_revision']);
+        add_action('wp_ajax_fluispfo_manage_preset', [$this, 'ajax_manage_preset']);
         add_action('admin_notices', [$this, 'show_snippet_migration_notice']);
         add_action('wp_ajax_fluispfo_dismiss_snippet_notice', [$this, 'dismiss_snippet_notice']);
+        add_action('wp_enqueue_scripts', [$this, 'enqueue_frontend_styles']);
+        add_action('enqueue_block_assets', [$this, 'enqueue_editor_styles']);
+        add_action('rest_api_init', [$this, 'register_rest_routes']);
+
+        if (defined('WP_CLI') && WP_CLI) {
+            $this->register_cli_commands();
+        }
     }
 
     // ========================================================================
@@ -168,6 +525,27 @@ class FluidSpaceForge
             'spaceSizeExpanded' => true,
             'classPrefix' => 'space',
             'variablePrefix' => 'sp',
+            'frontendFormats' => [],
+            'outputFormat' => 'css',
+            'utilityFamilies' => self::DEFAULT_UTILITY_FAMILIES,
+            'utilityPatterns' => [],
+            'logicalProperties' => false,
+            'classProperties' => self::DEFAULT_CLASS_PROPERTIES,
+            'classCompanions' => [],
+            'spacePairsAuto' => false,
+            'spacePairs' => [],
+            'negativeTokens' => false,
+            'scaleGenerator' => 'ratio',
+            'gridUnit' => self::DEFAULT_GRID_UNIT,
+            'customMultipliers' => [],
+            'breakpoints' => [],
+            'piecewiseOutput' => 'media',
+            'fluidUnit' => 'vw',
+            'containerHelper' => false,
+            'rootFontSize' => self::BROWSER_DEFAULT_FONT_SIZE,
+            'remPrecision' => self::DEFAULT_REM_PRECISION,
+            'coefficientPrecision' => self::DEFAULT_COEFFICIENT_PRECISION,
+            'zoomSafe' => false,
         ];
     }
 
@@ -312,11 +690,56 @@ class FluidSpaceForge
             true
         );
 
+        // Enqueue import/export manager
+        wp_enqueue_script(
+            'fluispfo-import-export',
+            plugins_url('assets/js/import-export-manager.js', __FILE__),
+            ['wp-util', 'fluispfo-autosave', 'fluispfo-modal'],
+            self::VERSION,
+            true
+        );
+
+        // Enqueue revisions manager
+        wp_enqueue_script(
+            'fluispfo-revisions',
+            plugins_url('assets/js/revisions-manager.js', __FILE__),
+            ['wp-util', 'fluispfo-modal', 'fluispfo-import-export'],
+            self::VERSION,
+            true
+        );
+
+        // Enqueue presets manager
+        wp_enqueue_script(
+            'fluispfo-presets',
+            plugins_url('assets/js/presets-manager.js', __FILE__),
+            ['wp-util', 'fluispfo-autosave', 'fluispfo-modal'],
+            self::VERSION,
+            true
+        );
+
+        // Enqueue starter library
+        wp_enqueue_script(
+            'fluispfo-starters',
+            plugins_url('assets/js/starter-library.js', __FILE__),
+            ['wp-util', 'fluispfo-modal'],
+            self::VERSION,
+            true
+        );
+
+        // Enqueue undo/redo history manager
+        wp_enqueue_script(
+            'fluispfo-history',
+            plugins_url('assets/js/history-manager.js', __FILE__),
+            ['wp-util', 'fluispfo-modal'],
+            self::VERSION,
+            true
+        );
+
         // Enqueue main admin script
         wp_enqueue_script(
             'fluispfo-admin-script',
             plugins_url('assets/js/admin-script.js', __FILE__),
-            ['wp-util', 'fluispfo-calculations', 'fluispfo-autosave', 'fluispfo-drag-drop', 'fluispfo-sample-space'],
+            ['wp-util', 'fluispfo-calculations', 'fluispfo-autosave', 'fluispfo-drag-drop', 'fluispfo-sample-space', 'fluispfo-import-export', 'fluispfo-history', 'fluispfo-revisions', 'fluispfo-presets', 'fluispfo-starters'],
             self::VERSION,
             true
         );
@@ -374,6 +797,8 @@ class FluidSpaceForge
                 ]
             ],
             'constants' => $this->get_all_constants(),
+            'settingRanges' => self::SETTING_RANGES,
+            'configSchemaVersion' => self::CONFIG_SCHEMA_VERSION,
             'version' => self::VERSION,
             'debug' => defined('WP_DEBUG') && WP_DEBUG
         ];
@@ -443,10 +868,27 @@ class FluidSpaceForge
             'MAX_BASE_SPACE_RANGE' => self::MAX_BASE_SPACE_RANGE,
             'VIEWPORT_RANGE' => self::VIEWPORT_RANGE,
             'SCALE_RANGE' => self::SCALE_RANGE,
+            'ROOT_FONT_SIZE_RANGE' => self::ROOT_FONT_SIZE_RANGE,
+            'PRECISION_RANGE' => self::PRECISION_RANGE,
             'VALID_UNITS' => self::VALID_UNITS,
             'VALID_TABS' => self::VALID_TABS,
+            'OUTPUT_FORMATS' => self::OUTPUT_FORMATS,
             'DEFAULT_SIZE_SUFFIXES' => self::DEFAULT_SIZE_SUFFIXES,
-            'SIZE_TYPE_PROPERTY_NAMES' => self::SIZE_TYPE_PROPERTY_NAMES
+            'SIZE_TYPE_PROPERTY_NAMES' => self::SIZE_TYPE_PROPERTY_NAMES,
+            'UTILITY_FAMILIES' => self::UTILITY_FAMILIES,
+            'DEFAULT_UTILITY_FAMILIES' => self::DEFAULT_UTILITY_FAMILIES,
+            'DEFAULT_CLASS_PROPERTIES' => self::DEFAULT_CLASS_PROPERTIES,
+            'NAMED_RATIOS' => self::NAMED_RATIOS,
+            'SCALE_GENERATORS' => self::SCALE_GENERATORS,
+            'GRID_UNITS' => self::GRID_UNITS,
+            'DEFAULT_GRID_UNIT' => self::DEFAULT_GRID_UNIT,
+            'PIECEWISE_OUTPUTS' => self::PIECEWISE_OUTPUTS,
+            'FLUID_UNITS' => self::FLUID_UNITS,
+            'DEFAULT_REM_PRECISION' => self::DEFAULT_REM_PRECISION,
+            'DEFAULT_COEFFICIENT_PRECISION' => self::DEFAULT_COEFFICIENT_PRECISION,
+            'MAX_PRESET_NAME_LENGTH' => self::MAX_PRESET_NAME_LENGTH,
+            'STARTER_SETTINGS' => self::STARTER_SETTINGS,
+            'STARTER_PRESETS' => self::STARTER_PRESETS
         ];
     }
 
@@ -529,6 +971,23 @@ class FluidSpaceForge
         return $cached_sizes;
     }
 
+    /**
+     * Get the saved sizes array for a size type
+     *
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @return array Sizes array
+     */
+    public function get_sizes_by_type($type)
+    {
+        if ($type === 'vars') {
+            return $this->get_fluispfo_variable_sizes();
+        }
+        if ($type === 'utils') {
+            return $this->get_fluispfo_utility_sizes();
+        }
+        return $this->get_fluispfo_class_sizes();
+    }
+
     // ========================================================================
     // MAIN ADMIN PAGE RENDERER
     // ========================================================================
@@ -543,7 +1002,8 @@ class FluidSpaceForge
             'settings' => $this->get_fluispfo_settings(),
             'class_sizes' => $this->get_fluispfo_class_sizes(),
             'variable_sizes' => $this->get_fluispfo_variable_sizes(),
-            'utility_sizes' => $this->get_fluispfo_utility_sizes()
+            'utility_sizes' => $this->get_fluispfo_utility_sizes(),
+            'presets' => $this->get_presets()
         ];
 
         // Hide admin bar on this page for cleaner interface
@@ -568,6 +1028,7 @@ class FluidSpaceForge
     private function get_complete_interface($data)
     {
         $settings = $data['settings'];
+        $presets = $data['presets'];
 
         ob_start();
 ?>
@@ -583,6 +1044,12 @@ class FluidSpaceForge
                         <!-- How to Use Panel -->
                         <?php include plugin_dir_path(__FILE__) . 'templates/admin/how-to-use-panel.php'; ?>
 
+                        <!-- Preset Controls -->
+                        <?php include plugin_dir_path(__FILE__) . 'templates/admin/preset-controls.php'; ?>
+
+                        <!-- Starter Gallery -->
+                        <?php include plugin_dir_path(__FILE__) . 'templates/admin/starter-gallery.php'; ?>
+
                         <!-- Autosave Controls -->
                         <?php include  plugin_dir_path(__FILE__) . 'templates/admin/autosave-controls.php'; ?>
 
@@ -616,6 +1083,11 @@ class FluidSpaceForge
                 <!-- Enhanced CSS Output Containers -->
                 <div class="all-container">
                     <?php include plugin_dir_path(__FILE__) . 'templates/admin/css-output-panels.php'; ?>
+                </div>
+
+                <!-- Revisions Panel -->
+                <div class="all-container">
+                    <?php include plugin_dir_path(__FILE__) . 'templates/admin/revisions-panel.php'; ?>
                 </div> <!-- JimRForge Community Panel -->
                 <div class="all-container"> <?php include plugin_dir_path(__FILE__) . 'templates/admin/community-panel.php'; ?>
                 </div>
@@ -643,11 +1115,12 @@ class FluidSpaceForge
      *
      * WordPress.org requires proper sanitization of all input data.
      * This method sanitizes each field in the settings array individually.
+     * Public so the REST controller applies exactly the same checks.
      *
      * @param array $settings Raw settings array from JSON
      * @return array Sanitized settings array
      */
-    private function sanitize_settings_array($settings)
+    public function sanitize_settings_array($settings)
     {
         if (!is_array($settings)) {
             return [];
@@ -679,6 +1152,90 @@ class FluidSpaceForge
             $sanitized['maxScale'] = floatval($settings['maxScale']);
         }
 
+        // Sanitize scale generator (known key, grid unit from GRID_UNITS)
+        if (isset($settings['scaleGenerator'])) {
+            $sanitized['scaleGenerator'] = is_string($settings['scaleGenerator']) && array_key_exists($settings['scaleGenerator'], self::SCALE_GENERATORS)
+                ? $settings['scaleGenerator']
+                : 'ratio';
+        }
+        if (isset($settings['gridUnit'])) {
+            $sanitized['gridUnit'] = in_array(absint($settings['gridUnit']), self::GRID_UNITS, true)
+                ? absint($settings['gridUnit'])
+                : self::DEFAULT_GRID_UNIT;
+        }
+
+        // Sanitize custom multipliers (positive numbers, one per row in table order)
+        if (isset($settings['customMultipliers'])) {
+            $multipliers = is_array($settings['customMultipliers'])
+                ? $settings['customMultipliers']
+                : explode(',', (string) $settings['customMultipliers']);
+            $sanitized['customMultipliers'] = [];
+            foreach ($multipliers as $multiplier) {
+                $multiplier = is_string($multiplier) ? trim($multiplier) : $multiplier;
+                if (is_numeric($multiplier) && (float) $multiplier > 0) {
+                    $sanitized['customMultipliers'][] = (float) $multiplier;
+                }
+            }
+        }
+
+        // Sanitize breakpoints (inner anchors, each field within its setting range, ascending viewports)
+        if (isset($settings['breakpoints'])) {
+            $sanitized['breakpoints'] = [];
+            foreach ((array) $settings['breakpoints'] as $breakpoint) {
+                if (!is_array($breakpoint)) {
+                    continue;
+                }
+                $viewport = $breakpoint['viewport'] ?? null;
+                $base_space = $breakpoint['baseSpace'] ?? null;
+                $scale = $breakpoint['scale'] ?? null;
+                if (!is_numeric($viewport) || $viewport < self::VIEWPORT_RANGE[0] || $viewport > self::VIEWPORT_RANGE[1]
+                    || !is_numeric($base_space) || $base_space < self::MAX_BASE_SPACE_RANGE[0] || $base_space > self::MAX_BASE_SPACE_RANGE[1]
+                    || !is_numeric($scale) || $scale < self::SCALE_RANGE[0] || $scale > self::SCALE_RANGE[1]) {
+                    continue;
+                }
+                $sanitized['breakpoints'][] = [
+                    'viewport' => absint($viewport),
+                    'baseSpace' => absint($base_space),
+                    'scale' => floatval($scale),
+                ];
+            }
+            usort($sanitized['breakpoints'], function ($a, $b) {
+                return $a['viewport'] - $b['viewport'];
+            });
+        }
+        if (isset($settings['piecewiseOutput'])) {
+            $sanitized['piecewiseOutput'] = is_string($settings['piecewiseOutput']) && array_key_exists($settings['piecewiseOutput'], self::PIECEWISE_OUTPUTS)
+                ? $settings['piecewiseOutput']
+                : 'media';
+        }
+
+        // Sanitize fluid unit (known key) and container helper toggle
+        if (isset($settings['fluidUnit'])) {
+            $sanitized['fluidUnit'] = is_string($settings['fluidUnit']) && array_key_exists($settings['fluidUnit'], self::FLUID_UNITS)
+                ? $settings['fluidUnit']
+                : 'vw';
+        }
+        if (isset($settings['containerHelper'])) {
+            $sanitized['containerHelper'] = (bool) $settings['containerHelper'];
+        }
+        if (isset($settings['zoomSafe'])) {
+            $sanitized['zoomSafe'] = (bool) $settings['zoomSafe'];
+        }
+
+        // Sanitize root font size and precisions (clamped to their ranges)
+        if (isset($settings['rootFontSize'])) {
+            $sanitized['rootFontSize'] = is_numeric($settings['rootFontSize'])
+                ? max(self::ROOT_FONT_SIZE_RANGE[0], min(self::ROOT_FONT_SIZE_RANGE[1], floatval($settings['rootFontSize'])))
+                : self::BROWSER_DEFAULT_FONT_SIZE;
+        }
+        foreach (['remPrecision' => self::DEFAULT_REM_PRECISION, 'coefficientPrecision' => self::DEFAULT_COEFFICIENT_PRECISION] as $key => $default) {
+            if (isset($settings[$key])) {
+                $sanitized[$key] = is_numeric($settings[$key])
+                    ? max(self::PRECISION_RANGE[0], min(self::PRECISION_RANGE[1], intval($settings[$key])))
+                    : $default;
+            }
+        }
+
         // Sanitize unit type (must be 'px' or 'rem')
         if (isset($settings['unitType'])) {
             $sanitized['unitType'] = in_array($settings['unitType'], ['px', 'rem'], true) ? $settings['unitType'] : 'px';
@@ -720,6 +1277,15 @@ class FluidSpaceForge
         if (isset($settings['spaceSizeExpanded'])) {
             $sanitized['spaceSizeExpanded'] = (bool) $settings['spaceSizeExpanded'];
         }
+        if (isset($settings['logicalProperties'])) {
+            $sanitized['logicalProperties'] = (bool) $settings['logicalProperties'];
+        }
+        if (isset($settings['spacePairsAuto'])) {
+            $sanitized['spacePairsAuto'] = (bool) $settings['spacePairsAuto'];
+        }
+        if (isset($settings['negativeTokens'])) {
+            $sanitized['negativeTokens'] = (bool) $settings['negativeTokens'];
+        }
 
         // Sanitize baseSize (alphanumeric with hyphens for size names like 'md')
         if (isset($settings['baseSize'])) {
@@ -739,9 +1305,158 @@ class FluidSpaceForge
             $sanitized['variablePrefix'] = sanitize_text_field($settings['variablePrefix']);
         }
 
+        // Sanitize front-end formats (list of valid tab names)
+        if (isset($settings['frontendFormats'])) {
+            $formats = is_array($settings['frontendFormats']) ? $settings['frontendFormats'] : [];
+            $sanitized['frontendFormats'] = array_values(array_intersect(self::VALID_TABS, $formats));
+        }
+
+        // Sanitize generated panel output format
+        if (isset($settings['outputFormat'])) {
+            $sanitized['outputFormat'] = in_array($settings['outputFormat'], self::OUTPUT_FORMATS, true) ? $settings['outputFormat'] : 'css';
+        }
+
+        // Sanitize class properties (CSS property names, defaults when none are valid)
+        if (isset($settings['classProperties'])) {
+            $sanitized['classProperties'] = $this->sanitize_css_properties($settings['classProperties']);
+            if (empty($sanitized['classProperties'])) {
+                $sanitized['classProperties'] = self::DEFAULT_CLASS_PROPERTIES;
+            }
+        }
+
+        // Sanitize companion classes (property plus naming pattern, invalid entries dropped)
+        if (isset($settings['classCompanions'])) {
+            $companions = is_array($settings['classCompanions']) ? $settings['classCompanions'] : [];
+            $sanitized['classCompanions'] = [];
+            foreach ($companions as $companion) {
+                if (!is_array($companion) || !isset($companion['property'], $companion['pattern'])) {
+                    continue;
+                }
+                $property = trim((string) $companion['property']);
+                $pattern = trim((string) $companion['pattern']);
+                if (self::is_valid_css_property($property) && self::is_valid_class_pattern($pattern)) {
+                    $sanitized['classCompanions'][] = ['property' => $property, 'pattern' => $pattern];
+                }
+            }
+        }
+
+        // Sanitize space pairs (two different positive variable size IDs each)
+        if (isset($settings['spacePairs'])) {
+            $pairs = is_array($settings['spacePairs']) ? $settings['spacePairs'] : [];
+            $sanitized['spacePairs'] = [];
+            foreach ($pairs as $pair) {
+                if (!is_array($pair) || !isset($pair['from'], $pair['to'])) {
+                    continue;
+                }
+                $from = absint($pair['from']);
+                $to = absint($pair['to']);
+                if ($from > 0 && $to > 0 && $from !== $to) {
+                    $sanitized['spacePairs'][] = ['from' => $from, 'to' => $to];
+                }
+            }
+        }
+
+        // Sanitize utility families (list of known family keys, registry order)
+        if (isset($settings['utilityFamilies'])) {
+            $families = is_array($settings['utilityFamilies']) ? $settings['utilityFamilies'] : [];
+            $sanitized['utilityFamilies'] = array_values(array_intersect(array_keys(self::UTILITY_FAMILIES), $families));
+        }
+
+        // Sanitize utility naming patterns (invalid or default patterns are dropped)
+        if (isset($settings['utilityPatterns'])) {
+            $patterns = is_array($settings['utilityPatterns']) ? $settings['utilityPatterns'] : [];
+            $sanitized['utilityPatterns'] = [];
+            foreach ($patterns as $family => $pattern) {
+                if (!isset(self::UTILITY_FAMILIES[$family]) || !is_string($pattern)) {
+                    continue;
+                }
+                $pattern = trim($pattern);
+                if ($pattern !== self::UTILITY_FAMILIES[$family]['pattern'] && self::is_valid_utility_pattern($family, $pattern)) {
+                    $sanitized['utilityPatterns'][$family] = $pattern;
+                }
+            }
+        }
+
         return $sanitized;
     }
 
+    /**
+     * Keep the valid CSS property names from a list
+     *
+     * @param mixed $properties Array of property names (anything else yields none)
+     * @return array Unique valid property names, in input order
+     */
+    private function sanitize_css_properties($properties)
+    {
+        if (!is_array($properties)) {
+            return [];
+        }
+
+        $valid = [];
+        foreach ($properties as $property) {
+            $property = is_string($property) ? strtolower(trim($property)) : '';
+            if (self::is_valid_css_property($property) && !in_array($property, $valid, true)) {
+                $valid[] = $property;
+            }
+        }
+
+        return $valid;
+    }
+
+    /**
+     * Check a CSS property name - mirrors isValidCssProperty()
+     *
+     * @param string $property Property name, e.g. 'padding-inline' or '--gap'
+     * @return bool True for lowercase property names and custom properties
+     */
+    public static function is_valid_css_property($property)
+    {
+        return is_string($property) && preg_match('/^(--)?[a-z][a-z0-9-]*$/', $property) === 1;
+    }
+
+    /**
+     * Check a companion class naming pattern - mirrors isValidClassPattern()
+     *
+     * @param string $pattern Naming pattern, e.g. '{prefix}-p-{size}'
+     * @return bool True when the pattern is class-safe and contains {size}
+     */
+    public static function is_valid_class_pattern($pattern)
+    {
+        if (!is_string($pattern) || !preg_match('/^[A-Za-z0-9_{}-]+$/', $pattern) || strpos($pattern, '{size}') === false) {
+            return false;
+        }
+
+        // Only the two placeholders are allowed inside braces
+        return strpbrk(preg_replace('/\{(prefix|size)\}/', '', $pattern), '{}') === false;
+    }
+
+    /**
+     * Check a utility class naming pattern - mirrors isValidUtilityPattern()
+     *
+     * Patterns may only use class-safe characters and must contain {size}.
+     * Families with several variants also need {variant}, or every
+     * variant would get the same class name.
+     *
+     * @param string $family Utility family key
+     * @param string $pattern Naming pattern, e.g. 'm{variant}-{size}'
+     * @return bool True when the pattern is usable
+     */
+    public static function is_valid_utility_pattern($family, $pattern)
+    {
+        if (!isset(self::UTILITY_FAMILIES[$family]) || !preg_match('/^[A-Za-z0-9_{}-]+$/', $pattern)) {
+            return false;
+        }
+        if (strpos($pattern, '{size}') === false) {
+            return false;
+        }
+        if (count(self::UTILITY_FAMILIES[$family]['variants']) > 1 && strpos($pattern, '{variant}') === false) {
+            return false;
+        }
+
+        // Only the two placeholders are allowed inside braces
+        return strpbrk(preg_replace('/\{(variant|size)\}/', '', $pattern), '{}') === false;
+    }
+
     /**
      * Ensure all sizes have IDs (auto-fix for corrupted data)
      *
@@ -774,11 +1489,12 @@ class FluidSpaceForge
      *
      * WordPress.org requires proper sanitization of all input data.
      * This method sanitizes each size object in the array.
+     * Public so the REST controller applies exactly the same checks.
      *
      * @param array $sizes Raw sizes array from JSON
      * @return array Sanitized sizes array
      */
-    private function sanitize_sizes_array($sizes)
+    public function sanitize_sizes_array($sizes)
     {
         if (!is_array($sizes)) {
             return [];
@@ -803,11 +1519,11 @@ class FluidSpaceForge
                 $sanitized_size['name'] = sanitize_text_field($size['name']);
             }
 
-            // Sanitize numeric values
-            if (isset($size['min'])) {
+            // Sanitize pinned values (px) - they replace the computed scale step
+            if (isset($size['min']) && CssGenerator::is_pinned_value($size['min'])) {
                 $sanitized_size['min'] = floatval($size['min']);
             }
-            if (isset($size['max'])) {
+            if (isset($size['max']) && CssGenerator::is_pinned_value($size['max'])) {
                 $sanitized_size['max'] = floatval($size['max']);
             }
 
@@ -827,6 +1543,14 @@ class FluidSpaceForge
                 $sanitized_size['utilityName'] = sanitize_text_field($size['utilityName']);
             }
 
+            // Sanitize per-size class properties (overrides classProperties when set)
+            if (isset($size['properties'])) {
+                $properties = $this->sanitize_css_properties($size['properties']);
+                if (!empty($properties)) {
+                    $sanitized_size['properties'] = $properties;
+                }
+            }
+
             $sanitized[] = $sanitized_size;
         }
 
@@ -834,108 +1558,1332 @@ class FluidSpaceForge
     }
 
     // ========================================================================
-    // SNIPPET MIGRATION & DETECTION
+    // DATA PERSISTENCE
     // ========================================================================
 
     /**
-     * Show admin notice if old code snippet version is detected
+     * Check settings against SETTING_RANGES and the viewport order
+     *
+     * Shared by every write path through save_data(), so a scale that
+     * cannot be rendered is never stored. Keys that are not present are
+     * skipped, which lets partial settings be checked too.
+     *
+     * @param array $settings Settings array, usually the stored settings merged with an update
+     * @return true|\WP_Error True when valid, otherwise a 400 error listing every problem
      */
-    public function show_snippet_migration_notice()
+    public function validate_settings($settings)
     {
-        // Don't show if user already dismissed it
-        if (get_user_meta(get_current_user_id(), self::MIGRATION_NOTICE_DISMISSED, true)) {
-            return;
-        }
-
-        // Check if old snippet functions exist in global namespace
-        // These functions would exist if the old code snippet is active
-        $old_snippet_active = function_exists('space_clamp_admin_page') ||
-            function_exists('render_space_clamp_page') ||
-            function_exists('space_clamp_register_menu');
-
-        if (!$old_snippet_active) {
-            return; // No old snippet detected, don't show notice
+        $errors = $this->get_settings_errors($settings);
+        if (!empty($errors)) {
+            return new \WP_Error('fluispfo_invalid_settings', 'Invalid settings: ' . implode('; ', $errors), [
+                'status' => 400,
+                'errors' => $errors,
+            ]);
         }
 
-        // Check if we've already migrated settings
-        $migrated = get_transient(self::MIGRATION_TRANSIENT);
-
-        ?>
-            <div class="notice notice-info is-dismissible fluispfo-snippet-notice">
-                <h3>🔄 Fluid Space Forge: Migration Available</h3>
-
-                <?php if ($migrated): ?>
-                    <p><strong>✅ Your settings have been automatically imported from the code snippet version!</strong></p>
-                <?php else: ?>
-                    <p>We detected you're running the older code snippet version of Fluid Space Forge.</p>
-                <?php endif; ?>
-
-                <p><strong>To complete the upgrade:</strong></p>
-                <ol style="margin-left: 20px;">
-                    <li>Go to <strong>Code Snippets</strong> in your admin menu</li>
-                    <li>Find and <strong>deactivate</strong> the "Fluid Space Forge" or "Space Clamp Calculator" snippet</li>
-                    <li>You can safely delete it<?php echo $migrated ? ' - all your settings are preserved' : ''; ?></li>
-                </ol>
-
-                <p><em>After deactivating the snippet, refresh this page to see the updated plugin interface.</em></p>
-            </div>
-    <?php
+        return true;
     }
 
     /**
-     * Handle AJAX request to dismiss the snippet migration notice
+     * List the problems validate_settings() reports
+     *
+     * @param array $settings Settings array
+     * @param string $path Prefix for setting keys in the messages, e.g. 'settings.'
+     * @return array Error messages, empty when the settings are valid
      */
-    public function dismiss_snippet_notice()
+    private function get_settings_errors($settings, $path = '')
     {
-        check_ajax_referer('fluispfo_dismiss_notice', 'nonce');
+        $errors = [];
 
-        update_user_meta(get_current_user_id(), self::MIGRATION_NOTICE_DISMISSED, true);
+        foreach (self::SETTING_RANGES as $key => $range) {
+            if (!array_key_exists($key, $settings)) {
+                continue;
+            }
+            $value = $settings[$key];
+            if (!is_numeric($value) || $value < $range[0] || $value > $range[1]) {
+                $errors[] = "{$path}{$key} must be a number between {$range[0]} and {$range[1]}";
+            }
+        }
 
-        wp_send_json_success();
+        // Why strictly less: equal viewports leave nothing to interpolate between
+        $min_viewport = $settings['minViewport'] ?? null;
+        $max_viewport = $settings['maxViewport'] ?? null;
+        if (is_numeric($min_viewport) && is_numeric($max_viewport) && $min_viewport >= $max_viewport) {
+            $errors[] = "{$path}minViewport must be less than {$path}maxViewport";
+        }
+
+        return $errors;
     }
 
     /**
-     * Attempt to migrate settings from old code snippet version
-     * Called on plugin activation
+     * Sanitize and save settings and/or sizes arrays
+     *
+     * Single write path shared by the AJAX handler and the REST API.
+     * Incoming settings are merged over the stored ones so partial updates
+     * keep fields that were not sent. The cached front-end stylesheet is
+     * rebuilt once from the data just written.
+     *
+     * Every save that changes the scale is also recorded as a revision, and
+     * copied into the preset being edited once named presets are in use.
+     * Nothing is written when the merged settings fail validate_settings().
+     *
+     * @param array|null  $settings_raw   Raw settings to merge, or null to leave settings untouched
+     * @param array       $sizes_by_type  Raw sizes arrays keyed by tab type ('class', 'vars', 'utils')
+     * @param array       $revision_meta  Revision source ('import', 'restore', 'preset') and restoredFrom; the source is detected from the request when not given
+     * @return array|\WP_Error Result containing:
+     *   - settings: Complete settings after the save
+     *   - sizes: Sanitized sizes arrays keyed by tab type (only the types sent)
+     *   - saved_settings: Whether the settings option changed
+     *   - saved_sizes: Whether every sizes option sent was stored
+     *   or the validate_settings() error
      */
-    public static function migrate_from_snippet()
+    public function save_data($settings_raw = null, $sizes_by_type = [], $revision_meta = [])
     {
-        // Check if we already have plugin settings
-        if (get_option(self::OPTION_SETTINGS)) {
-            return; // Plugin already configured, don't overwrite
+        $existing_settings = get_option(self::OPTION_SETTINGS, $this->default_settings);
+        $settings = $existing_settings;
+        $saved_settings = false;
+
+        if ($settings_raw !== null) {
+            $settings = array_merge($existing_settings, $this->sanitize_settings_array($settings_raw));
+            $valid = $this->validate_settings($settings);
+            if (is_wp_error($valid)) {
+                return $valid;
+            }
         }
 
-        // Try to find old snippet settings
-        // Common option names the snippet might have used
-        $old_option_names = [
-            'space_clamp_settings',
-            'fluid_space_settings',
-            'space_calculator_settings'
-        ];
+        // The first revision is the state before the first recorded save
+        if (empty($this->get_revisions())) {
+            $existing_sizes = [];
+            foreach (self::VALID_TABS as $type) {
+                $existing_sizes[$type] = $this->read_sizes_option($type);
+            }
+            $this->record_revision(wp_parse_args($existing_settings, $this->default_settings), $existing_sizes, ['source' => 'initial']);
+        }
 
-        foreach ($old_option_names as $old_name) {
-            $old_settings = get_option($old_name);
+        if ($settings_raw !== null) {
+            $saved_settings = update_option(self::OPTION_SETTINGS, $settings);
+            wp_cache_delete(self::OPTION_SETTINGS, 'options');
+        }
 
-            if ($old_settings && is_array($old_settings)) {
-                // Found old settings! Migrate them
-                update_option(self::OPTION_SETTINGS, $old_settings);
+        $saved_sizes = true;
+        $sanitized_sizes = [];
+        foreach (self::VALID_TABS as $type) {
+            if (!array_key_exists($type, $sizes_by_type)) {
+                continue;
+            }
 
-                // Set transient to show success message
-                set_transient(self::MIGRATION_TRANSIENT, true, WEEK_IN_SECONDS);
+            $sanitized_sizes[$type] = $this->sanitize_sizes_array($sizes_by_type[$type]);
+            $saved_sizes = update_option(self::SIZE_TYPE_OPTION_KEYS[$type], $sanitized_sizes[$type]) && $saved_sizes;
+            wp_cache_delete(self::SIZE_TYPE_OPTION_KEYS[$type], 'options');
+        }
 
-                break;
-            }
+        // Rebuild the cached front-end stylesheet from the data just saved
+        $all_sizes = [];
+        foreach (self::VALID_TABS as $type) {
+            $all_sizes[$type] = $sanitized_sizes[$type] ?? $this->read_sizes_option($type);
         }
+        $settings = wp_parse_args($settings, $this->default_settings);
+        // The stylesheet renders the live preset, which may be the one just updated
+        $this->update_editing_preset($settings, $all_sizes);
+        $this->regenerate_css_file($settings, $all_sizes);
+        $this->record_revision($settings, $all_sizes, $revision_meta + ['source' => $this->get_save_source()]);
+
+        return [
+            'settings' => $settings,
+            'sizes' => $sanitized_sizes,
+            'saved_settings' => $saved_settings,
+            'saved_sizes' => $saved_sizes,
+        ];
     }
 
+    /**
+     * Read a sizes option without the static getter caches
+     *
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @return array Sizes array
+     */
+    private function read_sizes_option($type)
+    {
+        $defaults = [
+            'class' => $this->default_class_sizes,
+            'vars' => $this->default_variable_sizes,
+            'utils' => $this->default_utility_sizes,
+        ];
+
+        return $this->ensure_sizes_have_ids(get_option(self::SIZE_TYPE_OPTION_KEYS[$type], $defaults[$type]));
+    }
 
     // ========================================================================
-    // AJAX HANDLERS
+    // CONFIGURATION DOCUMENT
     // ========================================================================
 
-    public function save_settings()
-    {
-        // Verify nonce for security
+    /**
+     * Build the versioned configuration document
+     *
+     * Settings plus all three sizes arrays in one JSON-ready array, used by
+     * export and import so configurations can move between sites.
+     *
+     * @return array Configuration document
+     */
+    public function get_config_document()
+    {
+        $document = [
+            'plugin' => self::PLUGIN_SLUG,
+            'schemaVersion' => self::CONFIG_SCHEMA_VERSION,
+            'pluginVersion' => self::VERSION,
+            'exportedAt' => gmdate('c'),
+            'settings' => $this->get_fluispfo_settings(),
+        ];
+
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            $document[$list] = $this->get_sizes_by_type($type);
+        }
+
+        return $document;
+    }
+
+    /**
+     * Validate a configuration document against the current schema
+     *
+     * @param mixed $document Decoded JSON document
+     * @return true|\WP_Error True when valid, otherwise an error listing every problem
+     */
+    public function validate_config_document($document)
+    {
+        if (!is_array($document) || wp_is_numeric_array($document)) {
+            return new \WP_Error('fluispfo_invalid_config', 'Configuration must be a JSON object');
+        }
+
+        $errors = [];
+
+        if (($document['plugin'] ?? '') !== self::PLUGIN_SLUG) {
+            $errors[] = 'plugin must be "' . self::PLUGIN_SLUG . '"';
+        }
+
+        $schema_version = $document['schemaVersion'] ?? null;
+        if (!is_int($schema_version) || $schema_version < 1) {
+            $errors[] = 'schemaVersion must be a positive integer';
+        } elseif ($schema_version > self::CONFIG_SCHEMA_VERSION) {
+            $errors[] = 'schemaVersion ' . $schema_version . ' is newer than this plugin supports (' . self::CONFIG_SCHEMA_VERSION . ')';
+        }
+
+        if (!isset($document['settings']) || !is_array($document['settings']) || (!empty($document['settings']) && wp_is_numeric_array($document['settings']))) {
+            $errors[] = 'settings must be an object';
+        } else {
+            // Same checks as validate_settings(), which runs again on the merged settings when saving
+            $errors = array_merge($errors, $this->get_settings_errors($document['settings'], 'settings.'));
+        }
+
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            if (!isset($document[$list]) || !is_array($document[$list]) || !wp_is_numeric_array($document[$list])) {
+                $errors[] = $list . ' must be an array';
+                continue;
+            }
+
+            $property_name = self::SIZE_TYPE_PROPERTY_NAMES[$type];
+            $ids = [];
+            foreach ($document[$list] as $index => $size) {
+                if (!is_array($size) || !is_int($size['id'] ?? null) || $size['id'] < 1) {
+                    $errors[] = "{$list}[{$index}] needs a positive integer id";
+                    continue;
+                }
+                if (!is_string($size[$property_name] ?? null) || $size[$property_name] === '') {
+                    $errors[] = "{$list}[{$index}] needs a non-empty {$property_name}";
+                }
+                if (in_array($size['id'], $ids, true)) {
+                    $errors[] = "{$list}[{$index}] repeats id {$size['id']}";
+                }
+                $ids[] = $size['id'];
+            }
+        }
+
+        if (!empty($errors)) {
+            return new \WP_Error('fluispfo_invalid_config', 'Invalid configuration: ' . implode('; ', $errors), ['errors' => $errors]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate and save a configuration document
+     *
+     * @param mixed $document Decoded JSON document
+     * @return array|\WP_Error save_data() result, or the validation error
+     */
+    public function import_config_document($document)
+    {
+        $valid = $this->validate_config_document($document);
+        if (is_wp_error($valid)) {
+            return $valid;
+        }
+
+        $sizes_by_type = [];
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            $sizes_by_type[$type] = $document[$list];
+        }
+
+        return $this->save_data($document['settings'], $sizes_by_type, ['source' => 'import']);
+    }
+
+    // ========================================================================
+    // REVISIONS
+    // ========================================================================
+
+    /**
+     * Get the stored revisions, newest first
+     *
+     * Each revision holds id, time (Unix timestamp), user (ID), userName,
+     * source ('initial', 'admin', 'rest', 'cli', 'import', 'restore' or
+     * 'preset' for a preset switch), restoredFrom (revision ID, restores
+     * only), settings and the three sizes lists under their configuration
+     * document keys.
+     *
+     * @return array Revisions
+     */
+    public function get_revisions()
+    {
+        $revisions = get_option(self::OPTION_REVISIONS, []);
+
+        return is_array($revisions) ? $revisions : [];
+    }
+
+    /**
+     * Find a revision by ID
+     *
+     * @param int $id Revision ID
+     * @return array|null Revision, or null when it no longer exists
+     */
+    public function get_revision($id)
+    {
+        foreach ($this->get_revisions() as $revision) {
+            if ((int) $revision['id'] === (int) $id) {
+                return $revision;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Save a revision's settings and sizes as the current data
+     *
+     * View state (VIEW_STATE_SETTINGS) is kept. The restore is itself
+     * recorded as a new revision, so it can be rolled back too.
+     *
+     * @param int $id Revision ID
+     * @return array|\WP_Error save_data() result, or an error for an unknown ID
+     */
+    public function restore_revision($id)
+    {
+        $revision = $this->get_revision($id);
+        if ($revision === null) {
+            return new \WP_Error('fluispfo_unknown_revision', "Revision {$id} not found", ['status' => 404]);
+        }
+
+        $sizes_by_type = [];
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            $sizes_by_type[$type] = $revision[$list] ?? [];
+        }
+
+        return $this->save_data($revision['settings'], $sizes_by_type, [
+            'source' => 'restore',
+            'restoredFrom' => (int) $revision['id'],
+        ]);
+    }
+
+    /**
+     * Record the data just saved as a revision
+     *
+     * Skipped when the scale matches the newest revision (e.g. a tab switch
+     * saving only view state). Consecutive saves by the same user from the
+     * same source within REVISION_COALESCE_SECONDS update that revision
+     * instead of adding one, as long as the sizes and SCALE_SETTINGS are
+     * unchanged - otherwise the snapshot being replaced could be the last
+     * good scale.
+     *
+     * @param array $settings Complete settings after the save
+     * @param array $sizes_by_type Sizes arrays keyed by tab type
+     * @param array $meta Revision source, plus restoredFrom for restores
+     */
+    private function record_revision($settings, $sizes_by_type, $meta)
+    {
+        $revisions = $this->get_revisions();
+        $user = wp_get_current_user();
+        $source = $meta['source'];
+
+        $revision = [
+            'id' => empty($revisions) ? 1 : (int) $revisions[0]['id'] + 1,
+            'time' => time(),
+            'user' => $source === 'initial' ? 0 : (int) $user->ID,
+            'userName' => $source === 'initial' ? '' : (string) $user->display_name,
+            'source' => $source,
+            'restoredFrom' => $meta['restoredFrom'] ?? null,
+            'settings' => array_diff_key($settings, array_flip(self::VIEW_STATE_SETTINGS)),
+        ];
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            $revision[$list] = array_values($sizes_by_type[$type] ?? []);
+        }
+
+        $latest = $revisions[0] ?? null;
+        if ($latest !== null && $this->get_revision_data($latest) === $this->get_revision_data($revision)) {
+            return;
+        }
+
+        if (
+            $latest !== null
+            && $source !== 'restore'
+            && $latest['source'] === $source
+            && (int) $latest['user'] === $revision['user']
+            && $revision['time'] - (int) $latest['time'] < self::REVISION_COALESCE_SECONDS
+            && $this->get_revision_data($latest, true) === $this->get_revision_data($revision, true)
+        ) {
+            $revision['id'] = (int) $latest['id'];
+            $revisions[0] = $revision;
+        } else {
+            array_unshift($revisions, $revision);
+        }
+
+        // Not autoloaded: only the revisions panel and restore read it
+        update_option(self::OPTION_REVISIONS, array_slice($revisions, 0, self::MAX_REVISIONS), false);
+    }
+
+    /**
+     * Get the part of a revision that is compared between revisions
+     *
+     * @param array $revision Revision
+     * @param bool $scale_only Compare only SCALE_SETTINGS, not names and output options
+     * @return string JSON of the settings and sizes lists
+     */
+    private function get_revision_data($revision, $scale_only = false)
+    {
+        $settings = $revision['settings'];
+        if ($scale_only) {
+            $settings = [];
+            foreach (self::SCALE_SETTINGS as $key) {
+                $settings[$key] = $revision['settings'][$key] ?? null;
+            }
+        }
+
+        $data = ['settings' => $settings];
+        foreach (self::CONFIG_SIZE_LISTS as $list) {
+            $data[$list] = $revision[$list] ?? [];
+        }
+
+        return wp_json_encode($data);
+    }
+
+    /**
+     * Work out where a save came from
+     *
+     * @return string 'cli', 'rest' or 'admin'
+     */
+    private function get_save_source()
+    {
+        if (defined('WP_CLI') && WP_CLI) {
+            return 'cli';
+        }
+        if (defined('REST_REQUEST') && REST_REQUEST) {
+            return 'rest';
+        }
+
+        return 'admin';
+    }
+
+    // ========================================================================
+    // PRESETS
+    // ========================================================================
+
+    /**
+     * Get the named presets
+     *
+     * Returns editing (ID of the preset loaded in the admin, whose data the
+     * four data options hold), active (ID of the preset rendered on the
+     * site) and presets, each with id, name, settings and the three sizes
+     * lists under their configuration document keys.
+     *
+     * Until a second preset is created nothing is stored, and the saved
+     * data is reported as one preset named DEFAULT_PRESET_NAME.
+     *
+     * @return array Presets store
+     */
+    public function get_presets()
+    {
+        $store = get_option(self::OPTION_PRESETS, []);
+        if (is_array($store) && !empty($store['presets'])) {
+            return $store;
+        }
+
+        $sizes_by_type = [];
+        foreach (self::VALID_TABS as $type) {
+            $sizes_by_type[$type] = $this->read_sizes_option($type);
+        }
+        $settings = wp_parse_args(get_option(self::OPTION_SETTINGS, []), $this->default_settings);
+
+        return [
+            'editing' => 1,
+            'active' => 1,
+            'presets' => [
+                ['id' => 1, 'name' => self::DEFAULT_PRESET_NAME] + $this->build_preset_data($settings, $sizes_by_type),
+            ],
+        ];
+    }
+
+    /**
+     * Find a preset by ID
+     *
+     * @param int $id Preset ID
+     * @return array|null Preset, or null when it does not exist
+     */
+    public function get_preset($id)
+    {
+        $store = $this->get_presets();
+        $index = $this->find_preset_index($store, $id);
+
+        return $index === -1 ? null : $store['presets'][$index];
+    }
+
+    /**
+     * Add a preset, copied from another one or built from the defaults
+     *
+     * The new preset is not switched to; see switch_preset().
+     *
+     * @param string   $name    Preset name
+     * @param int|null $from_id Preset to copy, or null for the default scale
+     * @return array|\WP_Error New preset, or an error for a bad name or unknown source
+     */
+    public function create_preset($name, $from_id = null)
+    {
+        $store = $this->get_presets();
+
+        $name = $this->sanitize_preset_name($name, $store);
+        if (is_wp_error($name)) {
+            return $name;
+        }
+
+        if ($from_id === null) {
+            $data = $this->build_preset_data($this->default_settings, [
+                'class' => $this->default_class_sizes,
+                'vars' => $this->default_variable_sizes,
+                'utils' => $this->default_utility_sizes,
+            ]);
+        } else {
+            $index = $this->find_preset_index($store, $from_id);
+            if ($index === -1) {
+                return $this->unknown_preset_error($from_id);
+            }
+            $data = array_diff_key($store['presets'][$index], ['id' => true, 'name' => true]);
+        }
+
+        $preset = [
+            'id' => max(array_map('intval', array_column($store['presets'], 'id'))) + 1,
+            'name' => $name,
+        ] + $data;
+
+        $store['presets'][] = $preset;
+        $this->save_presets($store);
+
+        return $preset;
+    }
+
+    /**
+     * Rename a preset
+     *
+     * @param int    $id   Preset ID
+     * @param string $name New name
+     * @return array|\WP_Error Renamed preset, or an error for a bad name or unknown ID
+     */
+    public function rename_preset($id, $name)
+    {
+        $store = $this->get_presets();
+        $index = $this->find_preset_index($store, $id);
+        if ($index === -1) {
+            return $this->unknown_preset_error($id);
+        }
+
+        $name = $this->sanitize_preset_name($name, $store, (int) $id);
+        if (is_wp_error($name)) {
+            return $name;
+        }
+
+        $store['presets'][$index]['name'] = $name;
+        $this->save_presets($store);
+
+        return $store['presets'][$index];
+    }
+
+    /**
+     * Delete a preset
+     *
+     * The last preset cannot be deleted. Deleting the preset being edited
+     * first loads the active preset, or the first other preset when it is
+     * the active one too; nothing is deleted when that preset cannot be
+     * loaded. Deleting the active preset hands the site to the preset
+     * being edited.
+     *
+     * @param int $id Preset ID
+     * @return array|\WP_Error Deleted preset, or an error
+     */
+    public function delete_preset($id)
+    {
+        $store = $this->get_presets();
+        $index = $this->find_preset_index($store, $id);
+        if ($index === -1) {
+            return $this->unknown_preset_error($id);
+        }
+
+        $preset = $store['presets'][$index];
+        if (count($store['presets']) === 1) {
+            return new \WP_Error('fluispfo_last_preset', "'{$preset['name']}' is the only preset", ['status' => 409]);
+        }
+
+        if ((int) $store['editing'] === (int) $preset['id']) {
+            $switched = $this->switch_preset($this->get_next_preset_id($store, $preset['id']));
+            if (is_wp_error($switched)) {
+                return $switched;
+            }
+            $store = $this->get_presets();
+            $index = $this->find_preset_index($store, $id);
+        }
+
+        array_splice($store['presets'], $index, 1);
+        $was_active = (int) $store['active'] === (int) $preset['id'];
+        if ($was_active) {
+            $store['active'] = (int) $store['editing'];
+        }
+        $this->save_presets($store);
+
+        if ($was_active) {
+            $this->regenerate_css_file();
+        }
+
+        return $preset;
+    }
+
+    /**
+     * Choose the preset loaded when the preset being edited is deleted
+     *
+     * @param array $store Preset store
+     * @param int $id ID of the preset being deleted
+     * @return int The active preset, or the first other preset when it is the active one too
+     */
+    private function get_next_preset_id($store, $id)
+    {
+        if ((int) $store['active'] !== (int) $id) {
+            return (int) $store['active'];
+        }
+
+        $others = array_values(array_filter($store['presets'], function ($other) use ($id) {
+            return (int) $other['id'] !== (int) $id;
+        }));
+
+        return (int) $others[0]['id'];
+    }
+
+    /**
+     * Load a preset into the admin for editing
+     *
+     * Its data is saved as the current settings and sizes, so the data
+     * options, REST API and WP-CLI all work on the preset being edited.
+     * View state (VIEW_STATE_SETTINGS) is kept. Settings the preset lacks
+     * fall back to the defaults rather than the previous preset. A preset
+     * whose settings fail validate_settings() is not loaded and the
+     * preset being edited stays as it is.
+     *
+     * @param int $id Preset ID
+     * @return array|\WP_Error Preset now being edited, or an error for an unknown ID or invalid settings
+     */
+    public function switch_preset($id)
+    {
+        $store = $this->get_presets();
+        $index = $this->find_preset_index($store, $id);
+        if ($index === -1) {
+            return $this->unknown_preset_error($id);
+        }
+
+        $preset = $store['presets'][$index];
+        if ((int) $store['editing'] === (int) $preset['id']) {
+            return $preset;
+        }
+
+        $settings = $this->get_preset_load_settings($preset);
+        $valid = $this->validate_preset_load($preset);
+        if (is_wp_error($valid)) {
+            return $valid;
+        }
+
+        $previous_id = (int) $store['editing'];
+        $store['editing'] = (int) $preset['id'];
+        $this->save_presets($store);
+
+        $saved = $this->save_data($settings, $this->get_preset_sizes($preset), ['source' => 'preset']);
+        if (is_wp_error($saved)) {
+            $store['editing'] = $previous_id;
+            $this->save_presets($store);
+            return $saved;
+        }
+
+        return $preset;
+    }
+
+    /**
+     * Build the settings switch_preset() saves when loading a preset
+     *
+     * @param array $preset Preset from the store
+     * @return array Defaults without view state, overridden by the preset's settings
+     */
+    private function get_preset_load_settings($preset)
+    {
+        return array_merge(
+            array_diff_key($this->default_settings, array_flip(self::VIEW_STATE_SETTINGS)),
+            $preset['settings']
+        );
+    }
+
+    /**
+     * Check that a preset's settings can be loaded for editing
+     *
+     * Validates them as save_data() will: merged over the current
+     * settings, so the view state kept by switch_preset() is included.
+     *
+     * @param array $preset Preset from the store
+     * @return true|\WP_Error True when valid, otherwise the validate_settings() error
+     */
+    private function validate_preset_load($preset)
+    {
+        return $this->validate_settings(array_merge(
+            get_option(self::OPTION_SETTINGS, $this->default_settings),
+            $this->sanitize_settings_array($this->get_preset_load_settings($preset))
+        ));
+    }
+
+    /**
+     * Choose the preset rendered on the site
+     *
+     * @param int $id Preset ID
+     * @return array|\WP_Error Active preset, or an error for an unknown ID
+     */
+    public function activate_preset($id)
+    {
+        $store = $this->get_presets();
+        $index = $this->find_preset_index($store, $id);
+        if ($index === -1) {
+            return $this->unknown_preset_error($id);
+        }
+
+        $store['active'] = (int) $store['presets'][$index]['id'];
+        $this->save_presets($store);
+        $this->regenerate_css_file();
+
+        return $store['presets'][$index];
+    }
+
+    /**
+     * Run the checks of a preset operation without changing anything
+     *
+     * Used before the editor data sent with an operation is saved, so a
+     * request that will fail stores nothing. Switching, and deleting the
+     * preset being edited, also check that the preset loaded next passes
+     * validate_settings().
+     *
+     * @param string $operation create, duplicate, delete or switch
+     * @param int $id Preset ID (not used by create)
+     * @param string $name Preset name (create and duplicate)
+     * @return true|\WP_Error True when the operation can run, otherwise the error it would return
+     */
+    private function check_preset_operation($operation, $id, $name)
+    {
+        $store = $this->get_presets();
+
+        if ($operation !== 'create' && $this->find_preset_index($store, $id) === -1) {
+            return $this->unknown_preset_error($id);
+        }
+
+        if ($operation === 'create' || $operation === 'duplicate') {
+            $name = $this->sanitize_preset_name($name, $store);
+            if (is_wp_error($name)) {
+                return $name;
+            }
+        }
+
+        if ($operation === 'delete' && count($store['presets']) === 1) {
+            return new \WP_Error('fluispfo_last_preset', "'{$store['presets'][0]['name']}' is the only preset", ['status' => 409]);
+        }
+
+        $load_id = null;
+        if ($operation === 'switch' && (int) $store['editing'] !== (int) $id) {
+            $load_id = $id;
+        } elseif ($operation === 'delete' && (int) $store['editing'] === (int) $id) {
+            $load_id = $this->get_next_preset_id($store, $id);
+        }
+
+        if ($load_id !== null) {
+            return $this->validate_preset_load($store['presets'][$this->find_preset_index($store, $load_id)]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Copy the data just saved into the preset being edited
+     *
+     * @param array $settings Complete settings after the save
+     * @param array $sizes_by_type Sizes arrays keyed by tab type
+     */
+    private function update_editing_preset($settings, $sizes_by_type)
+    {
+        $store = get_option(self::OPTION_PRESETS, []);
+        if (!is_array($store) || empty($store['presets'])) {
+            return; // No presets stored yet - the data options are the only scale
+        }
+
+        $index = $this->find_preset_index($store, $store['editing']);
+        if ($index === -1) {
+            return;
+        }
+
+        $preset = $store['presets'][$index];
+        $store['presets'][$index] = ['id' => $preset['id'], 'name' => $preset['name']] + $this->build_preset_data($settings, $sizes_by_type);
+        $this->save_presets($store);
+    }
+
+    /**
+     * Get the stored preset the site renders
+     *
+     * @return array|null Active preset, or null before presets are stored, when the site renders the data options
+     */
+    private function get_frontend_preset()
+    {
+        $store = get_option(self::OPTION_PRESETS, []);
+        if (!is_array($store) || empty($store['presets'])) {
+            return null;
+        }
+
+        $index = $this->find_preset_index($store, $store['active']);
+
+        return $index === -1 ? null : $store['presets'][$index];
+    }
+
+    /**
+     * Shape settings and sizes as preset data
+     *
+     * @param array $settings Complete settings
+     * @param array $sizes_by_type Sizes arrays keyed by tab type
+     * @return array Settings without view state, plus the sizes lists under their configuration document keys
+     */
+    private function build_preset_data($settings, $sizes_by_type)
+    {
+        $data = ['settings' => array_diff_key($settings, array_flip(self::VIEW_STATE_SETTINGS))];
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            $data[$list] = array_values($sizes_by_type[$type] ?? []);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get a preset's sizes keyed by tab type
+     *
+     * @param array $preset Preset
+     * @return array Sizes arrays keyed by tab type
+     */
+    private function get_preset_sizes($preset)
+    {
+        $sizes_by_type = [];
+        foreach (self::CONFIG_SIZE_LISTS as $type => $list) {
+            $sizes_by_type[$type] = $preset[$list] ?? [];
+        }
+
+        return $sizes_by_type;
+    }
+
+    /**
+     * Clean a preset name and check it is unique
+     *
+     * @param string $name Raw name
+     * @param array $store Presets store
+     * @param int $except_id Preset allowed to have the name (the one being renamed)
+     * @return string|\WP_Error Clean name, or an error
+     */
+    private function sanitize_preset_name($name, $store, $except_id = 0)
+    {
+        $name = trim(sanitize_text_field((string) $name));
+        if ($name === '') {
+            return new \WP_Error('fluispfo_invalid_preset_name', 'Preset name cannot be empty', ['status' => 400]);
+        }
+        if (mb_strlen($name) > self::MAX_PRESET_NAME_LENGTH) {
+            return new \WP_Error('fluispfo_invalid_preset_name', 'Preset name cannot be longer than ' . self::MAX_PRESET_NAME_LENGTH . ' characters', ['status' => 400]);
+        }
+
+        foreach ($store['presets'] as $preset) {
+            if ((int) $preset['id'] !== $except_id && strcasecmp($preset['name'], $name) === 0) {
+                return new \WP_Error('fluispfo_invalid_preset_name', "A preset named '{$preset['name']}' already exists", ['status' => 400]);
+            }
+        }
+
+        return $name;
+    }
+
+    /**
+     * Find a preset's position in the store
+     *
+     * @param array $store Presets store
+     * @param int $id Preset ID
+     * @return int Array index, or -1 when not found
+     */
+    private function find_preset_index($store, $id)
+    {
+        foreach ($store['presets'] as $index => $preset) {
+            if ((int) $preset['id'] === (int) $id) {
+                return $index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Build the error for a preset ID that does not exist
+     *
+     * @param int $id Preset ID
+     * @return \WP_Error Not-found error
+     */
+    private function unknown_preset_error($id)
+    {
+        return new \WP_Error('fluispfo_unknown_preset', "Preset {$id} not found", ['status' => 404]);
+    }
+
+    /**
+     * Store the presets
+     *
+     * @param array $store Presets store
+     */
+    private function save_presets($store)
+    {
+        // Not autoloaded: read on saves, preset changes and stylesheet rebuilds only
+        update_option(self::OPTION_PRESETS, $store, false);
+    }
+
+    // ========================================================================
+    // FRONT-END OUTPUT
+    // ========================================================================
+
+    /**
+     * Enqueue generated spacing CSS on the front end
+     */
+    public function enqueue_frontend_styles()
+    {
+        $this->add_spacing_style();
+    }
+
+    /**
+     * Enqueue generated spacing CSS inside the block editor
+     *
+     * enqueue_block_assets also fires on the front end, which is already
+     * covered by enqueue_frontend_styles().
+     */
+    public function enqueue_editor_styles()
+    {
+        if (!is_admin()) {
+            return;
+        }
+
+        $this->add_spacing_style();
+    }
+
+    /**
+     * Render the site's scale for every format selected in frontendFormats
+     *
+     * The site's scale is the active preset, or the saved data options
+     * before presets are stored.
+     *
+     * @return string Generated CSS, empty when no format is selected
+     */
+    public function get_frontend_css()
+    {
+        $preset = $this->get_frontend_preset();
+        if ($preset !== null) {
+            return $this->build_frontend_css(wp_parse_args($preset['settings'], $this->default_settings), $this->get_preset_sizes($preset));
+        }
+
+        return $this->build_frontend_css($this->get_fluispfo_settings(), [
+            'class' => $this->get_fluispfo_class_sizes(),
+            'vars' => $this->get_fluispfo_variable_sizes(),
+            'utils' => $this->get_fluispfo_utility_sizes(),
+        ]);
+    }
+
+    /**
+     * Render one saved sizes list in an output format
+     *
+     * Tailwind formats always render the utility sizes, whatever $type is.
+     *
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @param string $output Output format from OUTPUT_FORMATS
+     * @return string Generated output
+     */
+    public function get_output($type, $output = 'css')
+    {
+        if (strpos($output, 'tailwind-') === 0) {
+            $type = 'utils';
+        }
+
+        $settings = $this->get_fluispfo_settings();
+        $base_id = absint($settings[self::SIZE_TYPE_BASE_ID_KEYS[$type]] ?? 3);
+
+        return CssGenerator::generate_output($output, $type, $this->get_sizes_by_type($type), $settings, $base_id);
+    }
+
+    /**
+     * Render front-end CSS from explicit data
+     *
+     * Used directly after a save, when the static getter caches may still
+     * hold the values loaded earlier in the same request.
+     *
+     * @param array $settings       Complete settings array
+     * @param array $sizes_by_type  Sizes arrays keyed by tab type
+     * @return string Generated CSS, empty when no format is selected
+     */
+    private function build_frontend_css($settings, $sizes_by_type)
+    {
+        $formats = is_array($settings['frontendFormats'] ?? null) ? $settings['frontendFormats'] : [];
+
+        $blocks = [];
+        foreach (self::VALID_TABS as $type) {
+            if (!in_array($type, $formats, true)) {
+                continue;
+            }
+
+            $sizes = $sizes_by_type[$type] ?? [];
+            if (empty($sizes)) {
+                continue;
+            }
+
+            $base_id = absint($settings[self::SIZE_TYPE_BASE_ID_KEYS[$type]] ?? 3);
+            $blocks[] = CssGenerator::generate($type, $sizes, $settings, $base_id);
+        }
+
+        // One container-type helper for all formats
+        return empty($blocks) ? '' : implode("\n\n", $blocks) . CssGenerator::get_container_helper_css($settings);
+    }
+
+    /**
+     * Enqueue the cached stylesheet, falling back to inline CSS
+     *
+     * The inline fallback only runs when the uploads directory cannot be
+     * written, so a broken filesystem never removes spacing from the site.
+     */
+    private function add_spacing_style()
+    {
+        $cache = get_option(self::OPTION_CSS_FILE, []);
+
+        // Rebuild when nothing has been cached yet, the plugin was updated
+        // (generator output may differ) or the file was removed from disk
+        if (!$this->is_css_cache_current($cache)) {
+            $cache = $this->regenerate_css_file();
+        }
+
+        if (empty($cache['hash'])) {
+            return; // No format selected for front-end output
+        }
+
+        if (!empty($cache['file'])) {
+            $paths = $this->get_css_cache_paths();
+            wp_enqueue_style(
+                self::FRONTEND_STYLE_HANDLE,
+                $paths['url'] . '/' . $cache['file'],
+                [],
+                null // Content hash in the filename already busts caches
+            );
+            return;
+        }
+
+        $css = $this->get_frontend_css();
+        if ($css === '') {
+            return;
+        }
+
+        wp_register_style(self::FRONTEND_STYLE_HANDLE, false, [], self::VERSION);
+        wp_enqueue_style(self::FRONTEND_STYLE_HANDLE);
+        wp_add_inline_style(self::FRONTEND_STYLE_HANDLE, $css);
+    }
+
+    /**
+     * Check whether the cache record still describes a usable stylesheet
+     *
+     * @param mixed $cache Value of the OPTION_CSS_FILE option
+     * @return bool True when no rebuild is needed
+     */
+    private function is_css_cache_current($cache)
+    {
+        if (!is_array($cache) || ($cache['version'] ?? '') !== self::VERSION) {
+            return false;
+        }
+
+        if (empty($cache['file'])) {
+            return true; // Nothing to serve, or inline fallback already decided
+        }
+
+        $paths = $this->get_css_cache_paths();
+        return $paths !== null && file_exists($paths['dir'] . '/' . $cache['file']);
+    }
+
+    /**
+     * Write the front-end CSS to a content-hashed file in uploads
+     *
+     * Removes superseded files and records the result in OPTION_CSS_FILE.
+     * When the file cannot be written, the record keeps the hash but no
+     * filename so add_spacing_style() falls back to inline CSS.
+     *
+     * The data passed in is only used before presets are stored. After
+     * that the active preset is rendered, and save_data() has already
+     * copied the data just saved into the preset being edited.
+     *
+     * @param array|null $settings      Settings to render, or null to load saved data
+     * @param array|null $sizes_by_type Sizes arrays keyed by tab type, or null to load saved data
+     * @return array Cache record: file, hash and version
+     */
+    public function regenerate_css_file($settings = null, $sizes_by_type = null)
+    {
+        $css = ($settings === null || $sizes_by_type === null || $this->get_frontend_preset() !== null)
+            ? $this->get_frontend_css()
+            : $this->build_frontend_css($settings, $sizes_by_type);
+
+        $hash = $css === '' ? '' : substr(md5($css), 0, 12);
+        $file = $hash === '' ? '' : $this->write_css_file($hash, $css);
+
+        $this->delete_stale_css_files($file);
+
+        $cache = [
+            'file' => $file,
+            'hash' => $hash,
+            'version' => self::VERSION,
+        ];
+        update_option(self::OPTION_CSS_FILE, $cache);
+
+        return $cache;
+    }
+
+    /**
+     * Resolve the cache directory path and URL
+     *
+     * @return array|null ['dir' => string, 'url' => string], or null when uploads is unavailable
+     */
+    private function get_css_cache_paths()
+    {
+        $upload_dir = wp_upload_dir(null, false);
+        if (!empty($upload_dir['error'])) {
+            return null;
+        }
+
+        return [
+            'dir' => trailingslashit($upload_dir['basedir']) . self::CSS_CACHE_DIRECTORY,
+            'url' => trailingslashit(set_url_scheme($upload_dir['baseurl'])) . self::CSS_CACHE_DIRECTORY,
+        ];
+    }
+
+    /**
+     * Write CSS to disk through the WordPress filesystem API
+     *
+     * @param string $hash Content hash used in the filename
+     * @param string $css  Stylesheet contents
+     * @return string Written filename, or empty string on failure
+     */
+    private function write_css_file($hash, $css)
+    {
+        $paths = $this->get_css_cache_paths();
+        if ($paths === null || !wp_mkdir_p($paths['dir'])) {
+            return '';
+        }
+
+        $filesystem = $this->get_filesystem();
+        if ($filesystem === null) {
+            return '';
+        }
+
+        $file = self::CSS_CACHE_FILE_PREFIX . $hash . '.css';
+        $path = $paths['dir'] . '/' . $file;
+
+        // Same hash means same contents, so an existing file can be reused
+        if (!$filesystem->exists($path) && !$filesystem->put_contents($path, $css, FS_CHMOD_FILE)) {
+            return '';
+        }
+
+        return $file;
+    }
+
+    /**
+     * Remove cached stylesheets other than the current one
+     *
+     * @param string $keep Filename to keep, or empty string to remove all
+     */
+    private function delete_stale_css_files($keep)
+    {
+        $paths = $this->get_css_cache_paths();
+        if ($paths === null || !is_dir($paths['dir'])) {
+            return;
+        }
+
+        $files = glob($paths['dir'] . '/' . self::CSS_CACHE_FILE_PREFIX . '*.css') ?: [];
+        foreach ($files as $path) {
+            if (basename($path) !== $keep) {
+                wp_delete_file($path);
+            }
+        }
+    }
+
+    /**
+     * Get a direct-access WP_Filesystem instance
+     *
+     * Front-end requests cannot prompt for FTP credentials, so only the
+     * direct method is accepted; anything else triggers the inline fallback.
+     *
+     * @return \WP_Filesystem_Base|null Filesystem instance, or null when unavailable
+     */
+    private function get_filesystem()
+    {
+        global $wp_filesystem;
+
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        if (get_filesystem_method() !== 'direct' || !WP_Filesystem()) {
+            return null;
+        }
+
+        return $wp_filesystem;
+    }
+
+    // ========================================================================
+    // REST API
+    // ========================================================================
+
+    /**
+     * Register the /fluid-space-forge/v1 routes
+     */
+    public function register_rest_routes()
+    {
+        $controller = new RestController($this);
+        $controller->register_routes();
+    }
+
+    // ========================================================================
+    // WP-CLI
+    // ========================================================================
+
+    /**
+     * Register the `wp fluid-space` command group
+     */
+    private function register_cli_commands()
+    {
+        \WP_CLI::add_command('fluid-space', new CliCommand($this));
+        \WP_CLI::add_command('fluid-space sizes', new SizesCliCommand($this));
+        \WP_CLI::add_command('fluid-space presets', new PresetsCliCommand($this));
+    }
+
+    // ========================================================================
+    // SNIPPET MIGRATION & DETECTION
+    // ========================================================================
+
+    /**
+     * Show admin notice if old code snippet version is detected
+     */
+    public function show_snippet_migration_notice()
+    {
+        // Don't show if user already dismissed it
+        if (get_user_meta(get_current_user_id(), self::MIGRATION_NOTICE_DISMISSED, true)) {
+            return;
+        }
+
+        // Check if old snippet functions exist in global namespace
+        // These functions would exist if the old code snippet is active
+        $old_snippet_active = function_exists('space_clamp_admin_page') ||
+            function_exists('render_space_clamp_page') ||
+            function_exists('space_clamp_register_menu');
+
+        if (!$old_snippet_active) {
+            return; // No old snippet detected, don't show notice
+        }
+
+        // Check if we've already migrated settings
+        $migrated = get_transient(self::MIGRATION_TRANSIENT);
+
+        ?>
+            <div class="notice notice-info is-dismissible fluispfo-snippet-notice">
+                <h3>🔄 Fluid Space Forge: Migration Available</h3>
+
+                <?php if ($migrated): ?>
+                    <p><strong>✅ Your settings have been automatically imported from the code snippet version!</strong></p>
+                <?php else: ?>
+                    <p>We detected you're running the older code snippet version of Fluid Space Forge.</p>
+                <?php endif; ?>
+
+                <p><strong>To complete the upgrade:</strong></p>
+                <ol style="margin-left: 20px;">
+                    <li>Go to <strong>Code Snippets</strong> in your admin menu</li>
+                    <li>Find and <strong>deactivate</strong> the "Fluid Space Forge" or "Space Clamp Calculator" snippet</li>
+                    <li>You can safely delete it<?php echo $migrated ? ' - all your settings are preserved' : ''; ?></li>
+                </ol>
+
+                <p><em>After deactivating the snippet, refresh this page to see the updated plugin interface.</em></p>
+            </div>
+    <?php
+    }
+
+    /**
+     * Handle AJAX request to dismiss the snippet migration notice
+     */
+    public function dismiss_snippet_notice()
+    {
+        check_ajax_referer('fluispfo_dismiss_notice', 'nonce');
+
+        update_user_meta(get_current_user_id(), self::MIGRATION_NOTICE_DISMISSED, true);
+
+        wp_send_json_success();
+    }
+
+    /**
+     * Attempt to migrate settings from old code snippet version
+     * Called on plugin activation
+     */
+    public static function migrate_from_snippet()
+    {
+        // Check if we already have plugin settings
+        if (get_option(self::OPTION_SETTINGS)) {
+            return; // Plugin already configured, don't overwrite
+        }
+
+        // Try to find old snippet settings
+        // Common option names the snippet might have used
+        $old_option_names = [
+            'space_clamp_settings',
+            'fluid_space_settings',
+            'space_calculator_settings'
+        ];
+
+        foreach ($old_option_names as $old_name) {
+            $old_settings = get_option($old_name);
+
+            if ($old_settings && is_array($old_settings)) {
+                // Found old settings! Migrate them
+                update_option(self::OPTION_SETTINGS, $old_settings);
+
+                // Set transient to show success message
+                set_transient(self::MIGRATION_TRANSIENT, true, WEEK_IN_SECONDS);
+
+                break;
+            }
+        }
+    }
+
+
+    // ========================================================================
+    // AJAX HANDLERS
+    // ========================================================================
+
+    public function save_settings()
+    {
+        // Verify nonce for security
         $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
         if (!wp_verify_nonce($nonce, self::NONCE_ACTION)) {
             wp_send_json_error(['message' => 'Security check failed']);
@@ -959,16 +2907,6 @@ class FluidSpaceForge
             return;
         }
 
-        // Load existing settings and merge with incoming (preserves fields not sent)
-        // This allows partial updates (e.g., control settings) without losing data settings
-        $existing_settings = get_option(self::OPTION_SETTINGS, $this->default_settings);
-
-        // Sanitize the decoded settings array (individual field sanitization)
-        $sanitized_incoming = $this->sanitize_settings_array($settings_raw);
-
-        // Merge: incoming settings override existing, but existing are preserved
-        $settings = array_merge($existing_settings, $sanitized_incoming);
-
         // Get sizes JSON string (wp_unslash removes WordPress's automatic slashing)
         // Note: We do NOT use sanitize_text_field() on JSON strings as it corrupts the data
         // Instead, we validate JSON structure and sanitize individual fields after decoding
@@ -980,27 +2918,218 @@ class FluidSpaceForge
             return;
         }
 
-        // Sanitize each sizes array individually
-        $class_sizes = $this->sanitize_sizes_array($sizes_raw['classSizes'] ?? []);
-        $variable_sizes = $this->sanitize_sizes_array($sizes_raw['variableSizes'] ?? []);
-        $utility_sizes = $this->sanitize_sizes_array($sizes_raw['utilitySizes'] ?? []);
-
-        // Save sanitized data to database
-        $result1 = update_option(self::OPTION_SETTINGS, $settings);
-        $result2 = update_option(self::OPTION_CLASS_SIZES, $class_sizes);
-        $result3 = update_option(self::OPTION_VARIABLE_SIZES, $variable_sizes);
-        $result4 = update_option(self::OPTION_UTILITY_SIZES, $utility_sizes);
+        // save_data() sanitizes each field and merges with existing settings
+        // This allows partial updates (e.g., control settings) without losing data settings
+        $result = $this->save_data($settings_raw, [
+            'class' => $sizes_raw['classSizes'] ?? [],
+            'vars' => $sizes_raw['variableSizes'] ?? [],
+            'utils' => $sizes_raw['utilitySizes'] ?? [],
+        ]);
 
-        // Clear cached data
-        wp_cache_delete(self::OPTION_SETTINGS, 'options');
-        wp_cache_delete(self::OPTION_CLASS_SIZES, 'options');
-        wp_cache_delete(self::OPTION_VARIABLE_SIZES, 'options');
-        wp_cache_delete(self::OPTION_UTILITY_SIZES, 'options');
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+            return;
+        }
 
         wp_send_json_success([
             'message' => 'All space data saved to database successfully',
-            'saved_settings' => $result1,
-            'saved_sizes' => $result2 && $result3 && $result4
+            'saved_settings' => $result['saved_settings'],
+            'saved_sizes' => $result['saved_sizes']
+        ]);
+    }
+
+    /**
+     * Import a configuration document sent by the admin Import button
+     *
+     * The browser validates before showing its preview; validation runs
+     * again here because the request can be made without the UI.
+     */
+    public function import_config()
+    {
+        // Verify nonce for security
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (!wp_verify_nonce($nonce, self::NONCE_ACTION)) {
+            wp_send_json_error(['message' => 'Security check failed']);
+            return;
+        }
+
+        // Verify user permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON sanitized after decode
+        $document_json = isset($_POST['document']) ? wp_unslash($_POST['document']) : '';
+        $document = json_decode($document_json, true);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            wp_send_json_error(['message' => 'Invalid configuration JSON']);
+            return;
+        }
+
+        $result = $this->import_config_document($document);
+        if (is_wp_error($result)) {
+            $error_data = $result->get_error_data();
+            wp_send_json_error([
+                'message' => $result->get_error_message(),
+                'errors' => $error_data['errors'] ?? [$result->get_error_message()]
+            ]);
+            return;
+        }
+
+        wp_send_json_success(['message' => 'Configuration imported successfully']);
+    }
+
+    /**
+     * Send the stored revisions to the admin revisions panel
+     */
+    public function ajax_get_revisions()
+    {
+        // Verify nonce for security
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (!wp_verify_nonce($nonce, self::NONCE_ACTION)) {
+            wp_send_json_error(['message' => 'Security check failed']);
+            return;
+        }
+
+        // Verify user permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        wp_send_json_success(['revisions' => $this->get_revisions()]);
+    }
+
+    /**
+     * Restore a revision chosen in the admin revisions panel
+     */
+    public function ajax_restore_revision()
+    {
+        // Verify nonce for security
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (!wp_verify_nonce($nonce, self::NONCE_ACTION)) {
+            wp_send_json_error(['message' => 'Security check failed']);
+            return;
+        }
+
+        // Verify user permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        $id = isset($_POST['revision']) ? absint($_POST['revision']) : 0;
+        $result = $this->restore_revision($id);
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+            return;
+        }
+
+        wp_send_json_success(['message' => "Revision {$id} restored"]);
+    }
+    /**
+     * Run a preset operation from the admin preset controls
+     *
+     * Operations: create, duplicate, rename, delete, switch and activate.
+     * Create, duplicate, delete and switch load another preset into the
+     * editor and the admin page reloads, so they carry the editor data:
+     * once the operation's checks pass it is saved first, and unsaved
+     * edits stay with the preset they were made in. Rename and activate
+     * leave the editor as it is and save nothing. New presets are loaded
+     * for editing straight away.
+     */
+    public function ajax_manage_preset()
+    {
+        // Verify nonce for security
+        $nonce = isset($_POST['nonce']) ? sanitize_text_field(wp_unslash($_POST['nonce'])) : '';
+        if (!wp_verify_nonce($nonce, self::NONCE_ACTION)) {
+            wp_send_json_error(['message' => 'Security check failed']);
+            return;
+        }
+
+        // Verify user permissions
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        $operation = isset($_POST['operation']) ? sanitize_key(wp_unslash($_POST['operation'])) : '';
+        $id = isset($_POST['preset']) ? absint($_POST['preset']) : 0;
+        $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
+
+        if (!in_array($operation, ['create', 'duplicate', 'rename', 'delete', 'switch', 'activate'], true)) {
+            wp_send_json_error(['message' => 'Unknown preset operation']);
+            return;
+        }
+
+        // Checked before the editor data is saved, so a request that will fail stores nothing
+        $leaves_editor = in_array($operation, ['create', 'duplicate', 'delete', 'switch'], true);
+        if ($leaves_editor) {
+            $check = $this->check_preset_operation($operation, $id, $name);
+            if (is_wp_error($check)) {
+                wp_send_json_error(['message' => $check->get_error_message()]);
+                return;
+            }
+        }
+
+        if ($leaves_editor && isset($_POST['settings'], $_POST['sizes'])) {
+            // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON sanitized after decode
+            $settings_raw = json_decode(wp_unslash($_POST['settings']), true);
+            // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON sanitized after decode
+            $sizes_raw = json_decode(wp_unslash($_POST['sizes']), true);
+            if (!is_array($settings_raw) || !is_array($sizes_raw)) {
+                wp_send_json_error(['message' => 'Invalid editor data JSON']);
+                return;
+            }
+
+            $saved = $this->save_data($settings_raw, [
+                'class' => $sizes_raw['classSizes'] ?? [],
+                'vars' => $sizes_raw['variableSizes'] ?? [],
+                'utils' => $sizes_raw['utilitySizes'] ?? [],
+            ]);
+            if (is_wp_error($saved)) {
+                wp_send_json_error(['message' => $saved->get_error_message()]);
+                return;
+            }
+        }
+
+        switch ($operation) {
+            case 'create':
+                $result = $this->create_preset($name);
+                break;
+            case 'duplicate':
+                $result = $this->create_preset($name, $id);
+                break;
+            case 'rename':
+                $result = $this->rename_preset($id, $name);
+                break;
+            case 'delete':
+                $result = $this->delete_preset($id);
+                break;
+            case 'switch':
+                $result = $this->switch_preset($id);
+                break;
+            default: // 'activate'
+                $result = $this->activate_preset($id);
+        }
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+            return;
+        }
+
+        if ($operation === 'create' || $operation === 'duplicate') {
+            $switched = $this->switch_preset($result['id']);
+            if (is_wp_error($switched)) {
+                wp_send_json_error(['message' => "Preset '{$result['name']}' was created but could not be opened: " . $switched->get_error_message()]);
+                return;
+            }
+        }
+
+        wp_send_json_success([
+            'message' => "Preset '{$result['name']}' updated",
+            'preset' => ['id' => (int) $result['id'], 'name' => $result['name']],
         ]);
     }
 }
@@ -1012,7 +3141,5 @@ class FluidSpaceForge
 // Register activation hook for migration
 register_activation_hook(__FILE__, ['JimRForge\FluidSpaceForge\FluidSpaceForge', 'migrate_from_snippet']);
 
-// Initialize the Fluid Space Forge
-if (is_admin()) {
-    new FluidSpaceForge();
-}
+// Initialize the Fluid Space Forge (admin UI plus front-end output)
+new FluidSpaceForge();
@@ -0,0 +1,317 @@
+<?php
+
+/**
+ * WP-CLI Command
+ *
+ * `wp fluid-space` - read and write settings, export the scale, import
+ * configuration documents and restore revisions from provisioning scripts.
+ * Writes go through FluidSpaceForge::save_data(), the same path as the
+ * admin save.
+ *
+ * Size list management lives in SizesCliCommand (`wp fluid-space sizes`),
+ * named presets in PresetsCliCommand (`wp fluid-space presets`). Both this
+ * command and the sizes command work on the preset being edited.
+ *
+ * @package FluidSpaceForge
+ * @subpackage Includes
+ * @since 1.3.0
+ */
+
+namespace JimRForge\FluidSpaceForge;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manage the Fluid Space Forge spacing scale.
+ */
+class CliCommand
+{
+    /**
+     * @var FluidSpaceForge
+     */
+    private $plugin;
+
+    /**
+     * @param FluidSpaceForge $plugin Plugin instance providing data access
+     */
+    public function __construct(FluidSpaceForge $plugin)
+    {
+        $this->plugin = $plugin;
+    }
+
+    /**
+     * Show one setting, or all settings when no key is given.
+     *
+     * ## OPTIONS
+     *
+     * [<key>]
+     * : Settings key, e.g. minBasespace, maxViewport, minScale.
+     *
+     * [--format=<format>]
+     * : Output format when listing all settings.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space get maxScale
+     *     wp fluid-space get --format=json
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function get($args, $assoc_args)
+    {
+        $settings = $this->plugin->get_fluispfo_settings();
+
+        if (empty($args)) {
+            $items = [];
+            foreach ($settings as $key => $value) {
+                $items[] = ['key' => $key, 'value' => $this->format_value($value)];
+            }
+            \WP_CLI\Utils\format_items($assoc_args['format'] ?? 'table', $items, ['key', 'value']);
+            return;
+        }
+
+        $key = $args[0];
+        if (!array_key_exists($key, $settings)) {
+            \WP_CLI::error("Unknown setting '{$key}'.");
+        }
+
+        \WP_CLI::line($this->format_value($settings[$key]));
+    }
+
+    /**
+     * Update one setting.
+     *
+     * Values are parsed as JSON when possible, so `true`, `1.25` and
+     * `["class","vars"]` keep their types. frontendFormats, utilityFamilies,
+     * classProperties and customMultipliers also accept a comma-separated list.
+     *
+     * Nothing is saved when the value is outside the admin range limits or
+     * would leave minViewport at or above maxViewport.
+     *
+     * ## OPTIONS
+     *
+     * <key>
+     * : Settings key, e.g. minBasespace, maxViewport, minScale.
+     *
+     * <value>
+     * : New value.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space set maxScale 1.333
+     *     wp fluid-space set unitType rem
+     *     wp fluid-space set frontendFormats class,vars
+     *     wp fluid-space set utilityFamilies margin,padding,scroll-margin
+     *     wp fluid-space set utilityPatterns '{"gap":"g{variant}-{size}"}'
+     *     wp fluid-space set classProperties gap
+     *     wp fluid-space set scaleGenerator custom
+     *     wp fluid-space set customMultipliers 0.5,0.75,1,1.5,2,3
+     *
+     * @param array $args Positional arguments
+     */
+    public function set($args)
+    {
+        list($key, $raw_value) = $args;
+
+        if (!array_key_exists($key, $this->plugin->get_fluispfo_settings())) {
+            \WP_CLI::error("Unknown setting '{$key}'.");
+        }
+
+        $value = json_decode($raw_value, true);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            $value = $raw_value;
+        }
+        if (in_array($key, ['frontendFormats', 'utilityFamilies', 'classProperties', 'customMultipliers'], true) && !is_array($value)) {
+            $value = array_filter(array_map('trim', explode(',', (string) $raw_value)));
+        }
+
+        // save_data() validates the merged settings, e.g. minViewport against the stored maxViewport
+        $result = $this->plugin->save_data([$key => $value]);
+        if (is_wp_error($result)) {
+            \WP_CLI::error($result->get_error_message());
+        }
+
+        \WP_CLI::success("{$key} = " . $this->format_value($result['settings'][$key]));
+    }
+
+    /**
+     * Print the scale as CSS, design tokens, Tailwind config, SCSS, Less or a configuration document.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Output format. json is the full configuration document accepted by `import`;
+     * tokens is W3C Design Tokens (DTCG) JSON; tailwind-v3 and tailwind-v4 always use the utils list.
+     * ---
+     * default: css
+     * options:
+     *   - css
+     *   - json
+     *   - tokens
+     *   - tailwind-v3
+     *   - tailwind-v4
+     *   - scss
+     *   - less
+     * ---
+     *
+     * [--type=<type>]
+     * : Sizes list to render for css, tokens, scss and less.
+     * ---
+     * default: class
+     * options:
+     *   - class
+     *   - vars
+     *   - utils
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space export --format=css --type=vars > spacing.css
+     *     wp fluid-space export --format=json > fluid-space.json
+     *     wp fluid-space export --format=tokens --type=vars > tokens.json
+     *     wp fluid-space export --format=tailwind-v4 > theme.css
+     *     wp fluid-space export --format=scss --type=vars > _space.scss
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function export($args, $assoc_args)
+    {
+        $format = $assoc_args['format'] ?? 'css';
+        $type = $assoc_args['type'] ?? 'class';
+
+        if ($format === 'json') {
+            \WP_CLI::line(wp_json_encode($this->plugin->get_config_document(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+            return;
+        }
+
+        \WP_CLI::line($this->plugin->get_output($type, $format));
+    }
+
+    /**
+     * Replace settings and all sizes lists from a configuration document.
+     *
+     * ## OPTIONS
+     *
+     * <file>
+     * : Path to a JSON document produced by `export --format=json` or the admin Export button.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space import fluid-space.json
+     *
+     * @param array $args Positional arguments
+     */
+    public function import($args)
+    {
+        $file = $args[0];
+        if (!is_readable($file)) {
+            \WP_CLI::error("Cannot read '{$file}'.");
+        }
+
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- local CLI input file
+        $document = json_decode(file_get_contents($file), true);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            \WP_CLI::error('Invalid JSON: ' . json_last_error_msg());
+        }
+
+        $result = $this->plugin->import_config_document($document);
+        if (is_wp_error($result)) {
+            \WP_CLI::error($result->get_error_message());
+        }
+
+        \WP_CLI::success("Imported configuration from '{$file}'.");
+    }
+
+    /**
+     * List saved revisions, newest first.
+     *
+     * Every save that changes the scale is kept, up to the last 20.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space revisions
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function revisions($args, $assoc_args)
+    {
+        $items = [];
+        foreach ($this->plugin->get_revisions() as $revision) {
+            $items[] = [
+                'id' => $revision['id'],
+                'saved' => wp_date('Y-m-d H:i:s', $revision['time']),
+                'user' => $revision['userName'] !== '' ? $revision['userName'] : '-',
+                'source' => $revision['source'] . ($revision['restoredFrom'] ? " ({$revision['restoredFrom']})" : ''),
+            ];
+        }
+
+        \WP_CLI\Utils\format_items($assoc_args['format'] ?? 'table', $items, ['id', 'saved', 'user', 'source']);
+    }
+
+    /**
+     * Restore the settings and sizes of a saved revision.
+     *
+     * The restore is saved as a new revision, so it can be undone the same way.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Revision ID from `wp fluid-space revisions`.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space restore 12
+     *
+     * @param array $args Positional arguments
+     */
+    public function restore($args)
+    {
+        $result = $this->plugin->restore_revision(absint($args[0]));
+        if (is_wp_error($result)) {
+            \WP_CLI::error($result->get_error_message());
+        }
+
+        \WP_CLI::success("Restored revision {$args[0]}.");
+    }
+
+    /**
+     * Render a setting value for terminal output
+     *
+     * @param mixed $value Setting value
+     * @return string Scalars as-is, booleans and arrays as JSON
+     */
+    private function format_value($value)
+    {
+        if (is_bool($value) || is_array($value) || $value === null) {
+            return wp_json_encode($value);
+        }
+
+        return (string) $value;
+    }
+}
@@ -0,0 +1,1291 @@
+<?php
+
+/**
+ * CSS Generator
+ *
+ * Server-side port of the clamp() math in calculations.js and the
+ * format helpers in admin-script.js. Renders a saved spacing scale
+ * to CSS without a browser so it can be served on the front end.
+ *
+ * Output must stay byte-identical to the browser for the same settings
+ * and sizes arrays, so number formatting goes through js_number(),
+ * js_to_fixed() and js_round() instead of PHP's own float handling.
+ * Any change to the JavaScript generators must be mirrored here.
+ *
+ * @package FluidSpaceForge
+ * @subpackage Includes
+ * @since 1.3.0
+ */
+
+namespace JimRForge\FluidSpaceForge;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Stateless CSS generator - all methods are side-effect free
+ */
+class CssGenerator
+{
+    // Why 16px: 1rem = 16px by default - matches Calculations.PIXELS_PER_REM
+    const PIXELS_PER_REM = 16;
+    // Default decimal places - match Calculations.REM_PRECISION and COEFFICIENT_PRECISION
+    const REM_PRECISION = 3;
+    const COEFFICIENT_PRECISION = 4;
+
+    // Vendor key for Fluid Space Forge data inside DTCG $extensions
+    const TOKENS_EXTENSION_KEY = 'com.jimrforge.fluid-space-forge';
+
+    // ========================================================================
+    // PUBLIC API - CSS GENERATION
+    // ========================================================================
+
+    /**
+     * Generate CSS for one output format
+     *
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string Generated CSS
+     */
+    public static function generate($type, $sizes, $settings, $base_id = 3)
+    {
+        if (count(self::get_anchors($settings)) > 2 && ($settings['piecewiseOutput'] ?? 'media') !== 'calc') {
+            return self::generate_stepped_css($type, $sizes, $settings, $base_id);
+        }
+        return self::generate_segment_css($type, $sizes, $settings, $base_id);
+    }
+
+    /**
+     * Generate the tab CSS for one two-viewport range - mirrors getCSSGenerator()
+     *
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string Generated CSS
+     */
+    private static function generate_segment_css($type, $sizes, $settings, $base_id)
+    {
+        if ($type === 'vars') {
+            return self::generate_variables_css($sizes, $settings, $base_id);
+        }
+        if ($type === 'utils') {
+            return self::generate_utilities_css($sizes, $settings, $base_id);
+        }
+        return self::generate_classes_css($sizes, $settings, $base_id);
+    }
+
+    /**
+     * Check whether the preferred value scales with a container - mirrors usesContainerUnit()
+     *
+     * @param array $settings Settings array
+     * @return bool True for the cqi and cqw fluid units
+     */
+    public static function uses_container_unit($settings)
+    {
+        return in_array($settings['fluidUnit'] ?? 'vw', ['cqi', 'cqw'], true);
+    }
+
+    /**
+     * Generate the optional container-type helper class - mirrors getContainerHelperCSS()
+     *
+     * @param array $settings Settings array
+     * @return string Helper rule with a leading blank line, or empty string
+     */
+    public static function get_container_helper_css($settings)
+    {
+        if (empty($settings['containerHelper']) || !self::uses_container_unit($settings)) {
+            return '';
+        }
+        $prefix = !empty($settings['classPrefix']) ? $settings['classPrefix'] : 'space';
+
+        return "\n\n.{$prefix}-container {\n  container-type: inline-size;\n}";
+    }
+
+    /**
+     * Generate media-query-stepped CSS for a multi-breakpoint scale - mirrors generateSteppedCSS()
+     *
+     * Each segment between neighbouring anchors renders with two-viewport
+     * clamps; every segment after the first is wrapped in a min-width query
+     * (@container with a container fluid unit).
+     *
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array with breakpoints
+     * @param int $base_id ID of the base reference size
+     * @return string Generated CSS
+     */
+    public static function generate_stepped_css($type, $sizes, $settings, $base_id = 3)
+    {
+        $anchors = self::get_anchors($settings);
+        $rule = self::uses_container_unit($settings) ? '@container' : '@media';
+        $blocks = [];
+
+        for ($i = 0; $i < count($anchors) - 1; $i++) {
+            $css = self::generate_segment_css($type, $sizes, self::get_segment_settings($settings, $i), $base_id);
+            if ($i === 0) {
+                $blocks[] = $css;
+                continue;
+            }
+            $indented = implode("\n", array_map(function ($line) {
+                return $line !== '' ? '  ' . $line : $line;
+            }, explode("\n", $css)));
+            $blocks[] = "{$rule} (min-width: {$anchors[$i]['viewport']}px) {\n{$indented}\n}";
+        }
+
+        return implode("\n\n", $blocks);
+    }
+
+    /**
+     * Generate one output format for a sizes list
+     *
+     * 'css' renders the tab's own CSS; every other format renders the same
+     * sizes in a different syntax. Tailwind formats expect utility sizes.
+     *
+     * @param string $output Output format from FluidSpaceForge::OUTPUT_FORMATS
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string Generated output
+     */
+    public static function generate_output($output, $type, $sizes, $settings, $base_id = 3)
+    {
+        if ($output === 'tokens') {
+            return self::generate_tokens($type, $sizes, $settings, $base_id);
+        }
+        if ($output === 'tailwind-v3' || $output === 'tailwind-v4') {
+            return self::generate_tailwind($sizes, $settings, $base_id, substr($output, strlen('tailwind-')));
+        }
+        if ($output === 'scss') {
+            return self::generate_scss($type, $sizes, $settings, $base_id);
+        }
+        if ($output === 'less') {
+            return self::generate_less($type, $sizes, $settings, $base_id);
+        }
+        return self::generate($type, $sizes, $settings, $base_id) . self::get_container_helper_css($settings);
+    }
+
+    /**
+     * Generate CSS for Classes tab
+     *
+     * @param array $sizes Sizes array
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string CSS class definitions
+     */
+    public static function generate_classes_css($sizes, $settings, $base_id = 3)
+    {
+        $prefix = !empty($settings['classPrefix']) ? $settings['classPrefix'] : 'space';
+        $companions = self::get_class_companions($settings);
+        $all_classes = [];
+
+        foreach ($sizes as $size) {
+            $clamp = self::get_size_clamp($size, $sizes, $settings, $base_id);
+            $suffix = preg_replace('/space-/', '', $size['className'] ?? '', 1);
+            $properties = self::get_class_properties($size, $settings);
+            $all_classes[] = self::format_class_css($suffix, $clamp, $prefix, $properties, $companions);
+        }
+
+        return implode("\n\n", $all_classes);
+    }
+
+    /**
+     * Generate CSS for Variables tab
+     *
+     * @param array $sizes Sizes array
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string :root block with custom properties
+     */
+    public static function generate_variables_css($sizes, $settings, $base_id = 3)
+    {
+        $prefix = !empty($settings['variablePrefix']) ? $settings['variablePrefix'] : 'sp';
+        $variables = [];
+
+        foreach ($sizes as $size) {
+            $clamp = self::get_size_clamp($size, $sizes, $settings, $base_id);
+            $variables[] = self::format_variable_css($size['variableName'] ?? '', $clamp, $prefix);
+        }
+
+        $pairs = [];
+        foreach (self::get_space_pairs($sizes, $settings) as $pair) {
+            $calc = self::calculate_space_pair($pair['from']['id'], $pair['to']['id'], $sizes, $settings, $base_id);
+            $clamp = self::generate_clamp_function(
+                $calc['min'],
+                $calc['max'],
+                $settings['minViewport'],
+                $settings['maxViewport'],
+                $settings['unitType'],
+                $settings
+            );
+            $name = self::get_pair_key($pair['from'], $prefix) . '-' . self::get_pair_key($pair['to'], $prefix);
+            $pairs[] = self::format_variable_css($name, $clamp, $prefix);
+        }
+        if (!empty($pairs)) {
+            $variables[] = "\n  /* Space pairs */\n" . implode("\n", $pairs);
+        }
+
+        if (!empty($settings['negativeTokens'])) {
+            $negatives = [];
+            foreach ($sizes as $size) {
+                $name = $size['variableName'] ?? '';
+                $full_name = strpos($name, '--') === 0 ? $name : "--{$prefix}-{$name}";
+                $negatives[] = self::format_variable_css('neg-' . self::get_pair_key($size, $prefix), "calc(-1 * var({$full_name}))", $prefix);
+            }
+            if (!empty($negatives)) {
+                $variables[] = "\n  /* Negative sizes */\n" . implode("\n", $negatives);
+            }
+        }
+
+        return ":root {\n" . implode("\n", $variables) . "\n}";
+    }
+
+    /**
+     * Generate CSS for Utilities tab
+     *
+     * @param array $sizes Sizes array
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string Tailwind-style utility classes, one block per enabled family
+     */
+    public static function generate_utilities_css($sizes, $settings, $base_id = 3)
+    {
+        $families = self::get_utility_families($settings);
+        $groups = array_fill_keys(array_keys($families), []);
+
+        foreach ($sizes as $size) {
+            $clamp = self::get_size_clamp($size, $sizes, $settings, $base_id);
+            $formatted = self::format_utility_css($size['utilityName'] ?? '', $clamp, $families, !empty($settings['negativeTokens']));
+            foreach ($formatted as $family => $rules) {
+                $groups[$family] = array_merge($groups[$family], $rules);
+            }
+        }
+
+        $blocks = [];
+        foreach ($families as $family => $definition) {
+            $blocks[] = "/* Tailwind-style {$definition['label']} utilities */\n" . implode("\n", $groups[$family]);
+        }
+
+        return implode("\n\n", $blocks);
+    }
+
+    /**
+     * Get the properties a class size sets - mirrors getClassProperties()
+     *
+     * A size's own properties win over the tab-wide classProperties setting.
+     * With logicalProperties on, physical properties are mapped to logical ones.
+     *
+     * @param array $size Class size entry
+     * @param array $settings Settings array
+     * @return array CSS property names
+     */
+    public static function get_class_properties($size, $settings)
+    {
+        if (!empty($size['properties']) && is_array($size['properties'])) {
+            $properties = $size['properties'];
+        } elseif (!empty($settings['classProperties']) && is_array($settings['classProperties'])) {
+            $properties = $settings['classProperties'];
+        } else {
+            $properties = FluidSpaceForge::DEFAULT_CLASS_PROPERTIES;
+        }
+
+        if (!empty($settings['logicalProperties'])) {
+            $properties = array_map([self::class, 'get_logical_property'], $properties);
+        }
+
+        return array_values($properties);
+    }
+
+    /**
+     * Get the companion classes generated next to each class - mirrors getClassCompanions()
+     *
+     * @param array $settings Settings array with classCompanions
+     * @return array Valid companions, each with property and pattern keys
+     */
+    public static function get_class_companions($settings)
+    {
+        $companions = [];
+        $configured = isset($settings['classCompanions']) && is_array($settings['classCompanions'])
+            ? $settings['classCompanions']
+            : [];
+
+        foreach ($configured as $companion) {
+            if (
+                !is_array($companion)
+                || !FluidSpaceForge::is_valid_css_property($companion['property'] ?? '')
+                || !FluidSpaceForge::is_valid_class_pattern($companion['pattern'] ?? '')
+            ) {
+                continue;
+            }
+            $property = $companion['property'];
+            if (!empty($settings['logicalProperties'])) {
+                $property = self::get_logical_property($property);
+            }
+            $companions[] = ['property' => $property, 'pattern' => $companion['pattern']];
+        }
+
+        return $companions;
+    }
+
+    /**
+     * Map a physical property to its logical equivalent - mirrors getLogicalProperty()
+     *
+     * The map comes from the single-property variants in UTILITY_FAMILIES,
+     * so margin-top becomes margin-block-start and left becomes
+     * inset-inline-start. Other properties are returned unchanged.
+     *
+     * @param string $property CSS property name
+     * @return string Logical property name
+     */
+    public static function get_logical_property($property)
+    {
+        foreach (FluidSpaceForge::UTILITY_FAMILIES as $definition) {
+            foreach ($definition['variants'] as $variant) {
+                if (
+                    isset($variant['logical'])
+                    && count($variant['properties']) === 1
+                    && $variant['properties'][0] === $property
+                ) {
+                    return $variant['logical']['properties'][0];
+                }
+            }
+        }
+
+        return $property;
+    }
+
+    /**
+     * Get the enabled utility families with their effective patterns - mirrors getUtilityFamilies()
+     *
+     * With logicalProperties on, physical variants (mt-, ml-, ...) are swapped
+     * for their logical counterparts (mbs-, ms-, ...).
+     *
+     * @param array $settings Settings array with utilityFamilies, utilityPatterns and logicalProperties
+     * @return array Family definitions keyed by family, in registry order
+     */
+    public static function get_utility_families($settings)
+    {
+        $enabled = isset($settings['utilityFamilies']) && is_array($settings['utilityFamilies'])
+            ? $settings['utilityFamilies']
+            : FluidSpaceForge::DEFAULT_UTILITY_FAMILIES;
+        $patterns = isset($settings['utilityPatterns']) && is_array($settings['utilityPatterns'])
+            ? $settings['utilityPatterns']
+            : [];
+        $logical = !empty($settings['logicalProperties']);
+
+        $families = [];
+        foreach (FluidSpaceForge::UTILITY_FAMILIES as $family => $definition) {
+            if (!in_array($family, $enabled, true)) {
+                continue;
+            }
+            if (!empty($patterns[$family]) && FluidSpaceForge::is_valid_utility_pattern($family, $patterns[$family])) {
+                $definition['pattern'] = $patterns[$family];
+            }
+            if ($logical) {
+                foreach ($definition['variants'] as $index => $variant) {
+                    if (isset($variant['logical'])) {
+                        $definition['variants'][$index] = $variant['logical'];
+                    }
+                }
+            }
+            $families[$family] = $definition;
+        }
+
+        return $families;
+    }
+
+    /**
+     * Generate W3C Design Tokens (DTCG) JSON - mirrors generateTokensJSON()
+     *
+     * Each size becomes a group with min and max dimension tokens; the
+     * viewport range and clamp() expression go in $extensions because
+     * DTCG has no fluid dimension type.
+     *
+     * @param string $type Size type the sizes belong to: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string JSON with two-space indentation, as JSON.stringify(tokens, null, 2)
+     */
+    public static function generate_tokens($type, $sizes, $settings, $base_id = 3)
+    {
+        $unit_type = $settings['unitType'];
+        $to_dimension = function ($px) use ($unit_type, $settings) {
+            if ($unit_type === 'rem') {
+                return ['value' => (float) self::format_rem($px, $settings), 'unit' => 'rem'];
+            }
+            return ['value' => $px, 'unit' => 'px'];
+        };
+
+        $tokens = [
+            '$type' => 'dimension',
+            '$description' => 'Fluid spacing scale generated by Fluid Space Forge',
+        ];
+
+        foreach ($sizes as $size) {
+            $calc = self::calculate_space_size($size['id'] ?? 0, $sizes, $settings, $base_id);
+            $tokens[self::get_size_key($size, $type)] = [
+                'min' => ['$value' => $to_dimension($calc['min'])],
+                'max' => ['$value' => $to_dimension($calc['max'])],
+                '$extensions' => [
+                    self::TOKENS_EXTENSION_KEY => [
+                        'clamp' => self::get_size_clamp($size, $sizes, $settings, $base_id),
+                        'minViewport' => ['value' => (float) $settings['minViewport'], 'unit' => 'px'],
+                        'maxViewport' => ['value' => (float) $settings['maxViewport'], 'unit' => 'px'],
+                    ],
+                ],
+            ];
+        }
+
+        return self::js_json_stringify(['space' => $tokens]);
+    }
+
+    /**
+     * Generate Tailwind CSS theme configuration - mirrors generateTailwindConfig()
+     *
+     * @param array $sizes Utility sizes array
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @param string $version Tailwind major version: 'v3' or 'v4'
+     * @return string theme.extend.spacing config (v3) or @theme block (v4)
+     */
+    public static function generate_tailwind($sizes, $settings, $base_id = 3, $version = 'v4')
+    {
+        $entries = [];
+        foreach ($sizes as $size) {
+            $clamp = self::get_size_clamp($size, $sizes, $settings, $base_id);
+            $key = self::get_size_key($size, 'utils');
+
+            $entries[] = $version === 'v3'
+                ? "        '" . str_replace("'", "\\'", $key) . "': '{$clamp}',"
+                : "  --spacing-{$key}: {$clamp};";
+        }
+
+        if ($version === 'v3') {
+            return "// tailwind.config.js\nmodule.exports = {\n  theme: {\n    extend: {\n      spacing: {\n"
+                . implode("\n", $entries)
+                . "\n      },\n    },\n  },\n};";
+        }
+
+        return "@theme {\n" . implode("\n", $entries) . "\n}";
+    }
+
+    /**
+     * Generate an SCSS map, lookup function and mixin - mirrors generateScss()
+     *
+     * Keys are quoted so names such as "2xl" stay strings; Sass treats
+     * quoted and unquoted strings as equal, so space(xs) still works.
+     * Uses the global map functions so LibSass-based builds compile too.
+     *
+     * @param string $type Size type the sizes belong to: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string SCSS source with a $space map, space() function and space() mixin
+     */
+    public static function generate_scss($type, $sizes, $settings, $base_id = 3)
+    {
+        $entries = [];
+        foreach ($sizes as $size) {
+            $clamp = self::get_size_clamp($size, $sizes, $settings, $base_id);
+            $entries[] = '  "' . self::get_size_key($size, $type) . "\": {$clamp},";
+        }
+
+        return "\$space: (\n" . implode("\n", $entries) . "\n);\n\n"
+            . "@function space(\$key) {\n"
+            . "  @if not map-has-key(\$space, \$key) {\n"
+            . "    @error \"Unknown space size `#{\$key}`.\";\n"
+            . "  }\n"
+            . "  @return map-get(\$space, \$key);\n"
+            . "}\n\n"
+            . "@mixin space(\$property, \$key) {\n"
+            . "  #{\$property}: space(\$key);\n"
+            . "}";
+    }
+
+    /**
+     * Generate Less variables and a lookup mixin - mirrors generateLess()
+     *
+     * Values are escaped strings so Less passes clamp() and calc()
+     * through without attempting any math.
+     *
+     * @param string $type Size type the sizes belong to: 'class', 'vars', or 'utils'
+     * @param array $sizes Sizes array for that type
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return string Less source with @space-* variables and a .space() mixin
+     */
+    public static function generate_less($type, $sizes, $settings, $base_id = 3)
+    {
+        $entries = [];
+        foreach ($sizes as $size) {
+            $clamp = self::get_size_clamp($size, $sizes, $settings, $base_id);
+            $entries[] = '@space-' . self::get_size_key($size, $type) . ": ~\"{$clamp}\";";
+        }
+
+        return implode("\n", $entries) . "\n\n"
+            . ".space(@property; @key) {\n"
+            . "  @name: \"space-@{key}\";\n"
+            . "  @{property}: @@name;\n"
+            . "}";
+    }
+
+    /**
+     * Get the bare size name used as a map or token key
+     *
+     * @param array $size Size entry
+     * @param string $type Size type: 'class', 'vars', or 'utils'
+     * @return string Size name without class or custom property prefixes
+     */
+    public static function get_size_key($size, $type)
+    {
+        if ($type === 'vars') {
+            return ltrim($size['variableName'] ?? '', '-');
+        }
+        if ($type === 'utils') {
+            return $size['utilityName'] ?? '';
+        }
+        return preg_replace('/space-/', '', $size['className'] ?? '', 1);
+    }
+
+    /**
+     * Generate CSS clamp() function with linear interpolation
+     *
+     * Mirrors Calculations.generateClampFunction(). Equal viewports leave
+     * nothing to interpolate over, so the min value is returned as a fixed
+     * size instead of dividing by zero.
+     *
+     * @param float $min_value Minimum space in pixels
+     * @param float $max_value Maximum space in pixels
+     * @param float $min_viewport Minimum viewport width in pixels
+     * @param float $max_viewport Maximum viewport width in pixels
+     * @param string $unit_type Output unit type: 'px' or 'rem'
+     * @param array $format Formatting settings, the settings array works as-is (see get_format_options())
+     * @return string Complete CSS clamp() function string, or the fixed value
+     */
+    public static function generate_clamp_function($min_value, $max_value, $min_viewport, $max_viewport, $unit_type, $format = [])
+    {
+        if ($max_viewport == $min_viewport) {
+            return self::format_value($min_value, self::get_output_unit($unit_type, $format), $format);
+        }
+
+        $coefficient = (($max_value - $min_value) / ($max_viewport - $min_viewport)) * 100;
+        $constant = $min_value - ($coefficient * $min_viewport) / 100;
+
+        // The smaller value is always the lower bound (descending piecewise segments)
+        $output_unit = self::get_output_unit($unit_type, $format);
+        $min_unit = self::format_value(min($min_value, $max_value), $output_unit, $format);
+        $max_unit = self::format_value(max($min_value, $max_value), $output_unit, $format);
+        $preferred = self::format_preferred_value($constant, $coefficient, $output_unit, $format);
+
+        return "clamp({$min_unit}, {$preferred}, {$max_unit})";
+    }
+
+    /**
+     * Generate a piecewise fluid expression through three or more points
+     *
+     * Mirrors Calculations.generatePiecewiseFunction(): two points give the
+     * usual clamp(), more give calc(v0 + clamp(...) + ...) with one clamped
+     * term per segment.
+     *
+     * @param array $points ['viewport' => px, 'value' => px] entries, ascending viewports
+     * @param string $unit_type Output unit type: 'px' or 'rem'
+     * @param array $format Formatting settings (see get_format_options())
+     * @return string clamp() or calc() expression
+     */
+    public static function generate_piecewise_function($points, $unit_type, $format = [])
+    {
+        if (count($points) <= 2) {
+            $first = $points[0];
+            $last = $points[count($points) - 1];
+            return self::generate_clamp_function($first['value'], $last['value'], $first['viewport'], $last['viewport'], $unit_type, $format);
+        }
+
+        $output_unit = self::get_output_unit($unit_type, $format);
+        $terms = [];
+        for ($i = 0; $i < count($points) - 1; $i++) {
+            $from = $points[$i];
+            $to = $points[$i + 1];
+            $change = $to['value'] - $from['value'];
+            if ($change == 0) {
+                continue;
+            }
+
+            $coefficient = ($change / ($to['viewport'] - $from['viewport'])) * 100;
+            $constant = -($coefficient * $from['viewport']) / 100;
+            $terms[] = 'clamp(' . self::format_value(min(0, $change), $output_unit, $format)
+                . ', ' . self::format_preferred_value($constant, $coefficient, $output_unit, $format)
+                . ', ' . self::format_value(max(0, $change), $output_unit, $format) . ')';
+        }
+
+        $start = self::format_value($points[0]['value'], $output_unit, $format);
+        return $terms ? "calc({$start} + " . implode(' + ', $terms) . ')' : $start;
+    }
+
+    // ========================================================================
+    // PUBLIC API - NUMBER FORMATTING OPTIONS
+    // ========================================================================
+
+    /**
+     * Get the output formatting options from settings - mirrors Calculations.getFormatOptions()
+     *
+     * @param array $settings Settings array (or a subset of it)
+     * @return array fluidUnit, rootFontSize, remPrecision, coefficientPrecision and zoomSafe with defaults applied
+     */
+    public static function get_format_options($settings = [])
+    {
+        $root_font_size = (float) ($settings['rootFontSize'] ?? 0);
+        $rem_precision = is_numeric($settings['remPrecision'] ?? null) ? (int) $settings['remPrecision'] : -1;
+        $coefficient_precision = is_numeric($settings['coefficientPrecision'] ?? null) ? (int) $settings['coefficientPrecision'] : -1;
+
+        return [
+            'fluidUnit' => !empty($settings['fluidUnit']) ? $settings['fluidUnit'] : 'vw',
+            'rootFontSize' => $root_font_size > 0 ? $root_font_size : self::PIXELS_PER_REM,
+            'remPrecision' => $rem_precision >= 0 ? $rem_precision : self::REM_PRECISION,
+            'coefficientPrecision' => $coefficient_precision >= 0 ? $coefficient_precision : self::COEFFICIENT_PRECISION,
+            'zoomSafe' => !empty($settings['zoomSafe']),
+        ];
+    }
+
+    /**
+     * Get the unit clamp() values are written in - mirrors Calculations.getOutputUnit()
+     *
+     * @param string $unit_type Output unit type: 'px' or 'rem'
+     * @param array $format Formatting settings (see get_format_options())
+     * @return string 'rem' when zoom-safe output is on, otherwise $unit_type
+     */
+    public static function get_output_unit($unit_type, $format = [])
+    {
+        return self::get_format_options($format)['zoomSafe'] ? 'rem' : $unit_type;
+    }
+
+    /**
+     * Convert pixels to a rem number string - mirrors Calculations.formatRem()
+     *
+     * @param float $px_value Value in pixels
+     * @param array $format Formatting settings (see get_format_options())
+     * @return string Rem value without unit, e.g. "0.750"
+     */
+    public static function format_rem($px_value, $format = [])
+    {
+        $options = self::get_format_options($format);
+
+        return self::js_to_fixed($px_value / $options['rootFontSize'], $options['remPrecision']);
+    }
+
+    // ========================================================================
+    // PUBLIC API - ANCHOR VIEWPORTS
+    // ========================================================================
+
+    /**
+     * Get the anchor viewports of the scale - mirrors Calculations.getAnchors()
+     *
+     * The min and max viewport settings are the outer anchors; valid
+     * breakpoints strictly between them are the inner ones.
+     *
+     * @param array $settings Settings array
+     * @return array ['viewport', 'baseSpace', 'scale'] entries, ascending viewports
+     */
+    public static function get_anchors($settings)
+    {
+        $min_viewport = (int) ($settings['minViewport'] ?? 0);
+        $max_viewport = (int) ($settings['maxViewport'] ?? 0);
+
+        $inner = [];
+        foreach ((array) ($settings['breakpoints'] ?? []) as $breakpoint) {
+            if (!is_array($breakpoint) || !is_numeric($breakpoint['viewport'] ?? null)
+                || !is_numeric($breakpoint['baseSpace'] ?? null) || !is_numeric($breakpoint['scale'] ?? null)) {
+                continue;
+            }
+            $anchor = [
+                'viewport' => (int) $breakpoint['viewport'],
+                'baseSpace' => (int) $breakpoint['baseSpace'],
+                'scale' => (float) $breakpoint['scale'],
+            ];
+            if ($anchor['viewport'] > $min_viewport && $anchor['viewport'] < $max_viewport
+                && $anchor['baseSpace'] > 0 && $anchor['scale'] > 0) {
+                $inner[] = $anchor;
+            }
+        }
+        usort($inner, function ($a, $b) {
+            return $a['viewport'] - $b['viewport'];
+        });
+
+        $anchors = [[
+            'viewport' => $min_viewport,
+            'baseSpace' => (int) ($settings['minBasespace'] ?? 0),
+            'scale' => (float) ($settings['minScale'] ?? 0),
+        ]];
+        foreach ($inner as $index => $anchor) {
+            if ($index === 0 || $anchor['viewport'] !== $inner[$index - 1]['viewport']) {
+                $anchors[] = $anchor;
+            }
+        }
+        $anchors[] = [
+            'viewport' => $max_viewport,
+            'baseSpace' => (int) ($settings['maxBasespace'] ?? 0),
+            'scale' => (float) ($settings['maxScale'] ?? 0),
+        ];
+
+        return $anchors;
+    }
+
+    /**
+     * Get settings for one segment between two neighbouring anchors - mirrors Calculations.getSegmentSettings()
+     *
+     * @param array $settings Settings array
+     * @param int $index Segment index (0 = first anchor to second)
+     * @return array Settings for the segment, without breakpoints
+     */
+    public static function get_segment_settings($settings, $index)
+    {
+        $anchors = self::get_anchors($settings);
+        $from = $anchors[$index];
+        $to = $anchors[$index + 1];
+
+        return array_merge($settings, [
+            'minViewport' => $from['viewport'],
+            'minBasespace' => $from['baseSpace'],
+            'minScale' => $from['scale'],
+            'maxViewport' => $to['viewport'],
+            'maxBasespace' => $to['baseSpace'],
+            'maxScale' => $to['scale'],
+            'breakpoints' => [],
+            'pinMin' => $index === 0,
+            'pinMax' => $index === count($anchors) - 2,
+        ]);
+    }
+
+    /**
+     * Calculate a size at every anchor viewport - mirrors Calculations.calculateAnchorValues()
+     *
+     * @param int $size_id ID of the size to calculate
+     * @param array $sizes Sizes array the size belongs to
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return array ['viewport' => px, 'value' => px] entries, ascending viewports
+     */
+    public static function calculate_anchor_values($size_id, $sizes, $settings, $base_id = 3)
+    {
+        $anchors = self::get_anchors($settings);
+        $last = count($anchors) - 1;
+
+        $points = [];
+        foreach ($anchors as $index => $anchor) {
+            $segment = self::get_segment_settings($settings, min($index, $last - 1));
+            $calc = self::calculate_space_size($size_id, $sizes, $segment, $base_id);
+            $points[] = [
+                'viewport' => $anchor['viewport'],
+                'value' => $index === $last ? $calc['max'] : $calc['min'],
+            ];
+        }
+
+        return $points;
+    }
+
+    // ========================================================================
+    // PUBLIC API - SPACE CALCULATIONS
+    // ========================================================================
+
+    /**
+     * Calculate space size based on position relative to base
+     *
+     * Mirrors Calculations.calculateSpaceSize(): by default size = base * scale^steps,
+     * where steps is the distance from the base row in the sizes array; the
+     * scaleGenerator setting selects another progression.
+     * A size entry with its own min and/or max (pixels) is pinned to them,
+     * unless pinMin / pinMax is false (inner piecewise segments).
+     *
+     * @param int $size_id ID of the size to calculate
+     * @param array $sizes Sizes array the size belongs to
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return array ['min' => px, 'max' => px]
+     */
+    public static function calculate_space_size($size_id, $sizes, $settings, $base_id = 3)
+    {
+        $base_index = self::find_size_index($sizes, $base_id);
+        $current_index = self::find_size_index($sizes, $size_id);
+
+        if ($base_index === -1 || $current_index === -1) {
+            return self::get_fallback_values();
+        }
+
+        // parseFloat() semantics: non-numeric ratios abort the calculation
+        if (!is_numeric($settings['minScale'] ?? null) || !is_numeric($settings['maxScale'] ?? null)) {
+            return self::get_fallback_values();
+        }
+
+        $min_scale = (float) $settings['minScale'];
+        $max_scale = (float) $settings['maxScale'];
+        $base_min_space = (int) ($settings['minBasespace'] ?? 0);
+        $base_max_space = (int) ($settings['maxBasespace'] ?? 0);
+
+        $size = array_values($sizes)[$current_index];
+
+        return [
+            'min' => ($settings['pinMin'] ?? true) !== false && self::is_pinned_value($size['min'] ?? null)
+                ? (float) $size['min']
+                : self::generate_step_value($base_min_space, $min_scale, $current_index, $base_index, $settings),
+            'max' => ($settings['pinMax'] ?? true) !== false && self::is_pinned_value($size['max'] ?? null)
+                ? (float) $size['max']
+                : self::generate_step_value($base_max_space, $max_scale, $current_index, $base_index, $settings),
+        ];
+    }
+
+    /**
+     * Generate one end of a size with the selected scale generator - mirrors _generateStepValue()
+     *
+     * @param int $base_space Base space at this viewport end (px)
+     * @param float $scale Ratio at this viewport end
+     * @param int $current_index Row index of the size
+     * @param int $base_index Row index of the base size
+     * @param array $settings Settings array with scaleGenerator, gridUnit and customMultipliers
+     * @return float Size in pixels
+     */
+    private static function generate_step_value($base_space, $scale, $current_index, $base_index, $settings)
+    {
+        // Calculate steps from base (negative = smaller, positive = larger)
+        $steps = $current_index - $base_index;
+
+        switch ($settings['scaleGenerator'] ?? 'ratio') {
+            case 'linear':
+                return self::js_round($base_space * ($current_index + 1) / ($base_index + 1));
+
+            case 'fibonacci':
+                return self::js_round($base_space * self::fibonacci($current_index + 1) / self::fibonacci($base_index + 1));
+
+            case 'grid':
+                $unit = in_array((int) ($settings['gridUnit'] ?? 0), FluidSpaceForge::GRID_UNITS, true)
+                    ? (int) $settings['gridUnit']
+                    : FluidSpaceForge::DEFAULT_GRID_UNIT;
+                $base = max($unit, self::js_round($base_space / $unit) * $unit);
+                return max($unit, $base + $steps * $unit);
+
+            case 'custom':
+                $multipliers = isset($settings['customMultipliers']) && is_array($settings['customMultipliers'])
+                    ? $settings['customMultipliers']
+                    : [];
+                if (isset($multipliers[$current_index]) && self::is_pinned_value($multipliers[$current_index])) {
+                    $reference = isset($multipliers[$base_index]) && (float) $multipliers[$base_index] > 0
+                        ? (float) $multipliers[$base_index]
+                        : 1;
+                    return self::js_round($base_space * (float) $multipliers[$current_index] / $reference);
+                }
+                // Rows past the end of the list keep the ratio scale
+                break;
+        }
+
+        return self::js_round($base_space * pow($scale, $steps));
+    }
+
+    /**
+     * Nth term of the 1, 2, 3, 5, 8... sequence - mirrors _fibonacci()
+     *
+     * @param int $position 1-based position
+     * @return int Sequence value
+     */
+    private static function fibonacci($position)
+    {
+        $previous = 1;
+        $current = 1;
+        for ($i = 0; $i < $position; $i++) {
+            list($previous, $current) = [$current, $previous + $current];
+        }
+
+        return $previous;
+    }
+
+    /**
+     * Check whether a size field holds a pinned pixel value - mirrors isPinnedValue()
+     *
+     * @param mixed $value Size entry min or max field
+     * @return bool True for a finite, non-negative number
+     */
+    public static function is_pinned_value($value)
+    {
+        return is_numeric($value) && is_finite((float) $value) && (float) $value >= 0;
+    }
+
+    /**
+     * Calculate a space pair - mirrors Calculations.calculateSpacePair()
+     *
+     * A pair runs from one size's min value to another size's max value,
+     * e.g. sm-xl grows from the sm minimum to the xl maximum.
+     *
+     * @param int $from_id ID of the size providing the min value
+     * @param int $to_id ID of the size providing the max value
+     * @param array $sizes Sizes array both sizes belong to
+     * @param array $settings Settings array
+     * @param int $base_id ID of the base reference size
+     * @return array ['min' => px, 'max' => px]
+     */
+    public static function calculate_space_pair($from_id, $to_id, $sizes, $settings, $base_id = 3)
+    {
+        $from = self::calculate_space_size($from_id, $sizes, $settings, $base_id);
+        $to = self::calculate_space_size($to_id, $sizes, $settings, $base_id);
+
+        return ['min' => $from['min'], 'max' => $to['max']];
+    }
+
+    /**
+     * Resolve the configured space pairs - mirrors getSpacePairs()
+     *
+     * Automatic one-up pairs (each size with the next) come first, then the
+     * chosen pairs. Pairs naming a size that no longer exists are skipped.
+     *
+     * @param array $sizes Variable sizes array
+     * @param array $settings Settings array with spacePairsAuto and spacePairs
+     * @return array Pairs as ['from' => size, 'to' => size], without duplicates
+     */
+    public static function get_space_pairs($sizes, $settings)
+    {
+        $candidates = [];
+        if (!empty($settings['spacePairsAuto'])) {
+            for ($index = 0; $index < count($sizes) - 1; $index++) {
+                $candidates[] = ['from' => $sizes[$index]['id'] ?? 0, 'to' => $sizes[$index + 1]['id'] ?? 0];
+            }
+        }
+        if (isset($settings['spacePairs']) && is_array($settings['spacePairs'])) {
+            foreach ($settings['spacePairs'] as $pair) {
+                if (is_array($pair) && isset($pair['from'], $pair['to'])) {
+                    $candidates[] = ['from' => (int) $pair['from'], 'to' => (int) $pair['to']];
+                }
+            }
+        }
+
+        $pairs = [];
+        $seen = [];
+        foreach ($candidates as $candidate) {
+            $from_index = self::find_size_index($sizes, $candidate['from']);
+            $to_index = self::find_size_index($sizes, $candidate['to']);
+            $key = $candidate['from'] . ':' . $candidate['to'];
+            if ($from_index === -1 || $to_index === -1 || $from_index === $to_index || isset($seen[$key])) {
+                continue;
+            }
+            $seen[$key] = true;
+            $pairs[] = ['from' => $sizes[$from_index], 'to' => $sizes[$to_index]];
+        }
+
+        return $pairs;
+    }
+
+    // ========================================================================
+    // PUBLIC API - JAVASCRIPT-COMPATIBLE NUMBER FORMATTING
+    // ========================================================================
+
+    /**
+     * Math.round() equivalent - halves round towards +Infinity
+     *
+     * PHP's round() rounds halves away from zero, which differs for
+     * negative values such as -2.5.
+     *
+     * @param float $value Value to round
+     * @return float Rounded value
+     */
+    public static function js_round($value)
+    {
+        return floor($value + 0.5);
+    }
+
+    /**
+     * Number.prototype.toFixed() equivalent
+     *
+     * Rounds the exact binary value and picks the larger candidate on a
+     * tie, so 0.0625 becomes "0.063" as in the browser. sprintf() alone
+     * is not used because its tie-breaking is platform dependent.
+     *
+     * @param float $value Value to format
+     * @param int $digits Digits after the decimal point
+     * @return string Fixed-point representation
+     */
+    public static function js_to_fixed($value, $digits)
+    {
+        $value = (float) $value;
+        $sign = $value < 0 ? '-' : '';
+
+        // 40 places is far beyond the closest a double in this range can
+        // sit to a rounding tie without being one
+        list($integer, $fraction) = explode('.', sprintf('%.40F', abs($value)));
+
+        $kept = $integer . substr($fraction, 0, $digits);
+        if ($fraction[$digits] >= '5') {
+            $kept = self::increment_digits($kept);
+        }
+
+        $integer_length = strlen($kept) - $digits;
+        $result = substr($kept, 0, $integer_length);
+        if ($digits > 0) {
+            $result .= '.' . substr($kept, $integer_length);
+        }
+
+        return $sign . $result;
+    }
+
+    /**
+     * Number-to-string conversion equivalent (String(value) in JavaScript)
+     *
+     * Produces the shortest digit string that round-trips, laid out with
+     * the same fixed/exponential rules as the browser.
+     *
+     * @param float $value Value to convert
+     * @return string JavaScript string representation
+     */
+    public static function js_number($value)
+    {
+        $value = (float) $value;
+
+        if (is_nan($value)) {
+            return 'NaN';
+        }
+        if (is_infinite($value)) {
+            return $value > 0 ? 'Infinity' : '-Infinity';
+        }
+        if ($value == 0) {
+            return '0'; // Also covers -0
+        }
+
+        $sign = $value < 0 ? '-' : '';
+        $abs = abs($value);
+
+        // Shortest precision that reads back as the same double
+        for ($precision = 0; $precision < 17; $precision++) {
+            $scientific = sprintf('%.' . $precision . 'e', $abs);
+            if ((float) $scientific === $abs) {
+                break;
+            }
+        }
+
+        list($mantissa, $exponent) = explode('e', $scientific);
+        $digits = rtrim(str_replace('.', '', $mantissa), '0');
+        $count = strlen($digits);
+        $point = (int) $exponent + 1;
+
+        if ($count <= $point && $point <= 21) {
+            return $sign . $digits . str_repeat('0', $point - $count);
+        }
+        if (0 < $point && $point <= 21) {
+            return $sign . substr($digits, 0, $point) . '.' . substr($digits, $point);
+        }
+        if (-6 < $point && $point <= 0) {
+            return $sign . '0.' . str_repeat('0', -$point) . $digits;
+        }
+
+        $exponent_value = $point - 1;
+        $exponent_string = ($exponent_value >= 0 ? '+' : '-') . abs($exponent_value);
+        $mantissa_string = $count === 1 ? $digits : $digits[0] . '.' . substr($digits, 1);
+
+        return $sign . $mantissa_string . 'e' . $exponent_string;
+    }
+
+    /**
+     * Serialize like JSON.stringify(value, null, 2)
+     *
+     * json_encode() differs from the browser in indentation and float
+     * output (8.0 vs 8), so numbers go through js_number() instead.
+     * Sequential arrays become JSON arrays, all other arrays objects.
+     *
+     * @param mixed $value Value to serialize
+     * @param string $indent Current indentation
+     * @return string JSON text
+     */
+    public static function js_json_stringify($value, $indent = '')
+    {
+        if (is_bool($value)) {
+            return $value ? 'true' : 'false';
+        }
+        if (is_int($value) || is_float($value)) {
+            return is_finite((float) $value) ? self::js_number($value) : 'null';
+        }
+        if (!is_array($value)) {
+            return $value === null ? 'null' : wp_json_encode((string) $value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_LINE_TERMINATORS);
+        }
+        if (empty($value)) {
+            return '[]';
+        }
+
+        $inner = $indent . '  ';
+        $is_list = array_keys($value) === range(0, count($value) - 1);
+        $items = [];
+        foreach ($value as $key => $item) {
+            $prefix = $is_list ? '' : self::js_json_stringify((string) $key) . ': ';
+            $items[] = $inner . $prefix . self::js_json_stringify($item, $inner);
+        }
+
+        return ($is_list ? '[' : '{') . "\n" . implode(",\n", $items) . "\n" . $indent . ($is_list ? ']' : '}');
+    }
+
+    // ========================================================================
+    // PRIVATE - HELPERS
+    // ========================================================================
+
+    /**
+     * Calculate a size and return its clamp() (or piecewise calc()) function - mirrors getSizeClamp()
+     */
+    private static function get_size_clamp($size, $sizes, $settings, $base_id)
+    {
+        return self::generate_piecewise_function(
+            self::calculate_anchor_values($size['id'] ?? 0, $sizes, $settings, $base_id),
+            $settings['unitType'],
+            $settings
+        );
+    }
+
+    /**
+     * Get the bare variable name used inside a pair name - mirrors getPairKey()
+     *
+     * Strips a full '--prefix-' name down to its suffix so pairs read
+     * --sp-sm-xl rather than --sp---sp-sm-xl.
+     */
+    private static function get_pair_key($size, $prefix)
+    {
+        $name = $size['variableName'] ?? '';
+        if (strpos($name, '--') === 0) {
+            $name = substr($name, 2);
+            if (strpos($name, $prefix . '-') === 0) {
+                $name = substr($name, strlen($prefix) + 1);
+            }
+        }
+
+        return $name;
+    }
+
+    /**
+     * Find array position of a size by ID (Array.findIndex equivalent)
+     */
+    private static function find_size_index($sizes, $size_id)
+    {
+        foreach (array_values($sizes) as $index => $size) {
+            if (isset($size['id']) && (int) $size['id'] === (int) $size_id) {
+                return $index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Get fallback values for error cases - mirrors _getFallbackValues()
+     */
+    private static function get_fallback_values()
+    {
+        return ['min' => 8, 'max' => 12];
+    }
+
+    /**
+     * Add one to a string of decimal digits ("0999" becomes "1000")
+     */
+    private static function increment_digits($digits)
+    {
+        $position = strlen($digits) - 1;
+        while ($position >= 0 && $digits[$position] === '9') {
+            $digits[$position] = '0';
+            $position--;
+        }
+
+        if ($position < 0) {
+            return '1' . $digits;
+        }
+
+        $digits[$position] = (string) ((int) $digits[$position] + 1);
+        return $digits;
+    }
+
+    /**
+     * Format pixel value with appropriate units - mirrors _formatValue()
+     */
+    private static function format_value($px_value, $unit_type, $format = [])
+    {
+        if ($unit_type === 'rem') {
+            return self::format_rem($px_value, $format) . 'rem';
+        }
+        return self::js_number($px_value) . 'px';
+    }
+
+    /**
+     * Format preferred value for clamp() function - mirrors _formatPreferredValue()
+     */
+    private static function format_preferred_value($constant, $coefficient, $unit_type, $format = [])
+    {
+        $options = self::get_format_options($format);
+        $coefficient_formatted = self::js_to_fixed($coefficient, $options['coefficientPrecision']) . $options['fluidUnit'];
+
+        if ($constant == 0) {
+            return $coefficient_formatted;
+        }
+
+        return 'calc(' . self::format_value($constant, $unit_type, $format) . ' + ' . $coefficient_formatted . ')';
+    }
+
+    /**
+     * Format CSS for class tab - mirrors formatClassCSS()
+     */
+    private static function format_class_css($suffix, $clamp, $prefix, $properties, $companions = [])
+    {
+        $declarations = [];
+        foreach ($properties as $property) {
+            $declarations[] = "  {$property}: {$clamp};";
+        }
+        $rules = [".{$prefix}-{$suffix} {\n" . implode("\n", $declarations) . "\n}"];
+
+        foreach ($companions as $companion) {
+            $class = str_replace(['{prefix}', '{size}'], [$prefix, $suffix], $companion['pattern']);
+            $rules[] = ".{$class} {\n  {$companion['property']}: {$clamp};\n}";
+        }
+
+        return implode("\n\n", $rules);
+    }
+
+    /**
+     * Format CSS for variables tab - mirrors formatVariableCSS()
+     */
+    private static function format_variable_css($variable_name, $clamp, $prefix)
+    {
+        $formatted_name = $variable_name;
+        if (strpos($formatted_name, '--') !== 0) {
+            $formatted_name = "--{$prefix}-{$formatted_name}";
+        }
+        return "  {$formatted_name}: {$clamp};";
+    }
+
+    /**
+     * Format CSS for utilities tab - mirrors formatUtilityCSS()
+     */
+    private static function format_utility_css($suffix, $clamp, $families, $negative = false)
+    {
+        $formatted = [];
+        foreach ($families as $family => $definition) {
+            $formatted[$family] = self::format_utility_rules($definition, $suffix, '', $clamp);
+            if ($negative && !empty($definition['negative'])) {
+                $formatted[$family] = array_merge(
+                    $formatted[$family],
+                    self::format_utility_rules($definition, $suffix, '-', "calc(-1 * {$clamp})")
+                );
+            }
+        }
+
+        return $formatted;
+    }
+
+    /**
+     * Format one rule per variant of a utility family - mirrors formatUtilityRules()
+     */
+    private static function format_utility_rules($definition, $suffix, $class_prefix, $value)
+    {
+        $rules = [];
+        foreach ($definition['variants'] as $variant) {
+            $class = str_replace(['{variant}', '{size}'], [$variant['token'], $suffix], $definition['pattern']);
+            $declarations = [];
+            foreach ($variant['properties'] as $property) {
+                $declarations[] = "{$property}: {$value};";
+            }
+            $rules[] = ".{$class_prefix}{$class} { " . implode(' ', $declarations) . ' }';
+        }
+
+        return $rules;
+    }
+}
@@ -0,0 +1,233 @@
+<?php
+
+/**
+ * WP-CLI Presets Command
+ *
+ * `wp fluid-space presets` - list, create, rename and delete named presets,
+ * load one for editing and choose the one the site renders. The other
+ * `wp fluid-space` commands work on the preset being edited.
+ *
+ * @package FluidSpaceForge
+ * @subpackage Includes
+ * @since 1.3.0
+ */
+
+namespace JimRForge\FluidSpaceForge;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manage named presets, each with its own settings and sizes.
+ */
+class PresetsCliCommand
+{
+    /**
+     * @var FluidSpaceForge
+     */
+    private $plugin;
+
+    /**
+     * @param FluidSpaceForge $plugin Plugin instance providing data access
+     */
+    public function __construct(FluidSpaceForge $plugin)
+    {
+        $this->plugin = $plugin;
+    }
+
+    /**
+     * List presets.
+     *
+     * The editing column marks the preset the admin and the other
+     * commands work on; the live column marks the one the site renders.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space presets list
+     *
+     * @subcommand list
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function list_($args, $assoc_args)
+    {
+        $store = $this->plugin->get_presets();
+
+        $items = [];
+        foreach ($store['presets'] as $preset) {
+            $items[] = [
+                'id' => $preset['id'],
+                'name' => $preset['name'],
+                'editing' => (int) $preset['id'] === (int) $store['editing'] ? 'yes' : '',
+                'live' => (int) $preset['id'] === (int) $store['active'] ? 'yes' : '',
+                'sizes' => count($preset['classSizes'] ?? []) . '/' . count($preset['variableSizes'] ?? []) . '/' . count($preset['utilitySizes'] ?? []),
+            ];
+        }
+
+        \WP_CLI\Utils\format_items($assoc_args['format'] ?? 'table', $items, ['id', 'name', 'editing', 'live', 'sizes']);
+    }
+
+    /**
+     * Create a preset from the default scale, or copy an existing one.
+     *
+     * ## OPTIONS
+     *
+     * <name>
+     * : Preset name.
+     *
+     * [--from=<id>]
+     * : Copy this preset instead of starting from the defaults.
+     *
+     * [--edit]
+     * : Load the new preset for editing.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space presets create Marketing
+     *     wp fluid-space presets create Docs --from=1 --edit
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function create($args, $assoc_args)
+    {
+        $from = isset($assoc_args['from']) ? absint($assoc_args['from']) : null;
+        $preset = $this->check($this->plugin->create_preset($args[0], $from));
+
+        if (!empty($assoc_args['edit'])) {
+            $this->check($this->plugin->switch_preset($preset['id']));
+        }
+
+        \WP_CLI::success("Created preset '{$preset['name']}' (id {$preset['id']}).");
+    }
+
+    /**
+     * Rename a preset.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Preset ID from `wp fluid-space presets list`.
+     *
+     * <name>
+     * : New name.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space presets rename 2 "App UI"
+     *
+     * @param array $args Positional arguments
+     */
+    public function rename($args)
+    {
+        $preset = $this->check($this->plugin->rename_preset(absint($args[0]), $args[1]));
+
+        \WP_CLI::success("Renamed preset {$preset['id']} to '{$preset['name']}'.");
+    }
+
+    /**
+     * Delete a preset.
+     *
+     * Deleting the preset being edited loads the live preset (or the first
+     * other preset) in its place. The last preset cannot be deleted.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Preset ID.
+     *
+     * [--yes]
+     * : Skip the confirmation.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space presets delete 3 --yes
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function delete($args, $assoc_args)
+    {
+        \WP_CLI::confirm("Delete preset {$args[0]} with its settings and sizes?", $assoc_args);
+
+        $preset = $this->check($this->plugin->delete_preset(absint($args[0])));
+
+        \WP_CLI::success("Deleted preset '{$preset['name']}'.");
+    }
+
+    /**
+     * Load a preset for editing.
+     *
+     * The admin and the other `wp fluid-space` commands then work on it.
+     * The site keeps rendering the live preset.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Preset ID.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space presets edit 2
+     *
+     * @param array $args Positional arguments
+     */
+    public function edit($args)
+    {
+        $preset = $this->check($this->plugin->switch_preset(absint($args[0])));
+
+        \WP_CLI::success("Editing preset '{$preset['name']}'.");
+    }
+
+    /**
+     * Make a preset live on the site.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Preset ID.
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space presets activate 2
+     *
+     * @param array $args Positional arguments
+     */
+    public function activate($args)
+    {
+        $preset = $this->check($this->plugin->activate_preset(absint($args[0])));
+
+        \WP_CLI::success("Preset '{$preset['name']}' is now live.");
+    }
+
+    /**
+     * Stop with the error message when an operation failed
+     *
+     * @param array|\WP_Error $result Preset, or an error
+     * @return array Preset
+     */
+    private function check($result)
+    {
+        if (is_wp_error($result)) {
+            \WP_CLI::error($result->get_error_message());
+        }
+
+        return $result;
+    }
+}
@@ -0,0 +1,216 @@
+<?php
+
+/**
+ * REST Controller
+ *
+ * Versioned REST API for reading and writing the spacing scale without
+ * the admin page. Every write goes through FluidSpaceForge::save_data(),
+ * so the same sanitizers as the AJAX save apply and the cached front-end
+ * stylesheet is rebuilt.
+ *
+ * Routes (namespace fluid-space-forge/v1, all require manage_options):
+ * - GET|PUT /settings
+ * - GET|PUT /sizes/{classSizes|variableSizes|utilitySizes}
+ * - GET     /css?format={class|vars|utils}&output={css|tokens|tailwind-v3|tailwind-v4|scss|less}
+ *
+ * @package FluidSpaceForge
+ * @subpackage Includes
+ * @since 1.3.0
+ */
+
+namespace JimRForge\FluidSpaceForge;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * REST route registration and callbacks
+ */
+class RestController
+{
+    const REST_NAMESPACE = 'fluid-space-forge/v1';
+
+    // Size List Mapping
+    // Maps the public list names (same keys as the AJAX payload) to tab types
+    const SIZE_LISTS = [
+        'classSizes' => 'class',
+        'variableSizes' => 'vars',
+        'utilitySizes' => 'utils'
+    ];
+
+    /**
+     * @var FluidSpaceForge
+     */
+    private $plugin;
+
+    /**
+     * @param FluidSpaceForge $plugin Plugin instance providing data access
+     */
+    public function __construct(FluidSpaceForge $plugin)
+    {
+        $this->plugin = $plugin;
+    }
+
+    // ========================================================================
+    // ROUTE REGISTRATION
+    // ========================================================================
+
+    /**
+     * Register all routes - called on rest_api_init
+     */
+    public function register_routes()
+    {
+        register_rest_route(self::REST_NAMESPACE, '/settings', [
+            [
+                'methods' => \WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_settings'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods' => \WP_REST_Server::EDITABLE,
+                'callback' => [$this, 'update_settings'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/sizes/(?P<list>' . implode('|', array_keys(self::SIZE_LISTS)) . ')', [
+            [
+                'methods' => \WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_sizes'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods' => \WP_REST_Server::EDITABLE,
+                'callback' => [$this, 'update_sizes'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/css', [
+            'methods' => \WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_css'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args' => [
+                'format' => [
+                    'description' => 'Output format: class, vars, or utils',
+                    'type' => 'string',
+                    'enum' => FluidSpaceForge::VALID_TABS,
+                    'default' => 'class',
+                ],
+                'output' => [
+                    'description' => 'Output syntax: css, tokens (DTCG JSON), scss, less, tailwind-v3 or tailwind-v4 (always from utilitySizes)',
+                    'type' => 'string',
+                    'enum' => FluidSpaceForge::OUTPUT_FORMATS,
+                    'default' => 'css',
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Restrict every route to administrators
+     *
+     * @return true|\WP_Error
+     */
+    public function check_permission()
+    {
+        if (current_user_can('manage_options')) {
+            return true;
+        }
+
+        return new \WP_Error(
+            'rest_forbidden',
+            'Insufficient permissions',
+            ['status' => rest_authorization_required_code()]
+        );
+    }
+
+    // ========================================================================
+    // CALLBACKS
+    // ========================================================================
+
+    /**
+     * GET /settings
+     *
+     * @return \WP_REST_Response Complete settings object
+     */
+    public function get_settings()
+    {
+        return rest_ensure_response($this->plugin->get_fluispfo_settings());
+    }
+
+    /**
+     * PUT /settings - partial update, fields not sent are preserved
+     *
+     * The merged settings are validated before anything is stored.
+     *
+     * @param \WP_REST_Request $request Request with a JSON object body
+     * @return \WP_REST_Response|\WP_Error Complete settings after the save, or a 400 error
+     */
+    public function update_settings($request)
+    {
+        $body = $request->get_json_params();
+        if (!is_array($body) || (!empty($body) && wp_is_numeric_array($body))) {
+            return new \WP_Error('fluispfo_invalid_settings', 'Request body must be a JSON object of settings', ['status' => 400]);
+        }
+
+        $result = $this->plugin->save_data($body);
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        return rest_ensure_response($result['settings']);
+    }
+
+    /**
+     * GET /sizes/{list}
+     *
+     * @param \WP_REST_Request $request Request with the list route parameter
+     * @return \WP_REST_Response Sizes array
+     */
+    public function get_sizes($request)
+    {
+        $type = self::SIZE_LISTS[$request['list']];
+
+        return rest_ensure_response($this->plugin->get_sizes_by_type($type));
+    }
+
+    /**
+     * PUT /sizes/{list} - replaces the whole list
+     *
+     * @param \WP_REST_Request $request Request with a JSON array body
+     * @return \WP_REST_Response|\WP_Error Sanitized sizes array as stored
+     */
+    public function update_sizes($request)
+    {
+        $body = $request->get_json_params();
+        if (!is_array($body) || !wp_is_numeric_array($body)) {
+            return new \WP_Error('fluispfo_invalid_sizes', 'Request body must be a JSON array of sizes', ['status' => 400]);
+        }
+
+        $type = self::SIZE_LISTS[$request['list']];
+        $result = $this->plugin->save_data(null, [$type => $body]);
+
+        return rest_ensure_response($result['sizes'][$type]);
+    }
+
+    /**
+     * GET /css
+     *
+     * @param \WP_REST_Request $request Request with the format and output arguments
+     * @return \WP_REST_Response Object with format, output and css keys
+     */
+    public function get_css($request)
+    {
+        $format = $request['format'];
+        $output = $request['output'];
+
+        return rest_ensure_response([
+            'format' => $format,
+            'output' => $output,
+            'css' => $this->plugin->get_output($format, $output),
+        ]);
+    }
+}
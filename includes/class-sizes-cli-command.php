@@ -0,0 +1,325 @@
+<?php
+
+/**
+ * WP-CLI Sizes Command
+ *
+ * `wp fluid-space sizes` - list, add, remove and reorder the entries of
+ * one sizes list. Writes go through FluidSpaceForge::save_data(), the
+ * same path as the admin save.
+ *
+ * @package FluidSpaceForge
+ * @subpackage Includes
+ * @since 1.3.0
+ */
+
+namespace JimRForge\FluidSpaceForge;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manage the sizes lists behind the Classes, Variables and Utilities tabs.
+ */
+class SizesCliCommand
+{
+    /**
+     * @var FluidSpaceForge
+     */
+    private $plugin;
+
+    /**
+     * @param FluidSpaceForge $plugin Plugin instance providing data access
+     */
+    public function __construct(FluidSpaceForge $plugin)
+    {
+        $this->plugin = $plugin;
+    }
+
+    /**
+     * List sizes with their computed values.
+     *
+     * The pinned column names the ends (min, max) set in the edit modal
+     * instead of computed from the scale.
+     *
+     * ## OPTIONS
+     *
+     * [--type=<type>]
+     * : Sizes list.
+     * ---
+     * default: class
+     * options:
+     *   - class
+     *   - vars
+     *   - utils
+     * ---
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space sizes list --type=vars
+     *
+     * @subcommand list
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function list_($args, $assoc_args)
+    {
+        $type = $this->get_type($assoc_args);
+        $sizes = $this->plugin->get_sizes_by_type($type);
+        $settings = $this->plugin->get_fluispfo_settings();
+        $base_id = $this->get_base_id($type);
+
+        $items = [];
+        foreach ($sizes as $size) {
+            $values = CssGenerator::calculate_space_size($size['id'], $sizes, $settings, $base_id);
+            $items[] = [
+                'id' => $size['id'],
+                'name' => $this->get_name($size, $type),
+                'base' => $size['id'] === $base_id ? 'yes' : '',
+                'pinned' => implode(',', array_filter(['min', 'max'], function ($end) use ($size) {
+                    return CssGenerator::is_pinned_value($size[$end] ?? null);
+                })),
+                'min' => $values['min'],
+                'max' => $values['max'],
+                'clamp' => CssGenerator::generate_piecewise_function(
+                    CssGenerator::calculate_anchor_values($size['id'], $sizes, $settings, $base_id),
+                    $settings['unitType'],
+                    $settings
+                ),
+            ];
+        }
+
+        \WP_CLI\Utils\format_items($assoc_args['format'] ?? 'table', $items, ['id', 'name', 'base', 'pinned', 'min', 'max', 'clamp']);
+    }
+
+    /**
+     * Add a size.
+     *
+     * ## OPTIONS
+     *
+     * <name>
+     * : Size name, e.g. xxxl. Letters, numbers, hyphens and underscores.
+     *
+     * [--type=<type>]
+     * : Sizes list.
+     * ---
+     * default: class
+     * options:
+     *   - class
+     *   - vars
+     *   - utils
+     * ---
+     *
+     * [--after=<name>]
+     * : Insert after this size instead of at the end (the largest position).
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space sizes add xxxl
+     *     wp fluid-space sizes add md-plus --after=md --type=utils
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function add($args, $assoc_args)
+    {
+        $type = $this->get_type($assoc_args);
+        $name = $args[0];
+        $sizes = $this->plugin->get_sizes_by_type($type);
+
+        if (!preg_match('/^[A-Za-z0-9_-]+$/', $name)) {
+            \WP_CLI::error('Size names may only contain letters, numbers, hyphens and underscores.');
+        }
+        if ($this->find_index($sizes, $name, $type) !== -1) {
+            \WP_CLI::error("Size '{$name}' already exists.");
+        }
+
+        $next_id = empty($sizes) ? 1 : max(array_column($sizes, 'id')) + 1;
+        $entry = [
+            'id' => $next_id,
+            FluidSpaceForge::SIZE_TYPE_PROPERTY_NAMES[$type] => $name,
+        ];
+
+        $position = count($sizes);
+        if (isset($assoc_args['after'])) {
+            $after = $this->find_index($sizes, $assoc_args['after'], $type);
+            if ($after === -1) {
+                \WP_CLI::error("Size '{$assoc_args['after']}' not found.");
+            }
+            $position = $after + 1;
+        }
+
+        array_splice($sizes, $position, 0, [$entry]);
+        $this->plugin->save_data(null, [$type => $sizes]);
+
+        \WP_CLI::success("Added '{$name}' (id {$next_id}).");
+    }
+
+    /**
+     * Remove a size.
+     *
+     * ## OPTIONS
+     *
+     * <name>
+     * : Size name.
+     *
+     * [--type=<type>]
+     * : Sizes list.
+     * ---
+     * default: class
+     * options:
+     *   - class
+     *   - vars
+     *   - utils
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space sizes remove xxl --type=vars
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function remove($args, $assoc_args)
+    {
+        $type = $this->get_type($assoc_args);
+        $name = $args[0];
+        $sizes = $this->plugin->get_sizes_by_type($type);
+
+        $index = $this->find_index($sizes, $name, $type);
+        if ($index === -1) {
+            \WP_CLI::error("Size '{$name}' not found.");
+        }
+
+        // Every other size is scaled from the base, so it cannot disappear
+        if ($sizes[$index]['id'] === $this->get_base_id($type)) {
+            \WP_CLI::error("'{$name}' is the base size. Select a different base before removing it.");
+        }
+
+        array_splice($sizes, $index, 1);
+        $this->plugin->save_data(null, [$type => $sizes]);
+
+        \WP_CLI::success("Removed '{$name}'.");
+    }
+
+    /**
+     * Reorder sizes, smallest first.
+     *
+     * ## OPTIONS
+     *
+     * <name>...
+     * : Every size name in the new order.
+     *
+     * [--type=<type>]
+     * : Sizes list.
+     * ---
+     * default: class
+     * options:
+     *   - class
+     *   - vars
+     *   - utils
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp fluid-space sizes reorder xs sm md lg xl xxl
+     *
+     * @param array $args Positional arguments
+     * @param array $assoc_args Associative arguments
+     */
+    public function reorder($args, $assoc_args)
+    {
+        $type = $this->get_type($assoc_args);
+        $sizes = $this->plugin->get_sizes_by_type($type);
+
+        if (count($args) !== count($sizes) || count(array_unique($args)) !== count($args)) {
+            \WP_CLI::error('List every size name exactly once (' . count($sizes) . ' expected).');
+        }
+
+        $reordered = [];
+        foreach ($args as $name) {
+            $index = $this->find_index($sizes, $name, $type);
+            if ($index === -1) {
+                \WP_CLI::error("Size '{$name}' not found.");
+            }
+            $reordered[] = $sizes[$index];
+        }
+
+        $this->plugin->save_data(null, [$type => $reordered]);
+
+        \WP_CLI::success('Reordered ' . count($reordered) . ' sizes.');
+    }
+
+    /**
+     * Read and validate the --type flag
+     *
+     * @param array $assoc_args Associative arguments
+     * @return string Size type: 'class', 'vars', or 'utils'
+     */
+    private function get_type($assoc_args)
+    {
+        $type = $assoc_args['type'] ?? 'class';
+        if (!in_array($type, FluidSpaceForge::VALID_TABS, true)) {
+            \WP_CLI::error("Invalid type '{$type}'. Use class, vars, or utils.");
+        }
+
+        return $type;
+    }
+
+    /**
+     * Get the selected base size ID for a type
+     *
+     * @param string $type Size type
+     * @return int Base size ID
+     */
+    private function get_base_id($type)
+    {
+        $settings = $this->plugin->get_fluispfo_settings();
+
+        return absint($settings[FluidSpaceForge::SIZE_TYPE_BASE_ID_KEYS[$type]] ?? 3);
+    }
+
+    /**
+     * Get a size's name from the property used by its type
+     *
+     * @param array $size Size entry
+     * @param string $type Size type
+     * @return string Size name
+     */
+    private function get_name($size, $type)
+    {
+        return (string) ($size[FluidSpaceForge::SIZE_TYPE_PROPERTY_NAMES[$type]] ?? '');
+    }
+
+    /**
+     * Find a size by name
+     *
+     * @param array $sizes Sizes array
+     * @param string $name Size name
+     * @param string $type Size type
+     * @return int Array index, or -1 when not found
+     */
+    private function find_index($sizes, $name, $type)
+    {
+        foreach ($sizes as $index => $size) {
+            if ($this->get_name($size, $type) === $name) {
+                return $index;
+            }
+        }
+
+        return -1;
+    }
+}
@@ -3,7 +3,9 @@
 /**
  * Autosave Controls Template
  * 
- * Displays the autosave toggle, manual save button, and status indicator.
+ * Displays the autosave toggle, manual save button, status indicator,
+ * the configuration export/import buttons, and undo/redo with the edit
+ * history list.
  * 
  * @package FluidSpaceForge
  * @subpackage Templates/Admin
@@ -29,6 +31,23 @@ if (!defined('ABSPATH')) {
                 <button id="save-btn" class="fcc-btn" data-tooltip="Save all current settings and sizes to database">
                     save
                 </button>
+                <button id="export-config-btn" class="fcc-btn" data-tooltip="Download settings and all sizes as a JSON file">
+                    export
+                </button>
+                <button id="import-config-btn" class="fcc-btn" data-tooltip="Load settings and sizes from an exported JSON file">
+                    import
+                </button>
+                <input type="file" id="import-config-file" accept="application/json,.json" hidden>
+                <button id="undo-btn" class="fcc-btn" data-tooltip="Nothing to undo" disabled>
+                    undo
+                </button>
+                <button id="redo-btn" class="fcc-btn" data-tooltip="Nothing to redo" disabled>
+                    redo
+                </button>
+                <details id="history-panel" class="fcc-history">
+                    <summary>history <span id="history-count"></span></summary>
+                    <ol id="history-list" class="fcc-history-list" aria-label="Edit history, most recent first"></ol>
+                </details>
                 <div id="autosave-status" class="autosave-status idle">
                     <span id="autosave-icon">💾</span>
                     <span id="autosave-text">Ready</span>
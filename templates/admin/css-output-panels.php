@@ -4,7 +4,8 @@
  * CSS Output Panels Template
  * 
  * Displays two CSS output containers: one for selected CSS
- * and one for all generated CSS with copy buttons.
+ * and one for all generated CSS with copy buttons. The second panel
+ * has an output format selector (CSS, design tokens, SCSS, Less or Tailwind).
  * 
  * @package FluidSpaceForge
  * @subpackage Templates/Admin
@@ -39,6 +40,16 @@ if (!defined('ABSPATH')) {
     <div class="fcc-css-header">
         <h2 style="flex-grow: 1;" id="generated-code-title">Generated CSS (All Classes)</h2>
         <div class="fcc-css-buttons" id="generated-copy-buttons">
+            <select id="output-format" class="component-select" style="width: 220px; height: 32px;"
+                aria-label="Output format for the generated code"
+                data-tooltip="Render the current tab's sizes as CSS or in another format">
+                <option value="css" data-title="Generated CSS (All Classes)" <?php selected($settings['outputFormat'], 'css'); ?>>CSS</option>
+                <option value="tokens" data-title="Design Tokens (DTCG JSON)" <?php selected($settings['outputFormat'], 'tokens'); ?>>Design Tokens (DTCG JSON)</option>
+                <option value="scss" data-title="SCSS Map and Mixin" <?php selected($settings['outputFormat'], 'scss'); ?>>SCSS ($space map)</option>
+                <option value="less" data-title="Less Variables and Mixin" <?php selected($settings['outputFormat'], 'less'); ?>>Less (@space-* variables)</option>
+                <option value="tailwind-v3" data-title="Tailwind v3 Config (from Utilities)" <?php selected($settings['outputFormat'], 'tailwind-v3'); ?>>Tailwind v3 (theme.extend.spacing)</option>
+                <option value="tailwind-v4" data-title="Tailwind v4 Theme (from Utilities)" <?php selected($settings['outputFormat'], 'tailwind-v4'); ?>>Tailwind v4 (@theme)</option>
+            </select>
             <button id="copy-all-btn" class="fcc-copy-btn"
                 data-tooltip="Copy all generated CSS to clipboard"
                 aria-label="Copy all generated CSS to clipboard"
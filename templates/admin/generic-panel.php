@@ -71,6 +71,31 @@ if (!defined('ABSPATH')) {
                     value="{{PREFIX_VALUE}}"
                     aria-label="Prefix for generated CSS (without . or -- markers)">
             </div>
+            <div id="class-properties-control" style="display: {{CLASS_CONTROLS_DISPLAY}}; flex-direction: column; gap: 4px;">
+                <label class="component-label" for="class-properties-input" style="margin-bottom: 0; font-size: 12px;">Properties</label>
+                <input type="text" id="class-properties-input" class="component-input" style="width: 160px; height: 32px; padding: 4px 8px;"
+                    value="{{CLASS_PROPERTIES_VALUE}}" placeholder="margin"
+                    aria-label="CSS properties each class sets, comma-separated (e.g. gap, or padding-inline, padding-block)">
+            </div>
+            <div id="class-companions-control" style="display: {{CLASS_CONTROLS_DISPLAY}}; flex-direction: column; gap: 4px;">
+                <label class="component-label" for="class-companions-input" style="margin-bottom: 0; font-size: 12px;">Companions</label>
+                <input type="text" id="class-companions-input" class="component-input" style="width: 220px; height: 32px; padding: 4px 8px;"
+                    value="{{CLASS_COMPANIONS_VALUE}}" placeholder="padding={prefix}-p-{size}"
+                    aria-label="Companion classes as property=pattern pairs, comma-separated, using {prefix} and {size}">
+            </div>
+            <div id="space-pairs-control" style="display: {{PAIRS_CONTROL_DISPLAY}}; flex-direction: column; gap: 4px;">
+                <label class="component-label" for="space-pairs-input" style="margin-bottom: 0; font-size: 12px;">Pairs</label>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <input type="text" id="space-pairs-input" class="component-input" style="width: 160px; height: 32px; padding: 4px 8px;"
+                        value="{{PAIRS_VALUE}}" placeholder="sm:xl, md:xxl"
+                        aria-label="Space pairs as from:to size names, comma-separated">
+                    <label style="display: flex; align-items: center; gap: 4px; margin: 0; font-size: 12px; white-space: nowrap; cursor: pointer;"
+                        data-tooltip="Also pair every size with the next one (xs-sm, sm-md, ...)">
+                        <input type="checkbox" id="space-pairs-auto" {{PAIRS_AUTO_CHECKED}}>
+                        one-up
+                    </label>
+                </div>
+            </div>
         </div>
 
         <div class="fcc-table-buttons">
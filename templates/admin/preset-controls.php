@@ -0,0 +1,58 @@
+<?php
+
+/**
+ * Preset Controls Template
+ *
+ * Displays the named preset selector with new, duplicate, rename and
+ * delete buttons, plus the choice of which preset the site renders.
+ * Actions are handled by PresetsManager.
+ *
+ * @package FluidSpaceForge
+ * @subpackage Templates/Admin
+ * @since 1.3.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// Name of the preset the site renders, for the live status
+$active_preset_name = '';
+foreach ($presets['presets'] as $preset) {
+    if ((int) $preset['id'] === (int) $presets['active']) {
+        $active_preset_name = $preset['name'];
+    }
+}
+$editing_is_live = (int) $presets['editing'] === (int) $presets['active'];
+?>
+
+<!-- Preset Selector -->
+<div id="preset-controls" class="fcc-presets" data-editing="<?php echo esc_attr($presets['editing']); ?>" data-active="<?php echo esc_attr($presets['active']); ?>">
+    <label class="component-label" for="preset-select">Preset</label>
+    <select id="preset-select" class="component-select" data-tooltip="Switch the preset being edited - your edits are saved first">
+        <?php foreach ($presets['presets'] as $preset) : ?>
+            <option value="<?php echo esc_attr($preset['id']); ?>" data-name="<?php echo esc_attr($preset['name']); ?>" <?php selected((int) $preset['id'], (int) $presets['editing']); ?>>
+                <?php echo esc_html($preset['name']); ?><?php echo (int) $preset['id'] === (int) $presets['active'] ? ' (live)' : ''; ?>
+            </option>
+        <?php endforeach; ?>
+    </select>
+    <button id="preset-new-btn" class="fcc-btn" data-tooltip="Start a new preset from the default scale">
+        new
+    </button>
+    <button id="preset-duplicate-btn" class="fcc-btn" data-tooltip="Copy this preset, including unsaved edits">
+        duplicate
+    </button>
+    <button id="preset-rename-btn" class="fcc-btn" data-tooltip="Rename this preset">
+        rename
+    </button>
+    <button id="preset-delete-btn" class="fcc-btn" data-tooltip="Delete this preset" <?php echo count($presets['presets']) === 1 ? 'disabled' : ''; ?>>
+        delete
+    </button>
+    <button id="preset-activate-btn" class="fcc-btn" data-tooltip="Use this preset for the site's front-end CSS" <?php echo $editing_is_live ? 'disabled' : ''; ?>>
+        use on site
+    </button>
+    <span class="fcc-preset-live <?php echo $editing_is_live ? 'is-live' : ''; ?>">
+        Live on site: <strong><?php echo esc_html($active_preset_name); ?></strong>
+    </span>
+</div>
@@ -0,0 +1,61 @@
+<?php
+
+/**
+ * Revisions Panel Template
+ * 
+ * Displays the collapsible revision history: every save that changed the
+ * scale, who saved it and from where, a diff between any two revisions
+ * and a restore button per revision. Rows are rendered by
+ * RevisionsManager when the panel is opened.
+ * 
+ * @package FluidSpaceForge
+ * @subpackage Templates/Admin
+ * @since 1.3.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<!-- Collapsible Revisions Section -->
+<div class="fcc-info-toggle-section" style="clear: both; margin: 20px 0;">
+    <button class="fcc-info-toggle" data-toggle-target="revisions-content">
+        <span style="color: #FAF9F6 !important;">Revisions</span>
+        <span class="fcc-toggle-icon" style="color: #FAF9F6 !important;">▼</span>
+    </button>
+
+    <div class="fcc-info-content" id="revisions-content">
+        <div class="fcc-revisions">
+            <p class="fcc-revisions-intro">
+                Every save that changes the scale is kept here, up to the last <?php echo esc_html(self::MAX_REVISIONS); ?>, with who saved it and from where. Saves by the same person within <?php echo esc_html(self::REVISION_COALESCE_SECONDS / 60); ?> minutes count as one revision unless they change the sizes or the scale settings. Compare any two revisions, or restore one to make it the saved scale again.
+            </p>
+
+            <div class="fcc-revisions-compare">
+                <label class="component-label" for="revision-from">Compare</label>
+                <select id="revision-from" class="component-select" aria-label="Older revision to compare"></select>
+                <label class="component-label" for="revision-to">with</label>
+                <select id="revision-to" class="component-select" aria-label="Newer revision to compare"></select>
+            </div>
+            <div id="revision-diff" aria-live="polite"></div>
+
+            <table class="fcc-revisions-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Saved</th>
+                        <th scope="col">By</th>
+                        <th scope="col">Via</th>
+                        <th scope="col">Changed</th>
+                        <th scope="col"><span class="screen-reader-text">Actions</span></th>
+                    </tr>
+                </thead>
+                <tbody id="revisions-list">
+                    <tr>
+                        <td colspan="5">Loading revisions...</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+</div>
@@ -40,6 +40,75 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
+    <!-- Root font size and output precision -->
+    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 16px; margin-top: 16px;">
+        <div class="grid-item">
+            <label class="component-label" for="root-font-size">Root Font Size (px)</label>
+            <div class="fcc-input-wrapper" data-tooltip="Pixel size of 1rem on your site - 10 for html { font-size: 62.5% }">
+                <input type="number" id="root-font-size" class="component-input" style="width: 100%;"
+                    value="<?php echo esc_attr($settings['rootFontSize'] ?? self::BROWSER_DEFAULT_FONT_SIZE); ?>"
+                    min="<?php echo esc_attr(self::ROOT_FONT_SIZE_RANGE[0]); ?>"
+                    max="<?php echo esc_attr(self::ROOT_FONT_SIZE_RANGE[1]); ?>"
+                    step="0.5"
+                    aria-label="Root font size in pixels used to convert pixel values to rem">
+            </div>
+        </div>
+        <div class="grid-item">
+            <label class="component-label" for="rem-precision">Rem Decimals</label>
+            <div class="fcc-input-wrapper" data-tooltip="Decimal places of rem values">
+                <input type="number" id="rem-precision" class="component-input format-precision-input" style="width: 100%;"
+                    value="<?php echo esc_attr($settings['remPrecision'] ?? self::DEFAULT_REM_PRECISION); ?>"
+                    min="<?php echo esc_attr(self::PRECISION_RANGE[0]); ?>"
+                    max="<?php echo esc_attr(self::PRECISION_RANGE[1]); ?>"
+                    step="1"
+                    aria-label="Decimal places of rem values">
+            </div>
+        </div>
+        <div class="grid-item">
+            <label class="component-label" for="coefficient-precision">Slope Decimals</label>
+            <div class="fcc-input-wrapper" data-tooltip="Decimal places of the vw or container-unit slope inside clamp()">
+                <input type="number" id="coefficient-precision" class="component-input format-precision-input" style="width: 100%;"
+                    value="<?php echo esc_attr($settings['coefficientPrecision'] ?? self::DEFAULT_COEFFICIENT_PRECISION); ?>"
+                    min="<?php echo esc_attr(self::PRECISION_RANGE[0]); ?>"
+                    max="<?php echo esc_attr(self::PRECISION_RANGE[1]); ?>"
+                    step="1"
+                    aria-label="Decimal places of the fluid slope coefficient">
+            </div>
+        </div>
+    </div>
+
+    <!-- Fluid Unit and container helper -->
+    <?php $fluid_unit = $settings['fluidUnit'] ?? 'vw'; ?>
+    <div class="grid-item" style="margin-top: 16px;">
+        <label class="component-label" for="fluid-unit">Fluid Unit</label>
+        <div class="fcc-input-wrapper" data-tooltip="What sizes scale with - container units read the viewport widths below as container widths">
+            <select id="fluid-unit" class="component-select" style="width: 100%;"
+                aria-label="Fluid unit - scale spacing with the viewport or with the nearest container">
+                <?php foreach (self::FLUID_UNITS as $unit => $label) : ?>
+                    <option value="<?php echo esc_attr($unit); ?>" <?php selected($fluid_unit, $unit); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+    </div>
+    <div class="fcc-checkbox-group" id="container-helper-control" style="display: <?php echo $fluid_unit === 'vw' ? 'none' : 'flex'; ?>;">
+        <label data-tooltip="Add a .space-container class (using your class prefix) that sets container-type: inline-size - put it on cards, sidebars and other components">
+            <input type="checkbox" id="container-helper-toggle" <?php checked(!empty($settings['containerHelper'])); ?>>
+            <span>Container helper class (container-type: inline-size)</span>
+        </label>
+    </div>
+
+    <!-- Accessibility (zoom) check -->
+    <details class="fcc-zoom-check" id="zoom-check">
+        <summary data-tooltip="Flags sizes that may not follow text zoom and font-size preferences (WCAG 1.4.4 Resize Text)">Accessibility check <span id="zoom-check-count"></span></summary>
+        <div class="fcc-checkbox-group">
+            <label data-tooltip="Write clamp() bounds and the fixed part of the preferred value in rem, so they follow text zoom even with PX units selected">
+                <input type="checkbox" id="zoom-safe-toggle" <?php checked(!empty($settings['zoomSafe'])); ?>>
+                <span>Zoom-safe output (rem in clamp())</span>
+            </label>
+        </div>
+        <div id="zoom-check-results" aria-live="polite"></div>
+    </details>
+
     <p class="divider">What is the base space size at the viewport limits and the viewport range?</p>
 
     <!-- Row 1: Min Base and Min Width -->
@@ -95,7 +164,55 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
-    <p class="divider">How should your spacing scale? Set the ratio at both viewport limits.</p>
+    <p class="divider">How should your spacing scale? Pick a generator and set the ratio at both viewport limits.</p>
+
+    <!-- Scale Generator and its options -->
+    <?php $scale_generator = $settings['scaleGenerator'] ?? 'ratio'; ?>
+    <div class="grid-item">
+        <label class="component-label" for="scale-generator">Scale Generator</label>
+        <div class="fcc-input-wrapper" data-tooltip="How each size is derived from the base size - the ratios below apply to Ratio and to rows past the end of a custom list">
+            <select id="scale-generator" class="component-select" style="width: 100%;"
+                aria-label="Scale generator - how each size is derived from the base size">
+                <?php foreach (self::SCALE_GENERATORS as $generator => $label) : ?>
+                    <option value="<?php echo esc_attr($generator); ?>" <?php selected($scale_generator, $generator); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+    </div>
+    <div class="grid-item" id="grid-unit-control" style="display: <?php echo $scale_generator === 'grid' ? 'block' : 'none'; ?>;">
+        <label class="component-label" for="grid-unit">Grid Unit (px)</label>
+        <div class="fcc-input-wrapper" data-tooltip="Each step adds one grid unit; the base size is snapped to a whole number of units">
+            <select id="grid-unit" class="component-select" style="width: 100%;"
+                aria-label="Point grid unit in pixels">
+                <?php foreach (self::GRID_UNITS as $unit) : ?>
+                    <option value="<?php echo esc_attr($unit); ?>" <?php selected((int) ($settings['gridUnit'] ?? self::DEFAULT_GRID_UNIT), $unit); ?>><?php echo esc_html($unit . '-point grid'); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+    </div>
+    <div class="grid-item" id="custom-multipliers-control" style="display: <?php echo $scale_generator === 'custom' ? 'block' : 'none'; ?>;">
+        <label class="component-label" for="custom-multipliers">Custom Multipliers</label>
+        <div class="fcc-input-wrapper" data-tooltip="One multiplier per row in table order, relative to the base row's multiplier">
+            <input type="text" id="custom-multipliers" class="component-input" style="width: 100%;"
+                value="<?php echo esc_attr(implode(', ', (array) ($settings['customMultipliers'] ?? []))); ?>"
+                placeholder="0.5, 0.75, 1, 1.5, 2, 3"
+                aria-label="Custom multipliers, comma-separated, one per row in table order">
+        </div>
+    </div>
+
+    <?php
+    // Named ratios, plus any saved ratio that is not one of them (set via CLI, REST or import)
+    $ratio_options = self::NAMED_RATIOS;
+    foreach (['minScale', 'maxScale'] as $scale_key) {
+        $saved_ratio = number_format((float) $settings[$scale_key], 3, '.', '');
+        if (!isset($ratio_options[$saved_ratio])) {
+            $ratio_options[$saved_ratio] = 'Custom';
+        }
+    }
+    uksort($ratio_options, function ($a, $b) {
+        return (float) $a <=> (float) $b;
+    });
+    ?>
 
     <!-- Row 3: Min Scale -->
     <div class="grid-item">
@@ -103,11 +220,9 @@ if (!defined('ABSPATH')) {
         <div class="fcc-input-wrapper" data-tooltip="Space scale ratio for smaller screens - how much size difference between space levels">
             <select id="min-scale" class="component-select" style="width: 100%;"
                 aria-label="Minimum scale ratio for space on smaller screens - controls size differences between space levels">
-                <option value="1.067" <?php selected($settings['minScale'], '1.067'); ?>>1.067 Minor Second</option>
-                <option value="1.125" <?php selected($settings['minScale'], '1.125'); ?>>1.125 Major Second</option>
-                <option value="1.200" <?php selected($settings['minScale'], '1.200'); ?>>1.200 Minor Third</option>
-                <option value="1.250" <?php selected($settings['minScale'], '1.250'); ?>>1.250 Major Third</option>
-                <option value="1.333" <?php selected($settings['minScale'], '1.333'); ?>>1.333 Perfect Fourth</option>
+                <?php foreach ($ratio_options as $ratio => $label) : ?>
+                    <option value="<?php echo esc_attr($ratio); ?>" <?php selected((float) $settings['minScale'], (float) $ratio); ?>><?php echo esc_html($ratio . ' ' . $label); ?></option>
+                <?php endforeach; ?>
             </select>
         </div>
     </div>
@@ -118,12 +233,107 @@ if (!defined('ABSPATH')) {
         <div class="fcc-input-wrapper" data-tooltip="Space scale ratio for larger screens - how dramatic the size differences should be on big screens">
             <select id="max-scale" class="component-select" style="width: 100%;"
                 aria-label="Maximum scale ratio for space on larger screens - controls how dramatic size differences are on big screens">
-                <option value="1.067" <?php selected($settings['maxScale'], '1.067'); ?>>1.067 Minor Second</option>
-                <option value="1.125" <?php selected($settings['maxScale'], '1.125'); ?>>1.125 Major Second</option>
-                <option value="1.200" <?php selected($settings['maxScale'], '1.200'); ?>>1.200 Minor Third</option>
-                <option value="1.250" <?php selected($settings['maxScale'], '1.250'); ?>>1.250 Major Third</option>
-                <option value="1.333" <?php selected($settings['maxScale'], '1.333'); ?>>1.333 Perfect Fourth</option>
+                <?php foreach ($ratio_options as $ratio => $label) : ?>
+                    <option value="<?php echo esc_attr($ratio); ?>" <?php selected((float) $settings['maxScale'], (float) $ratio); ?>><?php echo esc_html($ratio . ' ' . $label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </div>
+    </div>
+
+    <!-- Ratio Comparison -->
+    <details class="fcc-ratio-compare" id="ratio-compare">
+        <summary data-tooltip="Preview every row of the current tab under two candidate ratios before applying one">Compare two ratios</summary>
+        <div class="fcc-ratio-compare-controls">
+            <?php foreach (['a' => (float) $settings['minScale'], 'b' => (float) $settings['maxScale']] as $candidate => $default_ratio) : ?>
+                <label class="component-label" for="compare-ratio-<?php echo esc_attr($candidate); ?>">Ratio <?php echo esc_html(strtoupper($candidate)); ?></label>
+                <select id="compare-ratio-<?php echo esc_attr($candidate); ?>" class="component-select ratio-compare-select"
+                    aria-label="<?php echo esc_attr('Candidate ratio ' . strtoupper($candidate)); ?>">
+                    <?php foreach ($ratio_options as $ratio => $label) : ?>
+                        <option value="<?php echo esc_attr($ratio); ?>" <?php selected($default_ratio, (float) $ratio); ?>><?php echo esc_html($ratio . ' ' . $label); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            <?php endforeach; ?>
+        </div>
+        <div id="ratio-compare-table" aria-live="polite"></div>
+    </details>
+
+    <p class="divider">Need more anchor viewports? Add breakpoints between the min and max viewport.</p>
+
+    <!-- Breakpoints and piecewise output -->
+    <?php
+    $breakpoints = is_array($settings['breakpoints'] ?? null) ? $settings['breakpoints'] : [];
+    $breakpoints_value = implode(', ', array_map(function ($breakpoint) {
+        return $breakpoint['viewport'] . ':' . $breakpoint['baseSpace'] . ':' . $breakpoint['scale'];
+    }, $breakpoints));
+    ?>
+    <div class="grid-item">
+        <label class="component-label" for="breakpoints-input">Breakpoints</label>
+        <div class="fcc-input-wrapper" data-tooltip="viewport:base:ratio for each extra anchor, e.g. 768:20:1.25 - each segment between anchors gets its own fluid slope">
+            <input type="text" id="breakpoints-input" class="component-input" style="width: 100%;"
+                value="<?php echo esc_attr($breakpoints_value); ?>"
+                placeholder="768:20:1.25, 1440:24:1.333"
+                aria-label="Breakpoints between the min and max viewport, comma-separated viewport:base:ratio entries">
+        </div>
+    </div>
+    <div class="grid-item">
+        <label class="component-label" for="piecewise-output">Breakpoint Output</label>
+        <div class="fcc-input-wrapper" data-tooltip="How the CSS tab output writes a scale with breakpoints - other formats always use the single calc() expression">
+            <select id="piecewise-output" class="component-select" style="width: 100%;"
+                aria-label="How a scale with breakpoints is written as CSS">
+                <?php foreach (self::PIECEWISE_OUTPUTS as $output => $label) : ?>
+                    <option value="<?php echo esc_attr($output); ?>" <?php selected($settings['piecewiseOutput'] ?? 'media', $output); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
             </select>
         </div>
     </div>
-</div>
\ No newline at end of file
+
+    <p class="divider">Which formats should load on your site and in the block editor?</p>
+
+    <!-- Row 5: Front-end Output Formats -->
+    <?php $frontend_formats = is_array($settings['frontendFormats']) ? $settings['frontendFormats'] : []; ?>
+    <div class="fcc-checkbox-group" role="group" aria-label="Output formats loaded on the front end and in the block editor">
+        <label data-tooltip="Load .space-* classes on the front end">
+            <input type="checkbox" class="frontend-format-toggle" value="class" <?php checked(in_array('class', $frontend_formats, true)); ?>>
+            <span>Classes</span>
+        </label>
+        <label data-tooltip="Load --sp-* custom properties on the front end">
+            <input type="checkbox" class="frontend-format-toggle" value="vars" <?php checked(in_array('vars', $frontend_formats, true)); ?>>
+            <span>Variables</span>
+        </label>
+        <label data-tooltip="Load .mt-*, .p-*, .gap-* utilities on the front end">
+            <input type="checkbox" class="frontend-format-toggle" value="utils" <?php checked(in_array('utils', $frontend_formats, true)); ?>>
+            <span>Utilities</span>
+        </label>
+    </div>
+
+    <p class="divider">Which utility families should the Utilities tab generate?</p>
+
+    <!-- Row 6: Utility Families and Naming Patterns -->
+    <?php
+    $utility_families = is_array($settings['utilityFamilies']) ? $settings['utilityFamilies'] : [];
+    $utility_patterns = is_array($settings['utilityPatterns']) ? $settings['utilityPatterns'] : [];
+    ?>
+    <div class="fcc-checkbox-group">
+        <label data-tooltip="Use margin-inline-start instead of margin-left and so on, so utilities follow RTL and vertical writing modes">
+            <input type="checkbox" id="logical-properties-toggle" <?php checked(!empty($settings['logicalProperties'])); ?>>
+            <span>Logical properties (ms-, me-, mbs-, mbe-)</span>
+        </label>
+        <label data-tooltip="Add negated sizes: --sp-neg-md variables and -prefixed margin, inset and scroll-margin utilities such as .-mt-md">
+            <input type="checkbox" id="negative-tokens-toggle" <?php checked(!empty($settings['negativeTokens'])); ?>>
+            <span>Negative sizes (--sp-neg-md, .-mt-md)</span>
+        </label>
+    </div>
+    <div class="fcc-utility-families" role="group" aria-label="Utility families generated by the Utilities tab">
+        <?php foreach (\JimRForge\FluidSpaceForge\FluidSpaceForge::UTILITY_FAMILIES as $family => $definition) : ?>
+            <?php $example = str_replace(['{variant}', '{size}'], [$definition['variants'][0]['token'], 'md'], $utility_patterns[$family] ?? $definition['pattern']); ?>
+            <label data-tooltip="<?php echo esc_attr('Generate ' . $definition['label'] . ' utilities, e.g. .' . $example); ?>">
+                <input type="checkbox" class="utility-family-toggle" value="<?php echo esc_attr($family); ?>" <?php checked(in_array($family, $utility_families, true)); ?>>
+                <span><?php echo esc_html($definition['label']); ?></span>
+            </label>
+            <input type="text" class="component-input utility-pattern-input" data-family="<?php echo esc_attr($family); ?>"
+                value="<?php echo esc_attr($utility_patterns[$family] ?? ''); ?>"
+                placeholder="<?php echo esc_attr($definition['pattern']); ?>"
+                aria-label="<?php echo esc_attr('Class naming pattern for ' . $definition['label'] . ' utilities, using {variant} and {size}'); ?>">
+        <?php endforeach; ?>
+    </div>
+</div>
@@ -0,0 +1,49 @@
+<?php
+
+/**
+ * Starter Gallery Template
+ *
+ * Displays the collapsible gallery of ready-made scales from
+ * STARTER_PRESETS, one card per starter with a load button. Thumbnails
+ * are rendered by StarterLibrary when the gallery is first opened.
+ *
+ * @package FluidSpaceForge
+ * @subpackage Templates/Admin
+ * @since 1.3.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<!-- Collapsible Starter Gallery -->
+<div class="fcc-info-toggle-section" style="margin-bottom: 16px;">
+    <button class="fcc-info-toggle" data-toggle-target="starters-content">
+        <span style="color: #FAF9F6 !important;">Starter Library</span>
+        <span class="fcc-toggle-icon" style="color: #FAF9F6 !important;">▼</span>
+    </button>
+
+    <div class="fcc-info-content" id="starters-content">
+        <div class="fcc-starters">
+            <p class="fcc-starters-intro">
+                Start from a ready-made scale instead of the default xs–xxl sizes. Loading a starter replaces the base sizes, viewports, ratios and scale generator in the Settings panel and all three size lists in the preset being edited. Prefixes, formats and output options are kept. Ctrl+Z undoes the load; save to keep it.
+            </p>
+
+            <div id="starter-gallery" class="fcc-starter-gallery">
+                <?php foreach (self::STARTER_PRESETS as $starter_key => $starter) : ?>
+                    <div class="fcc-starter-card">
+                        <div class="fcc-starter-thumb" data-starter="<?php echo esc_attr($starter_key); ?>" aria-hidden="true"></div>
+                        <h4 class="fcc-starter-name"><?php echo esc_html($starter['name']); ?></h4>
+                        <p class="fcc-starter-description"><?php echo esc_html($starter['description']); ?></p>
+                        <p class="fcc-starter-sizes"><?php echo esc_html(implode(' · ', $starter['sizes'])); ?></p>
+                        <button type="button" class="fcc-btn load-starter-btn" data-starter="<?php echo esc_attr($starter_key); ?>">
+                            load
+                        </button>
+                    </div>
+                <?php endforeach; ?>
+            </div>
+        </div>
+    </div>
+</div>
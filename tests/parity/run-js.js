@@ -0,0 +1,173 @@
+/**
+ * Fluid Space Forge - Output Parity Runner (JavaScript)
+ *
+ * Renders every fixture in tests/parity/fixtures through the admin
+ * generators (calculations.js and admin-script.js) and compares the
+ * result with the fixture's expected output. run-php.php checks the
+ * same fixtures against CssGenerator, so together they keep the browser
+ * and the front end byte-identical.
+ *
+ * The scripts run in a sandbox with a minimal document, so the admin
+ * page itself never initializes. Constants come from constants.json,
+ * which run-php.php exports from FluidSpaceForge::get_all_constants().
+ *
+ * Usage:
+ *   node tests/parity/run-js.js            Check every fixture
+ *   node tests/parity/run-js.js --update   Rewrite expected output from the JavaScript
+ *
+ * @version 1.3.0
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "../..");
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const CONSTANTS_FILE = path.join(__dirname, "constants.json");
+
+/**
+ * Output formats rendered for each tab type
+ *
+ * Tailwind formats always render the Utilities list, so they are only
+ * checked on the utils tab.
+ */
+const TAB_FORMATS = {
+  class: ["css", "tokens", "scss", "less"],
+  vars: ["css", "tokens", "scss", "less"],
+  utils: ["css", "tokens", "scss", "less", "tailwind-v3", "tailwind-v4"],
+};
+
+/**
+ * Base size setting keys, by tab type
+ */
+const BASE_ID_KEYS = {
+  class: "selectedClassSizeId",
+  vars: "selectedVariableSizeId",
+  utils: "selectedUtilitySizeId",
+};
+
+/**
+ * Load the admin generators into a sandbox for one fixture
+ *
+ * @param {Object} fixture - Fixture with settings and sizes
+ * @param {Object} constants - Plugin constants
+ * @returns {Object} Sandbox with FluidSpaceForge, fluispfoAjax and the base size select
+ */
+function createSandbox(fixture, constants) {
+  const baseSelect = { value: "3" };
+  const sandbox = {
+    console,
+    fluispfoAjax: {
+      constants,
+      data: {
+        settings: JSON.parse(JSON.stringify(fixture.settings)),
+        classSizes: fixture.sizes.classSizes,
+        variableSizes: fixture.sizes.variableSizes,
+        utilitySizes: fixture.sizes.utilitySizes,
+      },
+    },
+    document: {
+      readyState: "loading",
+      addEventListener() {},
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      getElementById: (id) => (id === "base-value" ? baseSelect : null),
+    },
+    baseSelect,
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  ["assets/js/calculations.js", "assets/js/admin-script.js"].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), sandbox, { filename: file });
+  });
+
+  return sandbox;
+}
+
+/**
+ * Render every tab and output format for one fixture
+ *
+ * @param {Object} fixture - Fixture with settings and sizes
+ * @param {Object} constants - Plugin constants
+ * @returns {Object} Output keyed by tab type, then output format
+ */
+function renderFixture(fixture, constants) {
+  const sandbox = createSandbox(fixture, constants);
+  const settings = sandbox.fluispfoAjax.data.settings;
+  const output = {};
+
+  Object.entries(TAB_FORMATS).forEach(([tab, formats]) => {
+    sandbox.baseSelect.value = String(settings[BASE_ID_KEYS[tab]] ?? 3);
+    output[tab] = {};
+    formats.forEach((format) => {
+      settings.outputFormat = format;
+      output[tab][format] = sandbox.FluidSpaceForge.generateOutput(tab);
+    });
+  });
+
+  return output;
+}
+
+/**
+ * Describe the first line where two outputs differ
+ *
+ * @param {string} expected - Expected output
+ * @param {string} actual - Rendered output
+ * @returns {string} Line number with both versions of the line
+ */
+function describeDifference(expected, actual) {
+  const expectedLines = expected.split("\n");
+  const actualLines = actual.split("\n");
+  const count = Math.max(expectedLines.length, actualLines.length);
+
+  for (let i = 0; i < count; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return `line ${i + 1}\n      expected: ${JSON.stringify(expectedLines[i] ?? "")}\n      actual:   ${JSON.stringify(actualLines[i] ?? "")}`;
+    }
+  }
+  return "same lines";
+}
+
+function main() {
+  const update = process.argv.includes("--update");
+  const constants = JSON.parse(fs.readFileSync(CONSTANTS_FILE, "utf8"));
+  const files = fs.readdirSync(FIXTURES_DIR).filter((file) => file.endsWith(".json")).sort();
+  let failures = 0;
+
+  files.forEach((file) => {
+    const fixturePath = path.join(FIXTURES_DIR, file);
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+    const output = renderFixture(fixture, constants);
+
+    if (update) {
+      fixture.expected = output;
+      fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + "\n");
+      console.log(`updated ${file}`);
+      return;
+    }
+
+    Object.entries(output).forEach(([tab, formats]) => {
+      Object.entries(formats).forEach(([format, actual]) => {
+        const expected = fixture.expected?.[tab]?.[format];
+        if (expected === actual) return;
+
+        failures++;
+        console.log(`FAIL ${file} ${tab} ${format}`);
+        console.log(
+          expected === undefined ? "      no expected output" : `      ${describeDifference(expected, actual)}`
+        );
+      });
+    });
+  });
+
+  if (!update) {
+    console.log(failures ? `${failures} output(s) differ` : `${files.length} fixtures match`);
+  }
+  process.exitCode = failures ? 1 : 0;
+}
+
+main();
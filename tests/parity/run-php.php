@@ -0,0 +1,178 @@
+<?php
+
+/**
+ * Output Parity Runner (PHP)
+ *
+ * Renders every fixture in tests/parity/fixtures through
+ * CssGenerator::generate_output() and compares the result with the
+ * fixture's expected output. run-js.js checks the same fixtures against
+ * the admin generators, so together they keep the front end and the
+ * browser byte-identical.
+ *
+ * Runs from the command line without WordPress: the hook functions the
+ * plugin file calls while loading, and wp_json_encode() used by the
+ * generator, are stubbed below.
+ *
+ * Usage:
+ *   php tests/parity/run-php.php               Check every fixture
+ *   php tests/parity/run-php.php --constants   Rewrite constants.json for run-js.js
+ *
+ * @package FluidSpaceForge
+ * @subpackage Tests
+ * @since 1.3.0
+ */
+
+namespace {
+    define('ABSPATH', __DIR__ . '/');
+
+    function plugin_dir_path($file)
+    {
+        return dirname($file) . '/';
+    }
+
+    function add_action()
+    {
+    }
+
+    function add_filter()
+    {
+    }
+
+    function register_activation_hook()
+    {
+    }
+
+    function wp_json_encode($data, $options = 0, $depth = 512)
+    {
+        return json_encode($data, $options, $depth);
+    }
+}
+
+namespace JimRForge\FluidSpaceForge\Tests {
+
+    use JimRForge\FluidSpaceForge\CssGenerator;
+    use JimRForge\FluidSpaceForge\FluidSpaceForge;
+
+    require dirname(__DIR__, 2) . '/fluid-space-forge.php';
+
+    const FIXTURES_DIR = __DIR__ . '/fixtures';
+    const CONSTANTS_FILE = __DIR__ . '/constants.json';
+
+    // Fixture size list keys, by tab type - match TAB_CONFIG dataKey in admin-script.js
+    const SIZE_LISTS = [
+        'class' => 'classSizes',
+        'vars' => 'variableSizes',
+        'utils' => 'utilitySizes',
+    ];
+
+    /**
+     * Render every tab and output format expected by one fixture
+     *
+     * Mirrors FluidSpaceForge::get_output(): Tailwind formats render the
+     * utility sizes, and each tab uses its own base size setting.
+     *
+     * @param array $fixture Fixture with settings, sizes and expected output
+     * @return array Output keyed by tab type, then output format
+     */
+    function render_fixture($fixture)
+    {
+        $settings = $fixture['settings'];
+        $output = [];
+
+        foreach ($fixture['expected'] as $type => $formats) {
+            foreach (array_keys($formats) as $format) {
+                $sizes_type = strpos($format, 'tailwind-') === 0 ? 'utils' : $type;
+                $list = SIZE_LISTS[$sizes_type];
+                $base_id = abs((int) ($settings[FluidSpaceForge::SIZE_TYPE_BASE_ID_KEYS[$sizes_type]] ?? 3));
+
+                $output[$type][$format] = CssGenerator::generate_output(
+                    $format,
+                    $sizes_type,
+                    $fixture['sizes'][$list],
+                    $settings,
+                    $base_id
+                );
+            }
+        }
+
+        return $output;
+    }
+
+    /**
+     * Describe the first line where two outputs differ
+     *
+     * @param string $expected Expected output
+     * @param string $actual Rendered output
+     * @return string Line number with both versions of the line
+     */
+    function describe_difference($expected, $actual)
+    {
+        $expected_lines = explode("\n", $expected);
+        $actual_lines = explode("\n", $actual);
+        $count = max(count($expected_lines), count($actual_lines));
+
+        for ($i = 0; $i < $count; $i++) {
+            if (($expected_lines[$i] ?? null) !== ($actual_lines[$i] ?? null)) {
+                return sprintf(
+                    "line %d\n      expected: %s\n      actual:   %s",
+                    $i + 1,
+                    json_encode($expected_lines[$i] ?? '', JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                    json_encode($actual_lines[$i] ?? '', JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)
+                );
+            }
+        }
+
+        return 'same lines';
+    }
+
+    /**
+     * Export the constants the admin scripts read from fluispfoAjax
+     *
+     * @return string constants.json content
+     */
+    function export_constants()
+    {
+        $plugin = new FluidSpaceForge();
+
+        return json_encode($plugin->get_all_constants(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n";
+    }
+
+    $constants = export_constants();
+
+    if (in_array('--constants', $argv, true)) {
+        file_put_contents(CONSTANTS_FILE, $constants);
+        echo "updated constants.json\n";
+        exit(0);
+    }
+
+    $failures = 0;
+
+    if (!is_file(CONSTANTS_FILE) || file_get_contents(CONSTANTS_FILE) !== $constants) {
+        $failures++;
+        echo "FAIL constants.json is out of date - run with --constants\n";
+    }
+
+    $files = glob(FIXTURES_DIR . '/*.json');
+    sort($files);
+
+    foreach ($files as $file) {
+        $fixture = json_decode(file_get_contents($file), true);
+        $name = basename($file);
+
+        foreach (render_fixture($fixture) as $type => $formats) {
+            foreach ($formats as $format => $actual) {
+                $expected = $fixture['expected'][$type][$format];
+                if ($expected === $actual) {
+                    continue;
+                }
+
+                $failures++;
+                echo "FAIL {$name} {$type} {$format}\n";
+                echo '      ' . describe_difference($expected, $actual) . "\n";
+            }
+        }
+    }
+
+    echo $failures ? "{$failures} check(s) failed\n" : count($files) . " fixtures match\n";
+    exit($failures ? 1 : 0);
+}
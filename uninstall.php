@@ -14,13 +14,14 @@
  * Data Removal Operations:
  * - All plugin option entries from wp_options table
  * - Cached transient data and temporary storage
+ * - Generated stylesheets in wp-content/uploads/fluid-space-forge/
  * - User meta (migration notice dismissal)
  * - WordPress object cache clearing
  *
  * @package    FluidSpaceForge
  * @subpackage Uninstall
  * @author     Jim R (JimRForge)
- * @version    1.2.4
+ * @version    1.3.0
  * @link       https://jimrforge.com
  */
 
@@ -40,11 +41,38 @@ if (!defined('WP_UNINSTALL_PLUGIN')) {
  * - fluispfo_class_sizes: Space size data for Classes output format
  * - fluispfo_variable_sizes: Space size data for Variables output format
  * - fluispfo_utility_sizes: Space size data for Utilities output format
+ * - fluispfo_css_file: Record of the cached front-end stylesheet
+ * - fluispfo_revisions: Saved revisions of the settings and sizes
+ * - fluispfo_presets: Named presets, each with its own settings and sizes
  */
 delete_option('fluispfo_settings');
 delete_option('fluispfo_class_sizes');
 delete_option('fluispfo_variable_sizes');
 delete_option('fluispfo_utility_sizes');
+delete_option('fluispfo_css_file');
+delete_option('fluispfo_revisions');
+delete_option('fluispfo_presets');
+
+/**
+ * Remove Cached Stylesheets
+ *
+ * Delete the generated front-end CSS files and their directory from
+ * uploads. Uses WP_Filesystem so hosts without direct access are
+ * respected; the files are left in place if it cannot be initialised.
+ */
+$fluispfo_upload_dir = wp_upload_dir(null, false);
+if (empty($fluispfo_upload_dir['error'])) {
+    $fluispfo_css_dir = trailingslashit($fluispfo_upload_dir['basedir']) . 'fluid-space-forge';
+
+    if (is_dir($fluispfo_css_dir)) {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+
+        if (WP_Filesystem()) {
+            global $wp_filesystem;
+            $wp_filesystem->rmdir($fluispfo_css_dir, true);
+        }
+    }
+}
 
 /**
  * Remove Migration Transients